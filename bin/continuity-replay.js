@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * Replays consensus over an exported ledger and reports any block that does
+ * not replay identically.
+ *
+ * Usage: continuity-replay <export.json>
+ *
+ * The export is a JSON document of the form `{blocks, events}`; see
+ * `lib/replay.js` for details. The process exits with status `1` if any
+ * block does not replay identically and `2` if the export cannot be read.
+ */
+const fs = require('fs');
+const {replay} = require('../lib/replay');
+
+const [file] = process.argv.slice(2);
+if(!file) {
+  console.error('Usage: continuity-replay <export.json>');
+  process.exit(2);
+}
+
+let ledger;
+try {
+  ledger = JSON.parse(fs.readFileSync(file, 'utf8'));
+} catch(e) {
+  console.error(`Could not read export "${file}": ${e.message}`);
+  process.exit(2);
+}
+
+const report = replay({blocks: ledger.blocks, events: ledger.events});
+console.log(JSON.stringify(report, null, 2));
+process.exitCode = report.valid ? 0 : 1;
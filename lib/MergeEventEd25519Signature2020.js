@@ -0,0 +1,94 @@
+/*!
+ * Copyright (c) 2019-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bs58 = require('bs58');
+const jsigs = require('jsonld-signatures');
+const MergeEventEd25519Signature2018 = require(
+  './MergeEventEd25519Signature2018');
+const {
+  suites: {LinkedDataSignature}
+} = jsigs;
+
+// MergeEventEd25519Signature2020 is an Ed25519Signature2020 that is
+// optimized for merge events; the signature over the verify data is given
+// directly (not as a JWS) as a base58btc multibase `proofValue`
+module.exports = class MergeEventEd25519Signature2020
+  extends LinkedDataSignature {
+  /**
+   * @param [key] {LDKeyPair} a crypto-ld key pair to sign or verify with.
+   * @param [signer] {object} a signer, `{sign({data})}`, to sign with.
+   * @param [verificationMethod] {string} the key ID for new proofs.
+   * @param [date] {string|Date} signing date to use.
+   */
+  constructor({key, signer, verificationMethod, date} = {}) {
+    super({type: 'Ed25519Signature2020', verificationMethod, date});
+    this.signer = signer;
+    if(key) {
+      if(verificationMethod === undefined) {
+        this.verificationMethod = key.id;
+      }
+      this.key = key;
+      if(typeof key.signer === 'function' && key.privateKeyBase58) {
+        this.signer = key.signer();
+      }
+      this.verifier = key.verifier();
+    }
+  }
+
+  async canonize(input) {
+    return MergeEventEd25519Signature2018.canonizeMergeEvent(input);
+  }
+
+  async canonizeProof(proof) {
+    // Note: Code assumes `proof` has been validated.
+    const optimized =
+      '_:c14n0 <http://purl.org/dc/terms/created> ' +
+        `"${proof.created}"^^<http://www.w3.org/2001/XMLSchema#dateTime> .\n` +
+      '_:c14n0 <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> ' +
+        '<https://w3id.org/security#Ed25519Signature2020> .\n' +
+      '_:c14n0 <https://w3id.org/security#proofPurpose> ' +
+        '<https://w3id.org/security#assertionMethod> .\n' +
+      '_:c14n0 <https://w3id.org/security#verificationMethod> ' +
+        `<${proof.verificationMethod}> .\n`;
+    return optimized;
+  }
+
+  async sign({verifyData, proof}) {
+    if(!(this.signer && typeof this.signer.sign === 'function')) {
+      throw new Error('A signer API has not been specified.');
+    }
+    const signature = await this.signer.sign({data: verifyData});
+    proof.proofValue = 'z' + bs58.encode(Buffer.from(signature));
+    return proof;
+  }
+
+  async verifySignature({verifyData, proof}) {
+    const {proofValue} = proof;
+    if(!(typeof proofValue === 'string' && proofValue.startsWith('z'))) {
+      throw new TypeError(
+        'The proof does not include a valid "proofValue" property.');
+    }
+    const signature = bs58.decode(proofValue.substr(1));
+    return this.verifier.verify({data: verifyData, signature});
+  }
+
+  async getVerificationMethod() {
+    if(!this.key) {
+      throw new Error('A key is required to verify merge event proofs.');
+    }
+    return this.key.publicNode();
+  }
+
+  async matchProof({proof, document, purpose, documentLoader, expansionMap}) {
+    if(!await super.matchProof(
+      {proof, document, purpose, documentLoader, expansionMap})) {
+      return false;
+    }
+    if(!this.key) {
+      return true;
+    }
+    return proof.verificationMethod === this.key.id;
+  }
+};
@@ -0,0 +1,69 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _cache = require('./cache');
+const _peers = require('./peers');
+const _witnesses = require('./witnesses');
+const GossipPeer = require('./worker/GossipPeer');
+
+// module API
+const api = {};
+module.exports = api;
+
+/**
+ * Gets a summary of the consensus state of a ledger node.
+ *
+ * @param ledgerNode the ledger node to get the state for.
+ *
+ * @return a Promise that resolves to an object with properties:
+ *   blockHeight the latest block height.
+ *   witnesses the witnesses for the next block.
+ *   lastConsensusAttempt the block height, priority peers, merge permits,
+ *     and diagnostics (if `consensus.diagnostics.enabled` is set) from the
+ *     last attempt to extend the blockchain that did not reach consensus or
+ *     `null` if there has not been one.
+ *   outstandingMergeEventCount the number of merge events that have not
+ *     achieved consensus.
+ *   operationQueueDepth the number of operations waiting to be added to
+ *     an event.
+ */
+api.getConsensusState = async ({ledgerNode}) => {
+  const ledgerNodeId = ledgerNode.id;
+  const blockHeight = await _cache.blocks.blockHeight(ledgerNodeId);
+  const [
+    {witnesses}, lastConsensusAttempt, outstandingMergeEventCount,
+    operationQueueDepth
+  ] = await Promise.all([
+    _witnesses.getBlockWitnesses({blockHeight: blockHeight + 1, ledgerNode}),
+    _cache.consensus.getStatus({ledgerNodeId}),
+    _cache.events.getOutstandingMergeCount({ledgerNodeId}),
+    _cache.operations.getQueueDepth({ledgerNodeId})
+  ]);
+  return {
+    blockHeight,
+    witnesses,
+    lastConsensusAttempt,
+    outstandingMergeEventCount,
+    operationQueueDepth
+  };
+};
+
+/**
+ * Gets the gossip status of every peer that has created a merge event known
+ * to a ledger node.
+ *
+ * @param ledgerNode the ledger node to get the peer statuses for.
+ *
+ * @return a Promise that resolves to an array of `{id, status}` objects.
+ */
+api.getPeerStatuses = async ({ledgerNode}) => {
+  const ledgerNodeId = ledgerNode.id;
+  const {id: creatorId} = await _peers.get({ledgerNodeId});
+  const peerIds = await _peers.getPeerIds({creatorId, ledgerNode});
+  return Promise.all(peerIds.filter(id => id !== creatorId).map(async id => {
+    const peer = new GossipPeer({creatorId: id, ledgerNodeId});
+    return {id, status: await peer.getStatus()};
+  }));
+};
@@ -0,0 +1,418 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _cache = require('./cache');
+const _peerEvents = require('./peerEvents');
+const _util = require('./util');
+const bedrock = require('bedrock');
+const brLedgerNode = require('bedrock-ledger-node');
+const {BedrockError} = bedrock.util;
+const logger = require('./logger');
+const {once} = require('events');
+const tar = require('tar-stream');
+const {StringDecoder} = require('string_decoder');
+
+// load config defaults
+require('./config');
+
+const ARCHIVE_TYPE = 'ContinuityLedgerArchive';
+const ARCHIVE_VERSION = 1;
+const MANIFEST = 'manifest.json';
+// the number of events to read from or write to storage at once when exporting
+// or importing a block
+const BATCH_SIZE = 100;
+
+// module API
+const api = {};
+module.exports = api;
+
+/**
+ * Exports a ledger to a portable archive. The archive is a tarball with the
+ * following entries, in order:
+ *
+ *   manifest.json: `{type, version, ledger, blockHeight, blocks}` where
+ *     `blocks` is an array of `{blockHeight, blockHash, eventCount}`.
+ *   blocks/0/block.json: the genesis block record with its events embedded.
+ *   blocks/<blockHeight>/block.json: the block record.
+ *   blocks/<blockHeight>/events.ndjson: the event records in the block in
+ *     block order, one per line; operations are embedded in their events.
+ *
+ * The export includes every block up to the latest block at the time the
+ * export begins; events that have not reached consensus are not included.
+ *
+ * @param ledgerNode the ledger node to export.
+ *
+ * @return a Readable stream of the archive.
+ */
+api.exportLedger = ({ledgerNode}) => {
+  const pack = tar.pack();
+  _pack({ledgerNode, pack}).catch(e => {
+    logger.error('Could not export ledger.', {
+      ledgerNodeId: ledgerNode.id, error: e
+    });
+    pack.destroy(e);
+  });
+  return pack;
+};
+
+/**
+ * Imports a ledger from an archive created via `exportLedger`. A new ledger
+ * node is created from the archived genesis block, then every block and its
+ * events and operations are written to storage. Every event hash, merge
+ * event signature, and block hash is recomputed and must match the archive.
+ * Events are read and written in batches so that a block is never held in
+ * memory in full. Once all blocks are written, the cache is primed for the
+ * new ledger node. If the archive cannot be imported, the new ledger node is
+ * removed.
+ *
+ * The new ledger node has its own voter; it does not assume the identity of
+ * the ledger node that was exported.
+ *
+ * @param stream a Readable stream of the archive.
+ * @param [actor=null] the actor to use to create the ledger node.
+ * @param [options={}] any additional options for creating the ledger node.
+ *
+ * @return a Promise that resolves to the new ledger node.
+ */
+api.importLedger = async ({stream, actor = null, options = {}}) => {
+  let manifest;
+  let ledgerNode;
+  // the block record whose events are expected next
+  let blockRecord;
+  let blockHeight = -1;
+
+  try {
+    await _readEntries({stream, onEntry: async ({name, entryStream}) => {
+      if(!manifest) {
+        if(name !== MANIFEST) {
+          throw _dataError(
+            `The archive must begin with "${MANIFEST}".`, {name});
+        }
+        manifest = await _readJson({stream: entryStream});
+        if(manifest.type !== ARCHIVE_TYPE ||
+          manifest.version !== ARCHIVE_VERSION) {
+          throw _dataError('Unsupported archive type.', {
+            type: manifest.type, version: manifest.version
+          });
+        }
+        return;
+      }
+
+      if(name.endsWith('/events.ndjson')) {
+        if(!blockRecord || name !== `blocks/${blockHeight}/events.ndjson`) {
+          throw _dataError('Blocks in the archive are out of order.', {
+            blockHeight, name
+          });
+        }
+        await _importBlock({blockRecord, ledgerNode, stream: entryStream});
+        blockRecord = null;
+        return;
+      }
+      if(!name.endsWith('/block.json')) {
+        throw _dataError('Unknown archive entry.', {name});
+      }
+      if(blockRecord) {
+        throw _dataError('The events in the archive do not match the block.', {
+          blockHeight
+        });
+      }
+
+      const record = await _readJson({stream: entryStream});
+      blockHeight++;
+      const expected = manifest.blocks[blockHeight];
+      if(!expected || record.block.blockHeight !== blockHeight) {
+        throw _dataError('Blocks in the archive are out of order.', {
+          blockHeight, name
+        });
+      }
+      if(blockHeight === 0) {
+        ledgerNode = await brLedgerNode.add(
+          actor, {...options, genesisBlock: record.block});
+        const {genesisBlock: {meta: {blockHash}}} =
+          await ledgerNode.blocks.getGenesis();
+        _checkHash({expected: expected.blockHash, actual: blockHash, name});
+        logger.debug('Imported genesis block.', {ledgerNodeId: ledgerNode.id});
+        return;
+      }
+      // verify the block before any of its events are written
+      const blockHash = await _util.hashBlock(record.block);
+      _checkHash({expected: expected.blockHash, actual: blockHash, name});
+      record.meta = {...record.meta, blockHash};
+      blockRecord = record;
+    }});
+
+    if(!manifest || blockRecord || blockHeight !== manifest.blockHeight) {
+      throw _dataError('The archive is incomplete.', {
+        blockHeight, expectedBlockHeight: manifest && manifest.blockHeight
+      });
+    }
+
+    await _cache.prime.primeAll({ledgerNode});
+  } catch(e) {
+    if(ledgerNode) {
+      await _removeLedgerNode({actor, ledgerNode});
+    }
+    throw e;
+  }
+  return ledgerNode;
+};
+
+async function _pack({ledgerNode, pack}) {
+  const {storage} = ledgerNode;
+  const {event: {ledgerConfiguration: {ledger}}} =
+    await storage.events.getLatestConfig();
+  const {eventBlock: {block: {blockHeight}}} =
+    await storage.blocks.getLatestSummary();
+
+  // the manifest must be written first, get a summary of every block
+  const blocks = await storage.blocks.collection.aggregate([
+    {$match: {'block.blockHeight': {$lte: blockHeight}}},
+    {$sort: {'block.blockHeight': 1}},
+    {$project: {
+      _id: 0,
+      blockHeight: '$block.blockHeight',
+      blockHash: '$meta.blockHash',
+      eventCount: {$size: '$block.event'}
+    }}
+  ]).toArray();
+  const manifest = {
+    type: ARCHIVE_TYPE,
+    version: ARCHIVE_VERSION,
+    ledger,
+    blockHeight,
+    blocks
+  };
+  await _entry({pack, name: MANIFEST, data: JSON.stringify(manifest)});
+
+  const {genesisBlock} = await ledgerNode.blocks.getGenesis();
+  await _entry({
+    pack, name: 'blocks/0/block.json', data: JSON.stringify(genesisBlock)
+  });
+
+  for(let i = 1; i <= blockHeight; ++i) {
+    const blockRecord = await storage.blocks.collection.findOne(
+      {'block.blockHeight': i}, {projection: {_id: 0, block: 1, meta: 1}});
+    await _entry({
+      pack, name: `blocks/${i}/block.json`, data: JSON.stringify(blockRecord)
+    });
+    // a tar entry's size must be known before it is written, so the events
+    // are read twice rather than kept in memory
+    const eventHashes = blockRecord.block.event;
+    let size = 0;
+    for await (const line of _getEventLines({eventHashes, ledgerNode})) {
+      size += Buffer.byteLength(line);
+    }
+    await _streamEntry({
+      pack, name: `blocks/${i}/events.ndjson`, size,
+      lines: _getEventLines({eventHashes, ledgerNode})
+    });
+  }
+  pack.finalize();
+}
+
+// yields the event records in a block as lines of `events.ndjson` in block
+// order, reading `BATCH_SIZE` events from storage at a time
+async function* _getEventLines({eventHashes, ledgerNode}) {
+  for(let i = 0; i < eventHashes.length; i += BATCH_SIZE) {
+    const batch = eventHashes.slice(i, i + BATCH_SIZE);
+    const recordMap = new Map();
+    const cursor = ledgerNode.storage.events.getMany({eventHashes: batch});
+    for await (const {event, meta} of cursor) {
+      recordMap.set(meta.eventHash, {event, meta});
+    }
+    for(const eventHash of batch) {
+      const record = recordMap.get(eventHash);
+      if(!record) {
+        throw new BedrockError(
+          'An event in a block could not be found.', 'InvalidStateError', {
+            eventHash, ledgerNodeId: ledgerNode.id
+          });
+      }
+      yield JSON.stringify(record) + '\n';
+    }
+  }
+}
+
+async function _importBlock({blockRecord, ledgerNode, stream}) {
+  const {storage} = ledgerNode;
+  const {block, meta: {blockHash}} = blockRecord;
+  const {blockHeight} = block;
+  const name = `blocks/${blockHeight}/events.ndjson`;
+  const {event: {ledgerConfiguration}} =
+    await storage.events.getLatestConfig();
+
+  // process events as if they were received from a peer to recompute their
+  // hashes and verify their signatures
+  const now = Date.now();
+  let events = [];
+  let operations = [];
+  let blockOrder = 0;
+  let hasConfigurationEvent = false;
+  for await (const line of _readLines({stream})) {
+    if(!line) {
+      continue;
+    }
+    if(blockOrder === block.event.length) {
+      throw _dataError(
+        'The events in the archive do not match the block.', {blockHeight});
+    }
+    const {event, meta: archived} = JSON.parse(line);
+    const {event: processed, meta} = await _peerEvents.createPeerEventRecord(
+      {event, ledgerNode});
+    _checkHash({
+      expected: block.event[blockOrder], actual: meta.eventHash, name
+    });
+    const {continuity2017} = meta;
+    if(continuity2017.type === 'm') {
+      const {creator, generation} = archived.continuity2017;
+      if(creator !== continuity2017.creator) {
+        throw _dataError('Merge event creator does not match the archive.', {
+          blockHeight, eventHash: meta.eventHash
+        });
+      }
+      continuity2017.generation = generation;
+    } else if(continuity2017.type === 'c') {
+      hasConfigurationEvent = true;
+    }
+    if(processed.operationRecords) {
+      operations.push(...processed.operationRecords);
+      delete processed.operationRecords;
+    }
+    events.push({
+      event: processed,
+      meta: {
+        ...meta,
+        blockHeight,
+        blockOrder,
+        consensus: true,
+        consensusDate: archived.consensusDate || now,
+        created: now,
+        updated: now
+      }
+    });
+    blockOrder++;
+    if(events.length === BATCH_SIZE) {
+      await _addEvents({events, operations, storage});
+      events = [];
+      operations = [];
+    }
+  }
+  await _addEvents({events, operations, storage});
+  if(blockOrder !== block.event.length) {
+    throw _dataError(
+      'The events in the archive do not match the block.', {blockHeight});
+  }
+
+  await storage.blocks.add({
+    block,
+    meta: {
+      blockHash,
+      consensus: true,
+      consensusDate: blockRecord.meta.consensusDate || now
+    }
+  });
+
+  // set the effective configuration as `blocks.write` does
+  if(hasConfigurationEvent) {
+    const {setEffectiveConfiguration} =
+      storage.events.plugins['continuity-storage'];
+    await setEffectiveConfiguration({
+      blockHeight,
+      sequence: ledgerConfiguration.sequence + 1
+    });
+  }
+  logger.debug('Imported block.', {blockHeight, ledgerNodeId: ledgerNode.id});
+}
+
+async function _addEvents({events, operations, storage}) {
+  if(operations.length !== 0) {
+    await storage.operations.addMany({operations});
+  }
+  if(events.length !== 0) {
+    await storage.events.addMany({events});
+  }
+}
+
+// removes a ledger node that could not be fully imported
+async function _removeLedgerNode({actor, ledgerNode}) {
+  try {
+    await brLedgerNode.remove(actor, ledgerNode.id);
+  } catch(e) {
+    logger.error('Could not remove ledger node after a failed import.', {
+      ledgerNodeId: ledgerNode.id, error: e
+    });
+  }
+}
+
+function _entry({pack, name, data}) {
+  return new Promise((resolve, reject) => {
+    pack.entry({name}, data, err => err ? reject(err) : resolve());
+  });
+}
+
+// writes `lines` to an entry of `size` bytes as they are yielded
+async function _streamEntry({pack, name, size, lines}) {
+  let entry;
+  const written = new Promise((resolve, reject) => {
+    entry = pack.entry({name, size}, err => err ? reject(err) : resolve());
+  });
+  for await (const line of lines) {
+    if(!entry.write(line)) {
+      await once(entry, 'drain');
+    }
+  }
+  entry.end();
+  await written;
+}
+
+// calls `onEntry` with each entry in the archive, one at a time; `onEntry`
+// must consume the entry stream
+function _readEntries({stream, onEntry}) {
+  return new Promise((resolve, reject) => {
+    const extract = tar.extract();
+    extract.on('entry', (header, entryStream, next) => {
+      onEntry({name: header.name, entryStream})
+        .then(() => next(), e => extract.destroy(e));
+    });
+    extract.on('finish', resolve);
+    extract.on('error', reject);
+    stream.on('error', reject);
+    stream.pipe(extract);
+  });
+}
+
+async function _readJson({stream}) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+// yields each line in a stream as it is read
+async function* _readLines({stream}) {
+  const decoder = new StringDecoder('utf8');
+  let remainder = '';
+  for await (const chunk of stream) {
+    const lines = (remainder + decoder.write(chunk)).split('\n');
+    remainder = lines.pop();
+    yield* lines;
+  }
+  remainder += decoder.end();
+  if(remainder) {
+    yield remainder;
+  }
+}
+
+function _checkHash({expected, actual, name}) {
+  if(expected !== actual) {
+    throw _dataError(
+      'A hash does not match the archive.', {actual, expected, name});
+  }
+}
+
+function _dataError(message, details) {
+  return new BedrockError(message, 'DataError', details);
+}
@@ -5,10 +5,14 @@
 
 const _ = require('lodash');
 const _cache = require('./cache');
+const _merkle = require('./merkle');
+const _metrics = require('./metrics');
+const _subscriptions = require('./subscriptions');
 const _util = require('./util');
 const bedrock = require('bedrock');
 const {BedrockError} = bedrock.util;
 const {config} = bedrock;
+const logger = require('./logger');
 const pLimit = require('p-limit');
 
 const api = {};
@@ -99,6 +103,8 @@ api.repairCache = async ({blockHeight, ledgerNode}) => {
       'NotFoundError', {blockHeight, ledgerNodeId});
   }
   const cache = await _cache.blocks.commitBlock({eventHashes, ledgerNodeId});
+  await _metrics.increment(
+    {name: 'cacheRepairs', labels: {ledgerNodeId, type: 'block'}});
   // the return values are used *only* in unit tests
   return {cache, eventHashes};
 };
@@ -144,6 +150,12 @@ api.write = async ({ledgerNode, state, consensusResult}) => {
   const {ledger: ledgerId} = ledgerConfig;
   const blockId = _generateBlockId({blockHeight, ledgerId});
 
+  // commit to the events and their operations so that the inclusion of an
+  // operation may be proven without every event in the block
+  const merkleRoot = _merkle.computeRoot({
+    events: await _getMerkleEvents({eventHashes: hashes, ledgerNode})
+  });
+
   const block = {
     '@context': config.constants.WEB_LEDGER_CONTEXT_V1_URL,
     id: blockId,
@@ -152,10 +164,11 @@ api.write = async ({ledgerNode, state, consensusResult}) => {
     type: 'WebLedgerEventBlock',
     eventHash: consensusResult.eventHash,
     consensusProofHash: consensusResult.consensusProofHash,
+    merkleRoot,
     previousBlock,
     previousBlockHash
   };
-  const blockHash = await _util.hasher(block);
+  const blockHash = await _util.hashBlock(block);
 
   // convert `eventHash` predicate to `event`
   // TODO: make internal storage use `eventHash` and convert it to
@@ -174,6 +187,7 @@ api.write = async ({ledgerNode, state, consensusResult}) => {
 
   await _cache.blocks.commitBlock(
     {eventHashes: consensusResult.mergeEventHash, ledgerNodeId});
+  await _metrics.increment({name: 'blocksWritten', labels: {ledgerNodeId}});
 
   // if there is a configuration event in the block, ensure that the sequence
   // for the new configuration is correct and mark the configuration as valid
@@ -183,6 +197,22 @@ api.write = async ({ledgerNode, state, consensusResult}) => {
     blockHeight,
     sequence: ledgerConfig.sequence + 1
   });
+  if(hasEffectiveConfigurationEvent) {
+    // the configuration may have rotated a voter key
+    await _cache.peers.invalidateSameAs({ledgerNodeId});
+  }
+
+  // notify subscribers; the block is already written so a failure to notify
+  // must not fail the write
+  try {
+    await _subscriptions.publish({block, blockHash, ledgerNode});
+  } catch(e) {
+    logger.error('Could not publish block notification.', {
+      blockHeight,
+      error: e,
+      ledgerNodeId
+    });
+  }
 
   return {blockHeight, hasEffectiveConfigurationEvent};
 };
@@ -200,6 +230,87 @@ api.writeGenesis = async ({block, ledgerNode}) => {
     {blockHeight: 0, ledgerNodeId: ledgerNode.id});
 };
 
+/**
+ * Gets an inclusion proof for an operation in a block. The proof may be
+ * verified against the `merkleRoot` of the block via `merkle.verifyProof`
+ * without any of the other events in the block. If a `recordId` is given
+ * instead of an `operationHash`, the proof is for the latest operation on
+ * that record that is in a block.
+ *
+ * @param ledgerNode the ledger node.
+ * @param [operationHash] the hash of the operation.
+ * @param [recordId] the ID of the record.
+ *
+ * @return a Promise that resolves to the proof (see `merkle.createProof`)
+ *   with the `blockHeight` and `blockHash` of the block that includes the
+ *   operation.
+ */
+api.getInclusionProof = async ({ledgerNode, operationHash, recordId}) => {
+  const {storage} = ledgerNode;
+  let query;
+  if(operationHash) {
+    query = {'meta.operationHash': operationHash};
+  } else if(recordId) {
+    query = {recordId: storage.driver.hash(recordId)};
+  } else {
+    throw new TypeError('"operationHash" or "recordId" is required.');
+  }
+  const operationRecords = await storage.operations.collection.find(
+    query, {projection: {_id: 0, 'meta.eventHash': 1, 'meta.operationHash': 1}}
+  ).toArray();
+
+  // find the latest event with one of the operations that is in a block
+  const [eventRecord] = await storage.events.collection.find({
+    'meta.eventHash': {$in: operationRecords.map(({meta}) => meta.eventHash)},
+    'meta.consensus': true
+  }, {projection: {_id: 0, 'meta.eventHash': 1, 'meta.blockHeight': 1}})
+    .sort({'meta.blockHeight': -1, 'meta.blockOrder': -1}).limit(1).toArray();
+  if(!eventRecord) {
+    throw new BedrockError(
+      'The operation was not found in a block.', 'NotFoundError', {
+        httpStatusCode: 404,
+        operationHash,
+        public: true,
+        recordId
+      });
+  }
+  const {meta: {blockHeight, eventHash}} = eventRecord;
+  ({meta: {operationHash}} = operationRecords.find(
+    ({meta}) => meta.eventHash === eventHash));
+
+  const {block, meta: {blockHash}} = await storage.blocks.collection.findOne(
+    {'block.blockHeight': blockHeight},
+    {projection: {_id: 0, 'block.event': 1, 'block.merkleRoot': 1,
+      'meta.blockHash': 1}});
+  if(!block.merkleRoot) {
+    throw new BedrockError(
+      'The block that includes the operation does not have a Merkle root.',
+      'NotSupportedError', {
+        blockHeight,
+        httpStatusCode: 400,
+        operationHash,
+        public: true
+      });
+  }
+  const events = await _getMerkleEvents(
+    {eventHashes: block.event, ledgerNode});
+  const proof = _merkle.createProof({events, operationHash});
+  return {blockHeight, blockHash, ...proof};
+};
+
+// gets `{eventHash, operationHash}` for each of the given events in order
+async function _getMerkleEvents({eventHashes, ledgerNode}) {
+  const operationHashes = new Map(eventHashes.map(h => [h, []]));
+  const cursor = ledgerNode.storage.operations.collection.find(
+    {'meta.eventHash': {$in: eventHashes}},
+    {projection: {_id: 0, 'meta.eventHash': 1, 'meta.operationHash': 1}});
+  for await (const {meta} of cursor) {
+    operationHashes.get(meta.eventHash).push(meta.operationHash);
+  }
+  return eventHashes.map(
+    eventHash => ({eventHash, operationHash: operationHashes.get(eventHash)}));
+}
+
 function _generateBlockId({blockHeight, ledgerId}) {
   return `${ledgerId}/blocks/${blockHeight}`;
 }
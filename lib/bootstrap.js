@@ -0,0 +1,183 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _cache = require('./cache');
+const _checkpoint = require('./checkpoint');
+const _client = require('./client');
+const _peerEvents = require('./peerEvents');
+const _peers = require('./peers');
+const bedrock = require('bedrock');
+const {BedrockError} = bedrock.util;
+const logger = require('./logger');
+
+// module API
+const api = {};
+module.exports = api;
+
+/**
+ * Gets the checkpoint for a block from each of the given peers and combines
+ * their signatures. Peers that do not respond or that do not have a
+ * matching checkpoint are skipped.
+ *
+ * @param blockHeight the block height of the checkpoint.
+ * @param peerIds the voter IDs of the peers to get the checkpoint from.
+ *
+ * @return a Promise that resolves to the combined checkpoint.
+ */
+api.collectCheckpoint = async ({blockHeight, peerIds}) => {
+  const checkpoints = [];
+  await Promise.all(peerIds.map(async peerId => {
+    try {
+      checkpoints.push(await _client.getCheckpoint({blockHeight, peerId}));
+    } catch(e) {
+      logger.debug('Could not get checkpoint from peer.', {error: e, peerId});
+    }
+  }));
+  if(checkpoints.length === 0) {
+    throw new BedrockError(
+      'No peer provided a checkpoint.', 'NotFoundError', {blockHeight});
+  }
+  // use the checkpoint that most peers agree on
+  const groups = new Map();
+  for(const checkpoint of checkpoints) {
+    const {blockHash, heads} = checkpoint;
+    const key = JSON.stringify({blockHash, heads});
+    const group = groups.get(key) || [];
+    group.push(checkpoint);
+    groups.set(key, group);
+  }
+  const [largest] = [...groups.values()].sort((a, b) => b.length - a.length);
+  return _checkpoint.merge({checkpoints: largest});
+};
+
+/**
+ * Bootstraps a new ledger node from a trusted block and a checkpoint for
+ * that block instead of gossiping all history since genesis. The checkpoint
+ * must be signed by a supermajority of the trusted witnesses for the block
+ * after `block`; the witnesses listed in the checkpoint are not trusted. The
+ * head merge events listed in the checkpoint are downloaded from the given
+ * peer and verified, then the block and the events are stored and the cache is
+ * seeded with the block height, witnesses, creator heads, and outstanding
+ * merge events. Gossip then continues from the checkpoint.
+ *
+ * The ledger node must have been created from the genesis block and must not
+ * have any other blocks. The ledger configuration must not have changed
+ * since genesis.
+ *
+ * @param ledgerNode the ledger node to bootstrap.
+ * @param block the trusted block to start from.
+ * @param checkpoint the checkpoint for `block`.
+ * @param witnesses the trusted witnesses for the block after `block`, as an
+ *   array of `{id}`, obtained from the same source as `block`.
+ * @param peerId the voter ID of the peer to download events from.
+ *
+ * @return a Promise that resolves once the operation completes.
+ */
+api.bootstrap = async ({
+  ledgerNode, block, checkpoint, witnesses, peerId
+}) => {
+  const ledgerNodeId = ledgerNode.id;
+  const {storage} = ledgerNode;
+  const [
+    {eventBlock: {block: {blockHeight: latestBlockHeight}}},
+    {meta: {eventHash: ledgerConfigurationHash}}
+  ] = await Promise.all([
+    storage.blocks.getLatestSummary(),
+    storage.events.getLatestConfig()
+  ]);
+  if(latestBlockHeight !== 0) {
+    throw new BedrockError(
+      'Only a ledger node without any blocks after genesis may be ' +
+      'bootstrapped.', 'InvalidStateError', {
+        blockHeight: latestBlockHeight, ledgerNodeId
+      });
+  }
+  if(checkpoint.ledgerConfigurationHash !== ledgerConfigurationHash) {
+    throw new BedrockError(
+      'Bootstrapping a ledger with a changed configuration is not supported.',
+      'NotSupportedError', {ledgerNodeId});
+  }
+  if(!Array.isArray(witnesses)) {
+    throw new TypeError('"witnesses" must be an array.');
+  }
+  await _checkpoint.verify({block, checkpoint, witnesses});
+
+  // download and verify the head events that are not already stored
+  const {blockHeight, heads} = checkpoint;
+  const needed = [];
+  for(const head of heads) {
+    if(!await storage.events.exists([head.eventHash])) {
+      needed.push(head);
+    }
+  }
+  const events = await _getHeadEvents({heads: needed, ledgerNode, peerId});
+
+  if(events.length > 0) {
+    await storage.events.addMany({events});
+  }
+  // blocks are stored with their event hashes in `event`
+  const {eventHash: blockEventHash, ...rest} = block;
+  const now = Date.now();
+  await storage.blocks.add({
+    block: {...rest, event: block.event || blockEventHash},
+    meta: {
+      blockHash: checkpoint.blockHash,
+      consensus: true,
+      consensusDate: now
+    }
+  });
+
+  await _cache.blocks.setBlockHeight({blockHeight, ledgerNodeId});
+  await _cache.witnesses.setWitnesses(
+    {blockHeight: blockHeight + 1, witnesses, ledgerNodeId});
+  for(const {creator: creatorId, eventHash, generation} of heads) {
+    await _cache.history.setHead(
+      {creatorId, eventHash, generation, ledgerNodeId});
+  }
+  await _cache.prime.primeOutstandingMergeEvents({ledgerNode});
+  logger.debug('Bootstrapped ledger node.', {blockHeight, ledgerNodeId});
+};
+
+async function _getHeadEvents({heads, ledgerNode, peerId}) {
+  if(heads.length === 0) {
+    return [];
+  }
+  const {id: callerId} = await _peers.get({ledgerNodeId: ledgerNode.id});
+  const headMap = new Map(heads.map(head => [head.eventHash, head]));
+  const stream = await _client.getEvents(
+    {callerId, eventHash: [...headMap.keys()], peerId});
+
+  const now = Date.now();
+  const events = [];
+  for await (const {event} of stream) {
+    const {event: processed, meta} = await _peerEvents.createPeerEventRecord(
+      {event, ledgerNode});
+    const head = headMap.get(meta.eventHash);
+    if(!head || head.creator !== meta.continuity2017.creator) {
+      throw new BedrockError(
+        'The peer sent an event that is not in the checkpoint.',
+        'DataError', {eventHash: meta.eventHash, peerId});
+    }
+    headMap.delete(meta.eventHash);
+    meta.continuity2017.generation = head.generation;
+    events.push({
+      event: processed,
+      meta: {
+        ...meta,
+        blockHeight: head.blockHeight,
+        consensus: true,
+        consensusDate: now,
+        created: now,
+        updated: now
+      }
+    });
+  }
+  if(headMap.size > 0) {
+    throw new BedrockError(
+      'The peer did not send every event in the checkpoint.',
+      'NotFoundError', {eventHash: [...headMap.keys()], peerId});
+  }
+  return events;
+}
@@ -7,8 +7,15 @@ const _cacheKey = require('./cacheKey');
 const _continuityConstants = require('../continuityConstants');
 const _util = require('../util');
 const cache = require('bedrock-redis');
+const {config} = require('bedrock');
 const logger = require('../logger');
 
+/* Operations are queued in lanes (see `operations.queue` in the config). A
+chunk of operations for a local regular event is filled from the lanes in
+proportion to their weights and, within a lane, by taking up to
+`submitterQuota` operations from each submitter in turn so that a single
+submitter cannot fill every event. */
+
 module.exports = class OperationQueue {
   constructor({ledgerNodeId}) {
     this.chunk = null;
@@ -18,8 +25,6 @@ module.exports = class OperationQueue {
     this.chunkCacheKey = _cacheKey.operationSelectedList(ledgerNodeId);
     // keys for all operations in the next chunk in the queue
     this.opKeys = null;
-    // key to master operation list (list of keys for all pending operations)
-    this.opListKey = _cacheKey.operationList(ledgerNodeId);
     // tracks whether or not there are more operations after the next chunk
     this.basisBlockHeight = null;
     this.hasMore = false;
@@ -49,35 +54,57 @@ module.exports = class OperationQueue {
 
     // no next chunk of operations cached yet, so create one that will be
     // cached when `getNextChunk` is called and its operations are retrieved
+    const {ledgerNodeId} = this;
     const {events: {maxOperations}} = _continuityConstants;
-    const [listLength, nextKeys] = await cache.client.multi()
-      .llen(this.opListKey)
-      .lrange(this.opListKey, 0, maxOperations - 1)
-      .exec();
+    const {lanes, scanSize, submitterQuota} =
+      config['ledger-consensus-continuity'].operations.queue;
+    const laneNames = Object.keys(lanes);
+    const txn = cache.client.multi();
+    for(const lane of laneNames) {
+      const opListKey = _cacheKey.operationList({lane, ledgerNodeId});
+      txn.llen(opListKey).lrange(opListKey, 0, scanSize - 1);
+    }
+    const results = await txn.exec();
+    let listLength = 0;
+    const queued = [];
+    for(let i = 0; i < laneNames.length; ++i) {
+      const [length, keys] = results.slice(i * 2, i * 2 + 2);
+      listLength += length;
+      if(keys.length > 0) {
+        queued.push({keys, weight: lanes[laneNames[i]].weight});
+      }
+    }
     if(listLength === 0) {
       // no new operations
       this.opKeys = null;
       return false;
     }
 
-    // record the basisBlockHeight of the first operation,
-    const basisBlockHeight = this.basisBlockHeight = _cacheKey
-      .basisBlockHeightFromOperationKey(nextKeys[0]);
-
-    // since the queue is FIFO, we can stop when we hit an operation with a
-    // different basisBlockHeight value
-    let opCount;
-    for(opCount = 1; opCount < nextKeys.length; ++opCount) {
-      const bbh = _cacheKey.basisBlockHeightFromOperationKey(nextKeys[opCount]);
-      if(bbh !== basisBlockHeight) {
-        break;
+    // use the oldest basisBlockHeight at the head of any lane
+    const basisBlockHeight = this.basisBlockHeight = Math.min(
+      ...queued.map(({keys}) =>
+        _cacheKey.basisBlockHeightFromOperationKey(keys[0])));
+
+    // since each lane is FIFO, stop at the first operation in a lane with
+    // a different basisBlockHeight value
+    for(const lane of queued) {
+      let opCount;
+      for(opCount = 0; opCount < lane.keys.length; ++opCount) {
+        const bbh = _cacheKey.basisBlockHeightFromOperationKey(
+          lane.keys[opCount]);
+        if(bbh !== basisBlockHeight) {
+          break;
+        }
       }
+      lane.keys = _roundRobin(
+        {keys: lane.keys.slice(0, opCount), submitterQuota});
     }
-    logger.debug('New operations found.', {basisBlockHeight, opCount});
+    this.opKeys = _fillByWeight({lanes: queued, maxOperations});
+    logger.debug('New operations found.',
+      {basisBlockHeight, opCount: this.opKeys.length});
 
     // record that a subset of the available operations is being returned
-    this.hasMore = listLength > maxOperations || nextKeys.length > opCount;
-    this.opKeys = nextKeys.slice(0, opCount);
+    this.hasMore = listLength > this.opKeys.length;
 
     return true;
   }
@@ -99,13 +126,18 @@ module.exports = class OperationQueue {
     // create an atomic redis transaction that will:
     // 1. Get all operations matching `opKeys`.
     // Then, if the next chunk of operations hasn't been cached yet...
-    // 2. Remove the operation keys from the master operation key list.
+    // 2. Remove the operation keys from the operation key lists of the lanes.
     // 3. Cache the next chunk of operations by storing their keys in a list.
     const getOperationsTxn = cache.client.multi().mget(this.opKeys);
     if(!this.chunkCached) {
-      // remove next chunk ops from the master operation list
-      // ltrim *keeps* items from start to end
-      getOperationsTxn.ltrim(this.opListKey, this.opKeys.length, -1);
+      // remove next chunk ops from their lanes; they are near the head of
+      // each lane so the search for each is short
+      const {ledgerNodeId} = this;
+      for(const opKey of this.opKeys) {
+        const lane = _cacheKey.laneFromOperationKey(opKey);
+        getOperationsTxn.lrem(
+          _cacheKey.operationList({lane, ledgerNodeId}), 1, opKey);
+      }
       // create the next chunk
       getOperationsTxn.rpush(this.chunkCacheKey, this.opKeys);
     }
@@ -153,3 +185,47 @@ module.exports = class OperationQueue {
     }
   }
 };
+
+// orders operation keys so that each submitter, in the order in which they
+// first appear, has up to `submitterQuota` operations taken in turn
+function _roundRobin({keys, submitterQuota}) {
+  const submitters = new Map();
+  for(const key of keys) {
+    const submitter = _cacheKey.submitterFromOperationKey(key);
+    const submitterKeys = submitters.get(submitter);
+    if(submitterKeys) {
+      submitterKeys.push(key);
+    } else {
+      submitters.set(submitter, [key]);
+    }
+  }
+  const ordered = [];
+  for(let start = 0; ordered.length < keys.length; start += submitterQuota) {
+    for(const submitterKeys of submitters.values()) {
+      ordered.push(...submitterKeys.slice(start, start + submitterQuota));
+    }
+  }
+  return ordered;
+}
+
+// takes up to `maxOperations` keys from the lanes; each lane is allotted a
+// share in proportion to its weight and any share that a lane cannot use
+// goes to the other lanes
+function _fillByWeight({lanes, maxOperations}) {
+  const selected = [];
+  let active = lanes.filter(({keys}) => keys.length > 0)
+    .sort((a, b) => b.weight - a.weight);
+  while(selected.length < maxOperations && active.length > 0) {
+    const remaining = maxOperations - selected.length;
+    const totalWeight = active.reduce((sum, {weight}) => sum + weight, 0);
+    for(const lane of active) {
+      // every lane gets at least one operation per pass
+      const share = Math.max(1, Math.floor(
+        remaining * lane.weight / totalWeight) || 0);
+      selected.push(...lane.keys.splice(
+        0, Math.min(share, maxOperations - selected.length)));
+    }
+    active = active.filter(({keys}) => keys.length > 0);
+  }
+  return selected;
+}
@@ -3,6 +3,8 @@
  */
 'use strict';
 
+const crypto = require('crypto');
+
 // NOTE: these functions are used to define the namespace for keys that are
 // used to store values in the cache. The goal is to use key names that are
 // as compact as possible while still ensuring uniqueness in order to conserve
@@ -22,6 +24,13 @@ api.blockParticipants = ledgerNodeId => `bp|${_lni(ledgerNodeId)}`;
 
 api.childless = ledgerNodeId => `cl|${_lni(ledgerNodeId)}`;
 
+// the result of the last attempt to extend the blockchain
+api.consensusStatus = ledgerNodeId => `cs|${_lni(ledgerNodeId)}`;
+
+// support computed while seeking consensus for a block height
+api.consensusSupport = ({blockHeight, ledgerNodeId}) =>
+  `csu|${_lni(ledgerNodeId)}|${blockHeight}`;
+
 api.diff = uuid => `d|${uuid}`;
 
 api.witnesses = ledgerNodeId => `w|${_lni(ledgerNodeId)}`;
@@ -51,8 +60,15 @@ api.head = ({creatorId, ledgerNodeId}) =>
 api.headGeneration = ({eventHash, ledgerNodeId}) =>
   `hg|${_lni(ledgerNodeId)}|${eventHash}`;
 
-// hash portion of the voterId
-api.gossipNotification = ledgerNodeId => `gn|${_lni(ledgerNodeId)}`;
+// sorted sets of peers that have sent gossip notifications scored by the time
+// the notification was received; notifications from witnesses are kept
+// separately so that they can be given priority
+api.gossipNotification = ledgerNodeId => `gnn|${_lni(ledgerNodeId)}`;
+api.gossipNotificationWitness = ledgerNodeId => `gnw|${_lni(ledgerNodeId)}`;
+
+// used with an expiration to count notifications received from a peer
+api.gossipNotificationRate = ({creatorId, ledgerNodeId}) =>
+  `gnr|${_lni(ledgerNodeId)}|${_ci(creatorId)}`;
 
 // used to determine if a gossip session has occurred since notification sent
 api.gossipNotifyFlag = ledgerNodeId => `gnf|${_lni(ledgerNodeId)}`;
@@ -68,6 +84,9 @@ api.ledgerNode = creatorId => `ln|${_ci(creatorId)}`;
 // childless local regular events
 api.localChildless = ledgerNodeId => `lc|${_lni(ledgerNodeId)}`;
 
+// hash of metric values keyed by labels
+api.metric = name => `mt|${name}`;
+
 // contains a list of all non-consensus merge events, local and peer
 api.outstandingMerge = ledgerNodeId => `om|${_lni(ledgerNodeId)}`;
 api.outstandingMergeEvent = ({eventHash, ledgerNodeId}) =>
@@ -89,26 +108,60 @@ api.peerList = ledgerNodeId => `pl|${ledgerNodeId}`;
 api.latestPeerHead = ({ledgerNodeId, creatorId}) =>
   `latestph|${_lni(ledgerNodeId)}|${_ci(creatorId)}`;
 
-// NOTE: these two APIs are linked
-// the basisBlockHeightFromOperationKey API below corresponds to this key
-api.operation = ({basisBlockHeight, ledgerNodeId, operationHash}) =>
-  `o|${_lni(ledgerNodeId)}|${basisBlockHeight}|${operationHash}`;
-// extract the basisBlockHeight from a key value
+// NOTE: these APIs are linked
+// the *FromOperationKey APIs below correspond to this key
+api.operation = ({
+  basisBlockHeight, lane, ledgerNodeId, operationHash, submitter
+}) => `o|${_lni(ledgerNodeId)}|${basisBlockHeight}|${operationHash}|` +
+  `${lane}|${_si(submitter)}`;
+// extract values from a key value
 api.basisBlockHeightFromOperationKey = key => parseInt(key.split('|')[2]);
 api.operationHashFromOperationKey = key => key.split('|')[3];
+api.laneFromOperationKey = key => key.split('|')[4];
+api.submitterFromOperationKey = key => key.split('|')[5];
 
 // this key is used to track the existence of an operation in the queue
 api.operationHash = ({ledgerNodeId, operationHash}) =>
   `oh|${_lni(ledgerNodeId)}|${operationHash}`;
 
-// set of operation hashes before they are written to events
-api.operationList = ledgerNodeId => `ol|${_lni(ledgerNodeId)}`;
+// the hash of the latest local operation on a record, used to find the
+// status of operations that have not been written to events
+api.operationRecord = ({ledgerNodeId, recordId}) =>
+  `or|${_lni(ledgerNodeId)}|${recordId}`;
+
+// why an operation was evicted from the queue before it was put in an event
+api.operationExpired = ({ledgerNodeId, operationHash}) =>
+  `oe|${_lni(ledgerNodeId)}|${operationHash}`;
+
+// used to limit how often the queue is swept for expired operations
+api.operationSweep = ledgerNodeId => `osw|${_lni(ledgerNodeId)}`;
+
+// list of operation keys in a lane before they are written to events
+api.operationList = ({lane, ledgerNodeId}) =>
+  `ol|${_lni(ledgerNodeId)}|${lane}`;
+// list of operation keys from before operations were queued in lanes; only
+// read to move those operations into a lane
+api.operationListLegacy = ledgerNodeId => `ol|${_lni(ledgerNodeId)}`;
 
 // set of operation hashes used to record operations selected for an event
 api.operationSelectedList = ledgerNodeId => `osl|${_lni(ledgerNodeId)}`;
 
+// set once the operation queue has been restored from the mempool, its
+// absence indicates that the cache was lost
+api.operationQueueRestored = ledgerNodeId => `oqr|${_lni(ledgerNodeId)}`;
+
+// used to rate limit the operations added by each submitter
+api.operationSubmitterRate = ({ledgerNodeId, submitter}) =>
+  `osr|${_lni(ledgerNodeId)}|${_si(submitter)}`;
+
 api.voter = ledgerNodeId => `v|${_lni(ledgerNodeId)}`;
 
+// the `sameAs` links between the voter IDs of a ledger node, tagged with the
+// `sameAsVersion` they were computed at
+api.sameAs = ledgerNodeId => `sa|${_lni(ledgerNodeId)}`;
+// incremented whenever a ledger configuration becomes effective
+api.sameAsVersion = ledgerNodeId => `sav|${_lni(ledgerNodeId)}`;
+
 api.timer = ({name, ledgerNodeId}) => `t|${name}|${_lni(ledgerNodeId)}`;
 
 const lastPathReg = /([^\/]*)\/*$/;
@@ -123,6 +176,13 @@ function _ci(creatorId) {
   return ci;
 }
 
+// submitter IDs are arbitrary URLs so a truncated hash is used instead;
+// operations without a known submitter (`null`) share one ID
+function _si(submitter) {
+  return crypto.createHash('sha256').update(submitter || '').digest('base64')
+    .substr(0, 16);
+}
+
 const urnUuidReg = /([^\:]*)\:*$/;
 const allHyphenReg = /-/g;
 function _lni(ledgerNodeId) {
@@ -0,0 +1,94 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const cache = require('bedrock-redis');
+const _cacheKey = require('./cacheKey');
+
+/**
+ * Records the result of the last attempt to extend the blockchain that did
+ * not reach consensus.
+ *
+ * @param blockHeight {Number} - The block height consensus was sought for.
+ * @param [diagnostics=null] {Object} - The diagnostic report from consensus.
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param mergePermits {Number} - The merge permits issued.
+ * @param priorityPeers {string[]} - The priority peers reported by consensus.
+ *
+ * @returns {Promise} resolves once the operation completes.
+ */
+exports.setStatus = async ({
+  blockHeight, diagnostics = null, ledgerNodeId, mergePermits, priorityPeers
+}) => {
+  const key = _cacheKey.consensusStatus(ledgerNodeId);
+  return cache.client.set(key, JSON.stringify({
+    blockHeight, date: Date.now(), diagnostics, mergePermits, priorityPeers
+  }));
+};
+
+/**
+ * Gets the result of the last attempt to extend the blockchain that did not
+ * reach consensus.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ *
+ * @returns {Promise<Object|null>} resolves to
+ *   `{blockHeight, date, diagnostics, mergePermits, priorityPeers}` or
+ *   `null` if no status has been recorded.
+ */
+exports.getStatus = async ({ledgerNodeId}) => {
+  const key = _cacheKey.consensusStatus(ledgerNodeId);
+  const json = await cache.client.get(key);
+  if(!json) {
+    return null;
+  }
+  return JSON.parse(json);
+};
+
+/**
+ * Stores support computed while seeking consensus for a block height so that
+ * a later work session can resume from it. Entries for events that already
+ * have stored support are overwritten.
+ *
+ * @param blockHeight {Number} - The block height consensus is sought for.
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param support {Map} - Event hash => an array of the hashes of the events
+ *   that the event supports.
+ * @param ttl {Number} - The number of seconds to keep the support for.
+ *
+ * @returns {Promise} resolves once the operation completes.
+ */
+exports.addSupport = async ({blockHeight, ledgerNodeId, support, ttl}) => {
+  if(support.size === 0) {
+    return;
+  }
+  const key = _cacheKey.consensusSupport({blockHeight, ledgerNodeId});
+  const fields = [];
+  for(const [eventHash, supportHashes] of support) {
+    fields.push(eventHash, JSON.stringify(supportHashes));
+  }
+  await cache.client.multi()
+    .hmset(key, ...fields)
+    .expire(key, ttl)
+    .exec();
+};
+
+/**
+ * Gets the support stored via `addSupport` for a block height.
+ *
+ * @param blockHeight {Number} - The block height consensus is sought for.
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ *
+ * @returns {Promise<Map>} resolves to a Map of event hash => an array of the
+ *   hashes of the events that the event supports.
+ */
+exports.getSupport = async ({blockHeight, ledgerNodeId}) => {
+  const key = _cacheKey.consensusSupport({blockHeight, ledgerNodeId});
+  const fields = await cache.client.hgetall(key) || {};
+  const support = new Map();
+  for(const eventHash in fields) {
+    support.set(eventHash, JSON.parse(fields[eventHash]));
+  }
+  return support;
+};
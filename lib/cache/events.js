@@ -193,6 +193,19 @@ exports.getLocalChildlessHashes = async ({ledgerNodeId}) => {
   return {localChildlessHashes};
 };
 
+/**
+ * Check if a local regular event has not been merged yet.
+ *
+ * @param eventHash {string} - The hash of the local regular event.
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ *
+ * @returns {Promise<Boolean>} True if the event is childless, otherwise false.
+ */
+exports.isLocalChildless = async ({eventHash, ledgerNodeId}) => {
+  const localChildlessKey = _cacheKey.localChildless(ledgerNodeId);
+  return !!(await cache.client.sismember(localChildlessKey, eventHash));
+};
+
 /**
  * Get events.
  *
@@ -253,6 +266,18 @@ exports.getMergeStatus = async ({ledgerNodeId}) => {
   };
 };
 
+/**
+ * Get the number of merge events that have not yet achieved consensus.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ *
+ * @returns {Promise<Number>} The number of outstanding merge events.
+ */
+exports.getOutstandingMergeCount = async ({ledgerNodeId}) => {
+  const outstandingMergeKey = _cacheKey.outstandingMerge(ledgerNodeId);
+  return cache.client.scard(outstandingMergeKey);
+};
+
 /**
  * Store an event and meta data for gossip purposes.
  *
@@ -5,36 +5,85 @@
 
 const cache = require('bedrock-redis');
 const _cacheKey = require('./cacheKey');
+const {config} = require('bedrock');
 
 /**
  * Record a notification received from another peer. The notification indicates
  * that the peer has new events available for gossip.
  *
+ * Notifications are stored in bounded sorted sets scored by the time they
+ * were received; a peer that already has a pending notification keeps its
+ * original place in line. Each peer may only send a limited number of
+ * notifications within a rate limit window.
+ *
+ * @param isWitness {Boolean} - `true` if the peer is a current witness.
  * @param ledgerNodeId {string} - The ID of the ledger node.
  * @param peerId {string} the ID of the sender of the notification.
  *
- * @returns {Promise} resolves once the operation completes.
+ * @returns {Promise<Object>} resolves to `{added, rateLimited}`.
  */
-exports.addNotification = async ({ledgerNodeId, peerId}) => {
-  const key = _cacheKey.gossipNotification(ledgerNodeId);
-  // a set is used here because it enforces unique values
-  // FIXME: limit size of this set
-  return cache.client.multi()
-    .sadd(key, peerId)
-    .publish(`continuity2017|needsMerge|${ledgerNodeId}`, 'notification')
+exports.addNotification = async ({isWitness = false, ledgerNodeId, peerId}) => {
+  const {maxPerPeer, maxSize, rateLimitWindow, ttl} =
+    config['ledger-consensus-continuity'].gossip.notification;
+
+  const rateKey = _cacheKey.gossipNotificationRate(
+    {creatorId: peerId, ledgerNodeId});
+  const [, count] = await cache.client.multi()
+    .set(rateKey, 0, 'PX', rateLimitWindow, 'NX')
+    .incr(rateKey)
+    .exec();
+  if(count > maxPerPeer) {
+    return {added: false, rateLimited: true};
+  }
+
+  const key = isWitness ? _cacheKey.gossipNotificationWitness(ledgerNodeId) :
+    _cacheKey.gossipNotification(ledgerNodeId);
+  const now = Date.now();
+  const [, added] = await cache.client.multi()
+    .zremrangebyscore(key, '-inf', now - ttl)
+    .zadd(key, 'NX', now, peerId)
+    // keep only the `maxSize` most recent notifications
+    .zremrangebyrank(key, 0, -(maxSize + 1))
+    .pexpire(key, ttl)
     .exec();
+  if(added === 0) {
+    // peer already has a pending notification, no need to wake up the worker
+    return {added: false, rateLimited: false};
+  }
+  await cache.client.publish(
+    `continuity2017|needsMerge|${ledgerNodeId}`, 'notification');
+  return {added: true, rateLimited: false};
 };
 
 /**
- * Get a single peer ID from the set of peer notifications.
+ * Get a single peer ID from the pending peer notifications. Notifications
+ * from witnesses are returned before those from non-witnesses and, within
+ * each group, the oldest notification is returned first. Expired
+ * notifications are discarded.
  *
  * @param ledgerNodeId {string} - The ID of the ledger node.
  *
- * @returns {Promise<string>} A peer ID.
+ * @returns {Promise<string|null>} A peer ID or `null` if there are no
+ *   pending notifications.
  */
 exports.getGossipNotification = async ({ledgerNodeId}) => {
-  const key = _cacheKey.gossipNotification(ledgerNodeId);
-  return cache.client.spop(key);
+  const {ttl} = config['ledger-consensus-continuity'].gossip.notification;
+  const minScore = Date.now() - ttl;
+  const keys = [
+    _cacheKey.gossipNotificationWitness(ledgerNodeId),
+    _cacheKey.gossipNotification(ledgerNodeId)
+  ];
+  for(const key of keys) {
+    const [, result] = await cache.client.multi()
+      .zremrangebyscore(key, '-inf', minScore)
+      .zpopmin(key)
+      .exec();
+    if(result.length > 0) {
+      // `result` is `[peerId, score]`
+      return result[0];
+    }
+  }
+  return null;
 };
 
 /**
@@ -49,7 +98,7 @@ exports.getPeerStatus = async ({creatorId, ledgerNodeId}) => {
   const key = _cacheKey.gossipPeerStatus({creatorId, ledgerNodeId});
   return cache.client.hmget(
     key, 'backoff', 'detectedBlockHeight', 'lastContactDate',
-    'lastContactResult');
+    'lastContactResult', 'lastEventCount', 'latency');
 };
 
 /**
@@ -82,13 +131,17 @@ exports.notifyFlag = async ({ledgerNodeId, remove = false, add = false}) => {
  * @param lastContactDate {Number} - The last contact date in ms elapsed since
  *   the UNIX epoch.
  * @param lastContactResult {string} - The result of the last contact.
+ * @param lastEventCount {Number} - The number of events received during the
+ *   last contact.
+ * @param latency {Number} - The average duration of a gossip session with
+ *   the peer in ms.
  * @param ledgerNodeId {string} - The ID of the ledger node.
  *
  * @returns {Promise} resolves once the operation completes.
  */
 exports.setPeerStatus = async ({
   backoff, creatorId, detectedBlockHeight, lastContactDate, lastContactResult,
-  ledgerNodeId
+  lastEventCount, latency, ledgerNodeId
 }) => {
   const key = _cacheKey.gossipPeerStatus({creatorId, ledgerNodeId});
   return cache.client.multi().hmset(
@@ -96,7 +149,9 @@ exports.setPeerStatus = async ({
     'backoff', backoff,
     'detectedBlockHeight', detectedBlockHeight,
     'lastContactDate', lastContactDate,
-    'lastContactResult', lastContactResult)
+    'lastContactResult', lastContactResult,
+    'lastEventCount', lastEventCount,
+    'latency', latency)
     // if this key is not updated in 24 hours the peer is not participating
     // in the ledger (no representation in recent blocks). If the peer
     // reappears, a new record will be created
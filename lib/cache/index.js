@@ -15,6 +15,7 @@ api.Timer = require('../Timer');
 api.OperationQueue = require('./OperationQueue');
 
 api.blocks = require('./blocks');
+api.consensus = require('./consensus');
 api.events = require('./events');
 api.gossip = require('./gossip');
 api.history = require('./history');
@@ -14,16 +14,19 @@ const operationsConfig = require('bedrock')
  *
  * @param operation {Object} - The operation data.
  * @param meta {Object} - The operation meta data.
+ * @param lane {string} - The name of the lane to queue the operation in.
  * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param submitter {string} - The ID of the submitter of the operation.
  *
  * @returns {Promise} resolves once the operation completes.
  */
-exports.add = async ({ledgerNodeId, operation, meta}) => {
-  const {basisBlockHeight, operationHash} = meta;
+exports.add = async ({lane, ledgerNodeId, operation, meta, submitter}) => {
+  const {basisBlockHeight, operationHash, recordId} = meta;
   const opHashKey = _cacheKey.operationHash({ledgerNodeId, operationHash});
+  const opRecordKey = _cacheKey.operationRecord({ledgerNodeId, recordId});
   const opKey = _cacheKey.operation(
-    {basisBlockHeight, ledgerNodeId, operationHash});
-  const opListKey = _cacheKey.operationList(ledgerNodeId);
+    {basisBlockHeight, lane, ledgerNodeId, operationHash, submitter});
+  const opListKey = _cacheKey.operationList({lane, ledgerNodeId});
   const opCountKey = _cacheKey.opCountLocal(
     {ledgerNodeId, second: Math.round(Date.now() / 1000)});
   return cache.client.multi()
@@ -31,11 +34,180 @@ exports.add = async ({ledgerNodeId, operation, meta}) => {
     .expire(opCountKey, operationsConfig.counter.ttl)
     .set(opKey, JSON.stringify({meta, operation}))
     .set(opHashKey, '')
+    .set(opRecordKey, operationHash, 'EX', operationsConfig.status.ttl)
     .rpush(opListKey, opKey)
     .publish(`continuity2017|needsMerge|${ledgerNodeId}`, 'operation')
     .exec();
 };
 
+/**
+ * Restores operations to the queue; operations that are already in the queue
+ * (or in the next chunk of operations) are skipped. The restored operations
+ * are not counted as newly added operations.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param operations {Object[]} - The operations to restore, each with
+ *   `{lane, meta, operation, submitter}` as given to `add`.
+ *
+ * @returns {Promise<Number>} The number of operations restored.
+ */
+exports.restore = async ({ledgerNodeId, operations}) => {
+  if(operations.length === 0) {
+    return 0;
+  }
+  const existsTxn = cache.client.multi();
+  for(const {meta: {operationHash}} of operations) {
+    existsTxn.exists(_cacheKey.operationHash({ledgerNodeId, operationHash}));
+  }
+  const exists = await existsTxn.exec();
+  const txn = cache.client.multi();
+  let count = 0;
+  for(const [index, {lane, meta, operation, submitter}] of
+    operations.entries()) {
+    if(exists[index]) {
+      continue;
+    }
+    const {basisBlockHeight, operationHash, recordId} = meta;
+    const opKey = _cacheKey.operation(
+      {basisBlockHeight, lane, ledgerNodeId, operationHash, submitter});
+    txn.set(opKey, JSON.stringify({meta, operation}))
+      .set(_cacheKey.operationHash({ledgerNodeId, operationHash}), '')
+      .set(_cacheKey.operationRecord({ledgerNodeId, recordId}), operationHash,
+        'EX', operationsConfig.status.ttl)
+      .rpush(_cacheKey.operationList({lane, ledgerNodeId}), opKey);
+    ++count;
+  }
+  if(count > 0) {
+    txn.publish(`continuity2017|needsMerge|${ledgerNodeId}`, 'operation');
+    await txn.exec();
+  }
+  return count;
+};
+
+/**
+ * Moves operations that were queued before operations were queued in lanes
+ * into `operations.queue.defaultLane`, ahead of the operations already in
+ * that lane. The submitters of these operations are not known.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ *
+ * @returns {Promise<Number>} The number of operations moved.
+ */
+exports.migrateLegacyQueue = async ({ledgerNodeId}) => {
+  const legacyListKey = _cacheKey.operationListLegacy(ledgerNodeId);
+  const legacyKeys = await cache.client.lrange(legacyListKey, 0, -1);
+  if(legacyKeys.length === 0) {
+    return 0;
+  }
+  const opJsons = await cache.client.mget(legacyKeys);
+  const lane = operationsConfig.queue.defaultLane;
+  const txn = cache.client.multi();
+  const opKeys = [];
+  for(const [index, opJson] of opJsons.entries()) {
+    // the operation may have been written to an event already
+    if(opJson === null) {
+      continue;
+    }
+    const {meta: {basisBlockHeight, operationHash}} = JSON.parse(opJson);
+    const opKey = _cacheKey.operation({
+      basisBlockHeight, lane, ledgerNodeId, operationHash, submitter: null
+    });
+    txn.set(opKey, opJson).del(legacyKeys[index]);
+    opKeys.push(opKey);
+  }
+  if(opKeys.length > 0) {
+    // `lpush` prepends each key in turn so push them in reverse
+    txn.lpush(_cacheKey.operationList({lane, ledgerNodeId}),
+      opKeys.reverse());
+    txn.publish(`continuity2017|needsMerge|${ledgerNodeId}`, 'operation');
+  }
+  await txn.del(legacyListKey).exec();
+  return opKeys.length;
+};
+
+/**
+ * Evicts expired operations from the queue, including the next chunk of
+ * operations if it has been selected, and records why each was evicted for
+ * `operations.status.ttl` seconds. Evicted operations may be added again.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param operations {Object[]} - The operations to evict, each with
+ *   `{lane, meta, reason, submitter}`.
+ *
+ * @returns {Promise} resolves once the operation completes.
+ */
+exports.evict = async ({ledgerNodeId, operations}) => {
+  const chunkCacheKey = _cacheKey.operationSelectedList(ledgerNodeId);
+  const txn = cache.client.multi();
+  for(const {lane, meta, reason, submitter} of operations) {
+    const {basisBlockHeight, operationHash} = meta;
+    const opKey = _cacheKey.operation(
+      {basisBlockHeight, lane, ledgerNodeId, operationHash, submitter});
+    txn.lrem(_cacheKey.operationList({lane, ledgerNodeId}), 1, opKey)
+      .lrem(chunkCacheKey, 1, opKey)
+      .del(opKey)
+      .del(_cacheKey.operationHash({ledgerNodeId, operationHash}))
+      .set(_cacheKey.operationExpired({ledgerNodeId, operationHash}),
+        JSON.stringify({expired: Date.now(), reason}),
+        'EX', operationsConfig.status.ttl);
+  }
+  await txn.exec();
+};
+
+/**
+ * Get why an operation was evicted from the queue, if it was.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param operationHash {string} - The hash of the operation.
+ *
+ * @returns {Promise<Object|null>} `{expired, reason}` or `null`.
+ */
+exports.getExpired = async ({ledgerNodeId, operationHash}) => {
+  const key = _cacheKey.operationExpired({ledgerNodeId, operationHash});
+  const json = await cache.client.get(key);
+  return json === null ? null : JSON.parse(json);
+};
+
+/**
+ * Check whether the queue is due to be swept for expired operations; at
+ * most one sweep is due per `operations.expiry.sweepInterval`.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ *
+ * @returns {Promise<Boolean>} True if a sweep is due.
+ */
+exports.isSweepDue = async ({ledgerNodeId}) => {
+  const key = _cacheKey.operationSweep(ledgerNodeId);
+  const result = await cache.client.set(
+    key, '', 'PX', operationsConfig.expiry.sweepInterval, 'NX');
+  return result !== null;
+};
+
+/**
+ * Check whether the operation queue has been restored from the mempool since
+ * the cache was last lost.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ *
+ * @returns {Promise<Boolean>} True if the queue has been restored.
+ */
+exports.isQueueRestored = async ({ledgerNodeId}) => {
+  const key = _cacheKey.operationQueueRestored(ledgerNodeId);
+  return !!(await cache.client.exists(key));
+};
+
+/**
+ * Record that the operation queue has been restored from the mempool.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ *
+ * @returns {Promise} resolves once the operation completes.
+ */
+exports.setQueueRestored = async ({ledgerNodeId}) => {
+  const key = _cacheKey.operationQueueRestored(ledgerNodeId);
+  return cache.client.set(key, Date.now());
+};
+
 /**
  * Check for the existence of an operation in the cache.
  *
@@ -57,3 +229,71 @@ exports.exists = async ({ledgerNodeId, operationHash}) => {
   }
   return exists;
 };
+
+/**
+ * Get the number of operations in the queue that have not yet been added to
+ * a local regular event.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ *
+ * @returns {Promise<Number>} The number of queued operations.
+ */
+exports.getQueueDepth = async ({ledgerNodeId}) => {
+  const txn = cache.client.multi();
+  for(const lane of Object.keys(operationsConfig.queue.lanes)) {
+    txn.llen(_cacheKey.operationList({lane, ledgerNodeId}));
+  }
+  const depths = await txn.exec();
+  return depths.reduce((sum, depth) => sum + depth, 0);
+};
+
+/**
+ * Records an operation added by a submitter and checks whether the submitter
+ * has exceeded its rate limit, `operations.rateLimit.maxPerSubmitter`
+ * operations per `operations.rateLimit.window`.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param submitter {string} - The ID of the submitter.
+ *
+ * @returns {Promise<Boolean>} True if the submitter is rate limited,
+ *   otherwise false.
+ */
+exports.isRateLimited = async ({ledgerNodeId, submitter}) => {
+  const {maxPerSubmitter, window} = operationsConfig.rateLimit;
+  const rateKey = _cacheKey.operationSubmitterRate({ledgerNodeId, submitter});
+  const [, count] = await cache.client.multi()
+    .set(rateKey, 0, 'PX', window, 'NX')
+    .incr(rateKey)
+    .exec();
+  return count > maxPerSubmitter;
+};
+
+/**
+ * Check if an operation is in the queue, i.e. it has not yet been added to a
+ * local regular event. Unlike `exists`, this does not watch the operation.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param operationHash {string} - The hash of the operation.
+ *
+ * @returns {Promise<Boolean>} True if the operation is queued, otherwise
+ *   false.
+ */
+exports.isQueued = async ({ledgerNodeId, operationHash}) => {
+  const opHashKey = _cacheKey.operationHash({ledgerNodeId, operationHash});
+  return !!(await cache.client.exists(opHashKey));
+};
+
+/**
+ * Get the hash of the latest operation on a record that was added via the
+ * ledger node. Hashes are kept for `operations.status.ttl` seconds.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param recordId {string} - The hashed ID of the record (see
+ *   `util.generateRecordId`).
+ *
+ * @returns {Promise<string|null>} The operation hash or `null`.
+ */
+exports.getRecordOperation = async ({ledgerNodeId, recordId}) => {
+  const opRecordKey = _cacheKey.operationRecord({ledgerNodeId, recordId});
+  return cache.client.get(opRecordKey);
+};
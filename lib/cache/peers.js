@@ -55,3 +55,56 @@ exports.getLedgerNodeId = async ({voterId}) => {
   const key = _cacheKey.ledgerNode(voterId);
   return cache.client.get(key);
 };
+
+/**
+ * Gets the `sameAs` links between voter IDs from the cache, see
+ * `rotation.getSameAs`.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ *
+ * @returns {Promise<Object>} Resolves to `{sameAs, version}` where `sameAs`
+ *   is an array of `[previous voter ID, latest voter ID]` or `null` if it was
+ *   not found or is out of date, and `version` is the version to cache new
+ *   links with.
+ */
+exports.getSameAs = async ({ledgerNodeId}) => {
+  const [json, current] = await cache.client.mget(
+    _cacheKey.sameAs(ledgerNodeId), _cacheKey.sameAsVersion(ledgerNodeId));
+  const version = parseInt(current, 10) || 0;
+  if(json) {
+    const cached = JSON.parse(json);
+    if(cached.version === version) {
+      // cache hit
+      return {sameAs: cached.sameAs, version};
+    }
+  }
+  return {sameAs: null, version};
+};
+
+/**
+ * Caches the `sameAs` links between voter IDs. The links are ignored once
+ * a new ledger configuration becomes effective, see `invalidateSameAs`.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param sameAs {Array} - The links, see `getSameAs`.
+ * @param version {Number} - The version from `getSameAs`.
+ *
+ * @returns {Promise} resolves once the operation completes.
+ */
+exports.setSameAs = async ({ledgerNodeId, sameAs, version}) => {
+  const key = _cacheKey.sameAs(ledgerNodeId);
+  return cache.client.set(key, JSON.stringify({sameAs, version}));
+};
+
+/**
+ * Invalidates the cached `sameAs` links between voter IDs, e.g. when a new
+ * ledger configuration, which may rotate a voter key, becomes effective.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ *
+ * @returns {Promise} resolves once the operation completes.
+ */
+exports.invalidateSameAs = async ({ledgerNodeId}) => {
+  const key = _cacheKey.sameAsVersion(ledgerNodeId);
+  return cache.client.incr(key);
+};
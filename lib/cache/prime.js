@@ -20,6 +20,9 @@ exports.primeAll = async ({ledgerNode}) => {
   await exports.primeChildlessEvents({ledgerNode});
   logger.debug(
     'Successfully primed childless events.', {ledgerNodeId: ledgerNode.id});
+  await exports.primeOperationQueue({ledgerNode});
+  logger.debug(
+    'Successfully primed operation queue.', {ledgerNodeId: ledgerNode.id});
   logger.debug('Successfully primed the cache.', {ledgerNodeId: ledgerNode.id});
 };
 
@@ -67,6 +70,10 @@ exports.primeOutstandingMergeEvents = async ({ledgerNode}) => {
   await txn.exec();
 };
 
+// restores operations that have not yet been written to events
+exports.primeOperationQueue = async ({ledgerNode}) =>
+  ledgerNode.consensus._mempool.restoreQueue({ledgerNode});
+
 exports.getChildlessEvents = async ({ledgerNode}) => {
   const ledgerNodeId = ledgerNode.id;
   const {id: creatorId} = await ledgerNode.consensus._peers.get(
@@ -0,0 +1,262 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _continuity = require('./continuity');
+const _signature = require('./signature');
+const _util = require('./util');
+const _witnesses = require('./witnesses');
+const bedrock = require('bedrock');
+const database = require('bedrock-mongodb');
+const logger = require('./logger');
+const {util: {BedrockError}} = bedrock;
+
+require('./config');
+
+const CHECKPOINT_TYPE = 'ContinuityCheckpoint';
+
+// module API
+const api = {};
+module.exports = api;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections(['continuity2017_checkpoint']);
+  await database.createIndexes([{
+    collection: 'continuity2017_checkpoint',
+    fields: {ledgerNodeId: 1, 'checkpoint.blockHeight': 1},
+    options: {unique: true, background: false}
+  }]);
+});
+
+/**
+ * Creates, signs, and stores a checkpoint for the latest block of a ledger
+ * node. A checkpoint contains everything a new node needs to join the
+ * ledger at that block instead of at genesis:
+ *
+ *   ledger the ID of the ledger.
+ *   ledgerConfigurationHash the hash of the effective ledger configuration.
+ *   blockHeight the height of the block.
+ *   blockHash the hash of the block.
+ *   witnesses the witnesses for the next block.
+ *   heads the most recent merge event from each creator that has reached
+ *     consensus, as an array of `{creator, eventHash, generation,
+ *     blockHeight}` sorted by creator.
+ *
+ * Every honest node computes the same checkpoint for a given block, so
+ * the signatures from many nodes may be combined via `merge`.
+ *
+ * @param ledgerNode the ledger node to create the checkpoint for.
+ *
+ * @return a Promise that resolves to the signed checkpoint.
+ */
+api.create = async ({ledgerNode}) => {
+  const ledgerNodeId = ledgerNode.id;
+  const {storage} = ledgerNode;
+  const [
+    {event: {ledgerConfiguration: {ledger}}, meta: {eventHash}},
+    {eventBlock: {block, meta: {blockHash}}}
+  ] = await Promise.all([
+    storage.events.getLatestConfig(),
+    storage.blocks.getLatestSummary()
+  ]);
+  const {blockHeight} = block;
+  const [{witnesses}, heads] = await Promise.all([
+    _witnesses.getBlockWitnesses({blockHeight: blockHeight + 1, ledgerNode}),
+    _getHeads({blockHeight, ledgerNode})
+  ]);
+
+  const checkpoint = {
+    type: CHECKPOINT_TYPE,
+    ledger,
+    ledgerConfigurationHash: eventHash,
+    blockHeight,
+    blockHash,
+    witnesses,
+    heads
+  };
+  checkpoint.signature = [await api.sign({checkpoint, ledgerNodeId})];
+
+  const collection = database.collections.continuity2017_checkpoint;
+  try {
+    await collection.insertOne(
+      {ledgerNodeId, checkpoint, meta: {created: Date.now()}});
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    // already created, e.g. by a prior failed operation
+    return api.get({blockHeight, ledgerNodeId});
+  }
+  logger.debug('Created checkpoint.', {blockHeight, ledgerNodeId});
+  return checkpoint;
+};
+
+/**
+ * Gets a checkpoint previously created by a ledger node.
+ *
+ * @param ledgerNodeId the ID of the ledger node.
+ * @param blockHeight the block height of the checkpoint.
+ *
+ * @return a Promise that resolves to the signed checkpoint.
+ */
+api.get = async ({ledgerNodeId, blockHeight}) => {
+  const collection = database.collections.continuity2017_checkpoint;
+  const record = await collection.findOne(
+    {ledgerNodeId, 'checkpoint.blockHeight': blockHeight},
+    {projection: {_id: 0, checkpoint: 1}});
+  if(!record) {
+    throw new BedrockError(
+      'Checkpoint not found.', 'NotFoundError', {
+        blockHeight,
+        httpStatusCode: 404,
+        ledgerNodeId,
+        public: true
+      });
+  }
+  return record.checkpoint;
+};
+
+/**
+ * Signs a checkpoint using the voter key of a ledger node.
+ *
+ * @param checkpoint the checkpoint to sign; any existing signatures are
+ *   not covered by the new signature.
+ * @param ledgerNodeId the ID of the ledger node.
+ *
+ * @return a Promise that resolves to the signature, `{voterId,
+ *   signatureValue}`.
+ */
+api.sign = async ({checkpoint, ledgerNodeId}) =>
+  _signature.signDocument({document: checkpoint, ledgerNodeId});
+
+/**
+ * Combines the signatures from checkpoints for the same block that were
+ * created by different nodes.
+ *
+ * @param checkpoints the checkpoints to combine.
+ *
+ * @return the combined checkpoint.
+ */
+api.merge = ({checkpoints}) => {
+  const [first] = checkpoints;
+  const expected = _signature.canonicalizeDocument({document: first});
+  const signatures = new Map();
+  for(const checkpoint of checkpoints) {
+    const data = _signature.canonicalizeDocument({document: checkpoint});
+    if(!data.equals(expected)) {
+      throw new BedrockError(
+        'Checkpoints do not match.', 'DataError', {
+          blockHeight: checkpoint.blockHeight
+        });
+    }
+    for(const signature of checkpoint.signature) {
+      signatures.set(signature.voterId, signature);
+    }
+  }
+  return {...first, signature: [...signatures.values()]};
+};
+
+/**
+ * Verifies a checkpoint against a trusted block. The checkpoint must be for
+ * the given block, must list the trusted witnesses for the next block, and
+ * must be signed by a supermajority of those witnesses; signatures from other
+ * voters are ignored. The witnesses listed in the checkpoint itself are never
+ * trusted since anyone may create a checkpoint that lists only themselves.
+ *
+ * The trusted witnesses are either given or, if not, computed by the given
+ * ledger node, whose latest block must be `block`.
+ *
+ * @param block the trusted block.
+ * @param checkpoint the checkpoint to verify.
+ * @param [witnesses] the trusted witnesses for the block after `block`, as
+ *   an array of `{id}`.
+ * @param [ledgerNode] the ledger node to compute the witnesses with if
+ *   `witnesses` is not given.
+ *
+ * @return a Promise that resolves to `{signers}` when the checkpoint is
+ *   valid and rejects otherwise.
+ */
+api.verify = async ({block, checkpoint, witnesses, ledgerNode}) => {
+  if(checkpoint.type !== CHECKPOINT_TYPE) {
+    throw _dataError('Unknown checkpoint type.', {type: checkpoint.type});
+  }
+  const blockHash = await _util.hashBlock(block);
+  if(block.blockHeight !== checkpoint.blockHeight ||
+    blockHash !== checkpoint.blockHash) {
+    throw _dataError('The checkpoint does not match the block.', {
+      blockHash,
+      blockHeight: block.blockHeight,
+      checkpoint: {
+        blockHash: checkpoint.blockHash,
+        blockHeight: checkpoint.blockHeight
+      }
+    });
+  }
+
+  if(!witnesses) {
+    if(!ledgerNode) {
+      throw new TypeError('"witnesses" or "ledgerNode" must be given.');
+    }
+    ({witnesses} = await _witnesses.getBlockWitnesses(
+      {blockHeight: block.blockHeight + 1, ledgerNode}));
+  }
+  const witnessSet = new Set(witnesses.map(({id}) => id));
+  const listed = new Set(checkpoint.witnesses.map(({id}) => id));
+  if(listed.size !== witnessSet.size ||
+    [...listed].some(id => !witnessSet.has(id))) {
+    throw _dataError('The checkpoint does not list the trusted witnesses.', {
+      witnesses: [...witnessSet],
+      checkpoint: {witnesses: [...listed]}
+    });
+  }
+
+  const signers = new Set();
+  for(const signature of checkpoint.signature) {
+    const {voterId} = signature;
+    if(!witnessSet.has(voterId) || signers.has(voterId)) {
+      continue;
+    }
+    if(await _signature.verifyDocument({document: checkpoint, signature})) {
+      signers.add(voterId);
+    }
+  }
+
+  const supermajority = _continuity.supermajority(witnessSet.size);
+  if(signers.size < supermajority) {
+    throw _dataError(
+      'The checkpoint is not signed by a supermajority of witnesses.', {
+        signers: [...signers],
+        supermajority
+      });
+  }
+  return {signers: [...signers]};
+};
+
+async function _getHeads({blockHeight, ledgerNode}) {
+  const records = await ledgerNode.storage.events.collection.aggregate([
+    {$match: {
+      'meta.consensus': true,
+      'meta.blockHeight': {$lte: blockHeight},
+      'meta.continuity2017.type': 'm'
+    }},
+    {$sort: {'meta.continuity2017.generation': -1}},
+    {$group: {
+      _id: '$meta.continuity2017.creator',
+      eventHash: {$first: '$meta.eventHash'},
+      generation: {$first: '$meta.continuity2017.generation'},
+      blockHeight: {$first: '$meta.blockHeight'}
+    }},
+    {$sort: {_id: 1}}
+  ], {allowDiskUse: true}).toArray();
+  return records.map(({_id: creator, eventHash, generation, blockHeight}) =>
+    ({creator, eventHash, generation, blockHeight}));
+}
+
+function _dataError(message, details) {
+  return new BedrockError(message, 'DataError', {
+    ...details,
+    httpStatusCode: 400,
+    public: true
+  });
+}
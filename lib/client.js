@@ -3,26 +3,62 @@
  */
 'use strict';
 
+const _httpSignature = require('./httpSignature');
+const _metrics = require('./metrics');
+const _peers = require('./peers');
 const axios = require('axios');
 const brHttpsAgent = require('bedrock-https-agent');
+const cbor = require('cbor');
 const {httpClient} = require('@digitalbazaar/http-client');
 const {config, util: {BedrockError}} = require('bedrock');
+const {pipeline, Transform} = require('stream');
+const split2 = require('split2');
 
-// TODO: document; returns a stream
-exports.getEvents = async ({eventHash, peerId}) => {
+const CBOR_SEQ = 'application/cbor-seq';
+const NDJSON = 'application/x-ndjson';
+
+/**
+ * Requests events from a peer. If enabled, the events are requested as a
+ * CBOR sequence; if the peer does not support CBOR, it will respond with
+ * newline-delimited JSON instead.
+ *
+ * @param callerId {string} - The voter ID of the local node.
+ * @param eventHash {string[]} - The hashes of the events to get.
+ * @param peerId {string} - The voter ID of the peer.
+ *
+ * @returns {Promise<stream.Readable>} An object mode stream of decoded
+ *   `{event}` records in the order they were sent by the peer.
+ */
+exports.getEvents = async ({callerId, eventHash, peerId}) => {
   const url = peerId + '/events-query';
-  const data = {eventHash};
-  const {'ledger-consensus-continuity': {client: {timeout}}} = config;
+  const body = JSON.stringify({eventHash});
+  const headers = await _createHeaders({body, callerId, url});
+  const {'ledger-consensus-continuity': {client: {timeout}, gossip: {cbor: {
+    enabled: cborEnabled
+  }}}} = config;
+  headers.accept = cborEnabled ? `${CBOR_SEQ}, ${NDJSON};q=0.9` : NDJSON;
   const {httpsAgent} = brHttpsAgent;
   const response = await httpClient.post(url, {
     agent: httpsAgent,
-    json: data,
+    body,
+    headers,
     timeout
   });
   if(!response.ok) {
     throw new Error(`Error retrieving events from peer: "${peerId}"`);
   }
-  return response.body;
+  const ledgerNodeId = await _peers.getLedgerNodeId(callerId);
+  const peerLabel = await _metrics.getPeerLabel({ledgerNodeId, peerId});
+  const counter = _countBytes(bytes => _metrics.increment({
+    name: 'gossipReceivedBytes',
+    labels: {ledgerNodeId, peerId: peerLabel},
+    value: bytes
+  }));
+  const contentType = response.headers.get('content-type') || '';
+  if(contentType.startsWith(CBOR_SEQ)) {
+    return pipeline(response.body, counter, new cbor.Decoder(), () => {});
+  }
+  return pipeline(response.body, counter, split2(JSON.parse), () => {});
 };
 
 exports.getHistory = async ({callerId, creatorHeads, headsOnly, peerId}) => {
@@ -38,6 +74,8 @@ exports.getHistory = async ({callerId, creatorHeads, headsOnly, peerId}) => {
   if(headsOnly) {
     data.headsOnly = true;
   }
+  const body = JSON.stringify(data);
+  const headers = await _createHeaders({body, callerId, url});
   const {'ledger-consensus-continuity': {client: {timeout}}} = config;
   const {httpsAgent} = brHttpsAgent;
   let res;
@@ -46,7 +84,8 @@ exports.getHistory = async ({callerId, creatorHeads, headsOnly, peerId}) => {
       httpsAgent,
       method: 'POST',
       url,
-      data,
+      data: body,
+      headers,
       timeout,
     });
   } catch(error) {
@@ -69,8 +108,36 @@ exports.getHistory = async ({callerId, creatorHeads, headsOnly, peerId}) => {
   return res.data;
 };
 
+/**
+ * Gets the signed checkpoint a peer created for a block.
+ *
+ * @param blockHeight {Number} - The block height of the checkpoint.
+ * @param peerId {string} - The voter ID of the peer.
+ *
+ * @returns {Promise<Object>} The checkpoint.
+ */
+exports.getCheckpoint = async ({blockHeight, peerId}) => {
+  const url = `${peerId}/checkpoints/${blockHeight}`;
+  const {'ledger-consensus-continuity': {client: {timeout}}} = config;
+  const {httpsAgent} = brHttpsAgent;
+  try {
+    const response = await httpClient.get(url, {agent: httpsAgent, timeout});
+    return response.data;
+  } catch(e) {
+    throw new BedrockError(
+      'Could not get checkpoint.', 'NetworkError', {
+        blockHeight,
+        httpStatusCode: e.status,
+        peerId
+      }, e);
+  }
+};
+
 exports.notifyPeer = async ({callerId, peerId}) => {
   const url = `${peerId}/notify`;
+  // the peerId sent to the peer node is the peerId of the local node
+  const body = JSON.stringify({peerId: callerId});
+  const headers = await _createHeaders({body, callerId, url});
   const {'ledger-consensus-continuity': {client: {timeout}}} = config;
   const {httpsAgent} = brHttpsAgent;
   try {
@@ -78,8 +145,8 @@ exports.notifyPeer = async ({callerId, peerId}) => {
       httpsAgent,
       method: 'POST',
       url,
-      // the peerId sent to the peer node is the peerId of the local node
-      data: {peerId: callerId},
+      data: body,
+      headers,
       timeout,
     });
   } catch(error) {
@@ -90,6 +157,30 @@ exports.notifyPeer = async ({callerId, peerId}) => {
   }
 };
 
+// every request to a peer is signed so the peer can authenticate the caller;
+// the body is serialized here so that the digest covers the exact bytes sent
+async function _createHeaders({body, callerId, url}) {
+  const headers = await _httpSignature.createHeaders({body, callerId, url});
+  headers['content-type'] = 'application/json';
+  return headers;
+}
+
+// passes data through unchanged, calling `onEnd` with the total number of
+// bytes once the stream ends
+function _countBytes(onEnd) {
+  let bytes = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      callback(null, chunk);
+    },
+    flush(callback) {
+      onEnd(bytes);
+      callback();
+    }
+  });
+}
+
 function _processAxiosError(error) {
   const {request, response} = error;
   let cause;
@@ -17,6 +17,18 @@ cfg.routes.root = '/consensus/continuity2017/voters/:voterId';
 cfg.routes.eventsQuery = cfg.routes.root + '/events-query';
 cfg.routes.gossip = cfg.routes.root + '/gossip';
 cfg.routes.notify = cfg.routes.root + '/notify';
+// authenticated read-only routes for inspecting consensus state
+cfg.routes.adminConsensusState = cfg.routes.root + '/admin/consensus-state';
+cfg.routes.adminPeers = cfg.routes.root + '/admin/peers';
+cfg.routes.adminForks = cfg.routes.root + '/admin/forks';
+// metrics in the Prometheus text exposition format
+cfg.routes.metrics = '/consensus/continuity2017/metrics';
+// signed checkpoints that new nodes may bootstrap from
+cfg.routes.checkpoint = cfg.routes.root + '/checkpoints/:blockHeight';
+// the status of an operation by `operationHash` or `recordId` query parameter
+cfg.routes.operationStatus = cfg.routes.root + '/operations/status';
+// server-sent events for newly written blocks
+cfg.routes.blockStream = cfg.routes.root + '/blocks/stream';
 
 cfg.keyParameters = {};
 
@@ -31,6 +43,14 @@ cfg.worker = {
   }
 };
 
+cfg.authentication = {};
+// maximum clock skew in seconds allowed on the `date` of signed peer requests
+cfg.authentication.maxClockSkew = 300;
+
+cfg.checkpoint = {};
+// create a signed checkpoint every `interval` blocks
+cfg.checkpoint.interval = 1000;
+
 cfg.client = {};
 // connection timeout in ms
 cfg.client.timeout = 2500;
@@ -49,10 +69,19 @@ const batchProcess = cfg.gossip.batchProcess = {};
 batchProcess.enable = true;
 // the number of gossip events to process concurrently
 batchProcess.concurrentEventsPerWorker = 1;
+// verify the signatures of the merge events in a gossip batch together in a
+// worker thread instead of in each event validation job; if any signature is
+// invalid, each merge event is verified on its own to find the invalid one
+batchProcess.verification = {};
+batchProcess.verification.enabled = true;
+// batches with fewer merge events are verified in the event validation jobs
+batchProcess.verification.minBatchSize = 2;
+batchProcess.verification.maxWorkers = 1;
+// time (ms) after which a batch is verified without the worker
+batchProcess.verification.timeout = 30000;
 
-// maximum number of peers to gossip with at once
-// not currently used, gossip occurs in series, there is no benefit in speaking
-// to multiple peers simultaneously with current algo, just leads to dups
+// maximum number of peers to gossip with at once; events that are needed
+// from more than one peer are only downloaded from one of them
 cfg.gossip.concurrentPeers = 3;
 cfg.gossip.requestPool = {};
 
@@ -62,6 +91,32 @@ cfg.gossip.cache = {};
 cfg.gossip.cache.enabled = false;
 cfg.gossip.cache.ttl = 5;
 
+// the strategy used to order peers for gossip, one of `latencyWeighted`,
+// `random`, `recentlyProductive`, `roundRobin` or a strategy registered via
+// `gossipStrategies.use`; may be overridden by `gossipStrategy` in the ledger
+// configuration; an unknown strategy falls back to `random`
+cfg.gossip.strategy = 'random';
+
+// negotiate CBOR sequences (instead of newline-delimited JSON) when
+// transferring events between peers
+cfg.gossip.cbor = {};
+cfg.gossip.cbor.enabled = true;
+// the number of recently requested events to keep CBOR encoded in memory
+// per bedrock worker process
+cfg.gossip.cbor.cacheSize = 1000;
+
+// limits on gossip notifications received from peers
+cfg.gossip.notification = {};
+// maximum number of pending notifications kept for each of the witness and
+// non-witness queues; the oldest notifications are dropped first
+cfg.gossip.notification.maxSize = 100;
+// time (ms) after which a pending notification is discarded
+cfg.gossip.notification.ttl = 60000;
+// maximum number of notifications accepted from a single peer per window
+cfg.gossip.notification.maxPerPeer = 10;
+// rate limit window (ms)
+cfg.gossip.notification.rateLimitWindow = 10000;
+
 // how long to wait (ms) before contacting the same peer again
 cfg.gossip.coolDownPeriod = 500;
 // very important setting
@@ -74,10 +129,37 @@ cfg.consensus = {};
 // delay after event write in ms
 cfg.consensus.debounce = 0;
 
+// store the support computed while seeking consensus so that later work
+// sessions, including those in other processes, can resume from it instead
+// of recomputing it
+cfg.consensus.state = {};
+cfg.consensus.state.persist = true;
+// time (seconds) to keep stored support for a block height
+cfg.consensus.state.ttl = 3600;
+
+// include a report explaining why consensus was not found in the consensus
+// status (see the admin consensus state route); the report is logged when
+// no block has been written for `stallThreshold` ms
+cfg.consensus.diagnostics = {};
+cfg.consensus.diagnostics.enabled = false;
+cfg.consensus.diagnostics.stallThreshold = 10 * 60 * 1000;
+
+// run consensus in worker threads so that large calculations do not block
+// the event loop
 cfg.consensus.workerpool = {};
 cfg.consensus.workerpool.enabled = false;
 cc('ledger-consensus-continuity.consensus.workerpool.maxWorkers', () =>
   Math.max(os.cpus().length - 1, 1));
+// give each ledger node its own worker that keeps its consensus state
+// resident, up to `maxWorkers` workers for the most recently used ledger
+// nodes; otherwise ledger nodes share a pool of `maxWorkers` workers
+cfg.consensus.workerpool.pinned = false;
+// time (ms) after which a consensus calculation is aborted and its worker
+// is terminated
+cfg.consensus.workerpool.timeout = 5 * 60 * 1000;
+// time (ms) after which a worker drops the resident consensus state of a
+// ledger node that it has not run a calculation for
+cfg.consensus.workerpool.stateTtl = 10 * 60 * 1000;
 
 cfg.events = {};
 // ttl (sec) for cached counter
@@ -89,6 +171,47 @@ cfg.events.counter = {ttl: 6000};
 // the ops/event ratio can also be modulated by adjusting the
 // `operations.debounce` config value
 
+cfg.metrics = {};
+// record metrics and serve them via `routes.metrics`
+cfg.metrics.enabled = true;
+// serve metrics without authentication; otherwise `routes.metrics` requires
+// an authenticated actor with the `CONTINUITY_STATE_ACCESS` permission
+cfg.metrics.public = false;
+
+// storage for the private keys of voters; `backend` is used for new keys,
+// one of `encrypted`, `remote` or a backend registered via `keyStorage.use`
+cfg.keyStorage = {};
+cfg.keyStorage.backend = 'encrypted';
+// encrypts keys at rest using a 32 byte, base64 encoded key encryption key;
+// to rotate the KEK, move the current one to `previousKeks`; bedrock fails to
+// start if the `encrypted` backend is used without a KEK
+cfg.keyStorage.encrypted = {};
+cfg.keyStorage.encrypted.kek = {id: null, secret: null};
+cfg.keyStorage.encrypted.previousKeks = [];
+// keeps keys in a remote signer, see `lib/keyStorage/remote.js`
+cfg.keyStorage.remote = {};
+cfg.keyStorage.remote.url = null;
+cfg.keyStorage.remote.headers = {};
+// request timeout (ms)
+cfg.keyStorage.remote.timeout = 10000;
+
+// notifications of newly written blocks, see `subscriptions`
+cfg.subscriptions = {};
+// interval (ms) between keep-alive comments on block streams
+cfg.subscriptions.keepAliveInterval = 15000;
+// the maximum number of subscriptions, including block streams, per bedrock
+// worker process; more are rejected with a 503
+cfg.subscriptions.maxListeners = 1000;
+cfg.subscriptions.webhooks = {};
+// delivery attempts per notification, retried with exponential backoff
+// starting at `backoff` ms
+cfg.subscriptions.webhooks.attempts = 8;
+cfg.subscriptions.webhooks.backoff = 1000;
+// the number of deliveries to make concurrently per bedrock worker
+cfg.subscriptions.webhooks.concurrency = 5;
+// request timeout (ms)
+cfg.subscriptions.webhooks.timeout = 10000;
+
 cfg.merge = {};
 // use a fixed debounce (ms)
 cfg.merge.fixedDebounce = 0;
@@ -97,11 +220,62 @@ cfg.operations = {};
 // ttl (sec) for cached counter
 cfg.operations.counter = {ttl: 6000};
 cfg.operations.debounce = 0;
+// time (seconds) to remember the latest operation added on each record so
+// that its status can be found by `recordId` before it is in an event
+cfg.operations.status = {ttl: 24 * 60 * 60};
+// operations are queued in lanes; each local regular event takes operations
+// from the lanes with queued operations in proportion to the lanes' positive
+// weights; an operation is queued in the first lane that lists its submitter
+// in `submitters` (the controller of the key that signed the operation),
+// otherwise operations created by the ledger node itself (see `local` in
+// `operations.add`) are queued in `localLane` and all others in
+// `defaultLane` (operations in a lane that is removed from the configuration
+// are not put into events)
+cfg.operations.queue = {};
+cfg.operations.queue.lanes = {
+  system: {weight: 3, submitters: []},
+  user: {weight: 1, submitters: []}
+};
+cfg.operations.queue.localLane = 'system';
+cfg.operations.queue.defaultLane = 'user';
+// the number of operations taken from each submitter in turn when filling
+// a lane's share of an event
+cfg.operations.queue.submitterQuota = 1;
+// the number of queued operations in each lane that are considered when
+// filling an event
+cfg.operations.queue.scanSize = 1000;
+// queued operations that are not yet in an event are evicted after `maxAge`
+// (ms) or once the blockchain is more than `maxBlockDelta` blocks past their
+// `basisBlockHeight`; `null` for no limit; may be set per operation when it
+// is added
+cfg.operations.expiry = {};
+cfg.operations.expiry.maxAge = null;
+cfg.operations.expiry.maxBlockDelta = null;
+// the minimum time (ms) between sweeps of the queue for expired operations
+cfg.operations.expiry.sweepInterval = 10000;
+// the number of operations each submitter may add per `window` (ms)
+cfg.operations.rateLimit = {};
+cfg.operations.rateLimit.maxPerSubmitter = 1000;
+cfg.operations.rateLimit.window = 10000;
+
+// block verification, see `verifyBlock`
+cfg.verifier = {};
+// the maximum number of blocks after a block whose merge events are used to
+// re-derive consensus on it; fewer are used if consensus is reached with them
+cfg.verifier.maxLookahead = 16;
 
 cfg.writer = {};
 cfg.writer.debounce = 0;
 cfg.writer.maxEvents = 1000;
 
+// permissions
+const permissions = config.permission.permissions;
+permissions.CONTINUITY_STATE_ACCESS = {
+  id: 'CONTINUITY_STATE_ACCESS',
+  label: 'Access Continuity Consensus State',
+  comment: 'Required to inspect the consensus state of a ledger node.'
+};
+
 // common validation schemas
 config.validation.schema.paths.push(
   path.join(__dirname, '..', 'schemas')
@@ -6,6 +6,7 @@
 const _ = require('lodash');
 const bedrock = require('bedrock');
 const _cache = require('./cache');
+const _metrics = require('./metrics');
 const {BedrockError} = bedrock.util;
 const logger = require('./logger');
 const path = require('path');
@@ -14,19 +15,24 @@ const workerpool = require('workerpool');
 // load config defaults
 require('./config');
 
-let consensusPool;
-let consensusWorker;
-bedrock.events.on('bedrock.start', async () => {
-  const cfg = bedrock.config['ledger-consensus-continuity'];
-  if(!cfg.consensus.workerpool.enabled) {
-    return;
-  }
+const WORKER_SCRIPT = path.join(__dirname, 'continuityWorkerPoolWorker.js');
+
+// the shared pool or, if pinned, ledgerNodeId => a pool with one worker in
+// least recently used order
+let sharedPool;
+const pinnedPools = new Map();
+// state => the single worker pool whose worker has been given the state's
+// support; a pool with more workers may run each calculation in any of them
+const seededStates = new WeakMap();
 
-  // start a worker pool for consensus calculations
-  const maxWorkers = cfg.consensus.workerpool.maxWorkers;
-  consensusPool = workerpool.pool(
-    path.join(__dirname, 'continuityWorkerpoolWorker.js'), {maxWorkers});
-  consensusWorker = await consensusPool.proxy();
+bedrock.events.on('bedrock.stop', async () => {
+  const pools = [...pinnedPools.values()];
+  if(sharedPool) {
+    pools.push(sharedPool);
+  }
+  sharedPool = null;
+  pinnedPools.clear();
+  await Promise.all(pools.map(pool => pool.terminate()));
 });
 
 // module API
@@ -36,6 +42,7 @@ module.exports = api;
 // exposed for testing
 api._continuity = require('./continuity');
 api._getAncestors = _getAncestors;
+api._getPool = _getPool;
 
 /**
  * Determine if any new merge events have reached consensus in the given
@@ -48,6 +55,8 @@ api._getAncestors = _getAncestors;
  * @param witnesses the current witnesses.
  * @param [state=null] an optional object for storing state information that
  *   can be reused for the same `blockHeight`.
+ * @param [diagnostics=false] `true` to include a diagnostic report in the
+ *   result when consensus is not found.
  *
  * @return a Promise that resolves to a result object with the following
  *   properties:
@@ -59,12 +68,14 @@ api._getAncestors = _getAncestors;
  *     priorityPeers: if consensus is `false`, an array of peer (voter)
  *       IDs identifying the peers that may help achieve consensus most
  *       readily.
+ *     diagnostics: if consensus is `false` and `diagnostics` is set, a
+ *       report explaining why consensus was not found.
  *     creators: the witnesses that participated in events that reached
  *       consensus.
  *     witnesses: all witnesses that could have participated.
  */
 api.find = async ({
-  ledgerNode, history, blockHeight, witnesses, state
+  ledgerNode, history, blockHeight, witnesses, state, diagnostics = false
 }) => {
   logger.verbose('Start sync _runConsensusInPool, witnesses', {witnesses});
   const timer = new _cache.Timer();
@@ -72,11 +83,16 @@ api.find = async ({
   let result;
   try {
     result = await _runConsensusInPool({
-      ledgerNode, history, blockHeight, witnesses, state
+      ledgerNode, history, blockHeight, witnesses, state, diagnostics
     });
   } finally {
     const duration = await timer.stop();
     logger.verbose('End sync _runConsensusInPool', {duration});
+    await _metrics.observe({
+      name: 'findConsensusDuration',
+      labels: {ledgerNodeId: ledgerNode.id},
+      value: duration / 1000
+    });
   }
 
   // no consensus found
@@ -99,26 +115,131 @@ api.find = async ({
 };
 
 async function _runConsensusInPool({
-  ledgerNode, history, blockHeight, witnesses, state
+  ledgerNode, history, blockHeight, witnesses, state, diagnostics
 }) {
   const cfg = bedrock.config['ledger-consensus-continuity'].consensus;
   if(!cfg.workerpool.enabled) {
     // run consensus directly
     return api._continuity.findConsensus({
       ledgerNodeId: ledgerNode.id, history, blockHeight,
-      witnesses, state, logger
+      witnesses, state, diagnostics, logger
+    });
+  }
+
+  // run consensus in a worker thread so that the event loop is not blocked;
+  // if the worker crashes, retry once with a new worker
+  try {
+    return await _execInPool({
+      ledgerNode, history, blockHeight, witnesses, state, diagnostics
+    });
+  } catch(e) {
+    if(!_isWorkerCrash(e)) {
+      throw e;
+    }
+    logger.error('Consensus worker crashed; retrying.', {
+      error: e, ledgerNodeId: ledgerNode.id
+    });
+    return _execInPool({
+      ledgerNode, history, blockHeight, witnesses, state, diagnostics
     });
   }
+}
+
+async function _execInPool({
+  ledgerNode, history, blockHeight, witnesses, state, diagnostics
+}) {
+  const ledgerNodeId = ledgerNode.id;
+  const {stateTtl, timeout} =
+    bedrock.config['ledger-consensus-continuity'].consensus.workerpool;
+
+  // give the worker any support it may not have, e.g. support loaded from
+  // a previous work session or computed by a worker that has since crashed;
+  // which worker in a pool with more than one will run the calculation is
+  // not known, so it is always given the support
+  const pool = _getPool({ledgerNodeId});
+  let support;
+  if(state && (pool.maxWorkers !== 1 || seededStates.get(state) !== pool)) {
+    support = [...api._continuity.getSupportCache({state})];
+  }
+
+  let result;
+  try {
+    result = await pool.exec('findConsensus', [{
+      ledgerNodeId,
+      history: {
+        events: history.events,
+        localBranchHead: history.localBranchHead
+      },
+      blockHeight, witnesses, support, diagnostics, stateTtl
+    }]).timeout(timeout);
+  } catch(e) {
+    if(state) {
+      seededStates.delete(state);
+    }
+    const reason = e instanceof workerpool.Promise.TimeoutError ?
+      'timeout' : _isWorkerCrash(e) ? 'crash' : 'error';
+    await _metrics.increment(
+      {name: 'consensusWorkerFailures', labels: {ledgerNodeId, reason}});
+    if(reason === 'timeout') {
+      // the worker is terminated when the task times out
+      throw new BedrockError(
+        'Consensus calculation timed out.', 'TimeoutError', {
+          blockHeight, ledgerNodeId, timeout
+        }, e);
+    }
+    throw e;
+  }
+
+  // keep the support computed by the worker so that it can be stored and
+  // given to a new worker if needed
+  if(state) {
+    if(pool.maxWorkers === 1) {
+      seededStates.set(state, pool);
+    }
+    if(result.support && result.support.length > 0) {
+      api._continuity.setSupportCache(
+        {state, blockHeight, support: new Map(result.support)});
+    }
+  }
+  delete result.support;
+  return result;
+}
+
+function _getPool({ledgerNodeId}) {
+  const {maxWorkers, pinned} =
+    bedrock.config['ledger-consensus-continuity'].consensus.workerpool;
+  const options = {maxWorkers, workerType: 'thread'};
+  if(!pinned) {
+    if(!sharedPool) {
+      sharedPool = workerpool.pool(WORKER_SCRIPT, options);
+    }
+    return sharedPool;
+  }
+  // a pinned worker keeps the consensus state for its ledger node resident
+  let pool = pinnedPools.get(ledgerNodeId);
+  if(pool) {
+    // mark the pool as most recently used
+    pinnedPools.delete(ledgerNodeId);
+  } else {
+    pool = workerpool.pool(WORKER_SCRIPT, {...options, maxWorkers: 1});
+  }
+  pinnedPools.set(ledgerNodeId, pool);
+  // keep at most `maxWorkers` pinned workers; the least recently used worker
+  // is terminated once it completes any calculation in progress
+  for(const [id, lruPool] of pinnedPools) {
+    if(pinnedPools.size <= maxWorkers) {
+      break;
+    }
+    pinnedPools.delete(id);
+    lruPool.terminate().catch(error => logger.error(
+      'Could not terminate consensus worker.', {error, ledgerNodeId: id}));
+  }
+  return pool;
+}
 
-  // run consensus in pool
-  return consensusWorker.findConsensus({
-    ledgerNodeId: ledgerNode.id,
-    history: {
-      events: history.events,
-      localBranchHead: history.localBranchHead
-    },
-    blockHeight, witnesses
-  });
+function _isWorkerCrash(e) {
+  return e instanceof Error &&
+    e.message.startsWith('Workerpool Worker terminated Unexpectedly');
 }
 
 // TODO: documentation
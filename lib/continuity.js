@@ -26,6 +26,8 @@ api._findConsensusSet = _findConsensusSet;
  * @param witnesses the current witnesses.
  * @param [state=null] an optional object for storing state information that
  *   can be reused for the same `blockHeight`.
+ * @param [diagnostics=false] `true` to include a diagnostic report in the
+ *   result when consensus is not found.
  * @param logger the logger to use.
  *
  * @return a result object with the following properties:
@@ -35,28 +37,19 @@ api._findConsensusSet = _findConsensusSet;
  *   priorityPeers: if consensus is `false`, an array of peer
  *     IDs identifying the peers that may help achieve consensus most
  *     readily.
+ *   diagnostics: if consensus is `false` and `diagnostics` is set, a report
+ *     explaining why consensus was not found, see `_getDiagnostics`.
  *   creators: the witnesses that participated in events that reached
  *     consensus.
  */
 api.findConsensus = ({
   ledgerNodeId, history, blockHeight, witnesses, state = null,
-  logger = noopLogger
+  diagnostics = false, logger = noopLogger
 }) => {
   // initialize/validate state as needed
   if(state) {
     if(!state.init) {
-      state.init = true;
-      state.eventMap = null;
-      // guard against misusing state for the wrong block height
-      state.blockHeight = blockHeight;
-      // maps that enable lookups/reverse lookups of pairs of `eventHash` and
-      // memo containing the hash and a unique identifier (Symbol) to enable
-      // caches to share memory
-      state.hashToMemo = new Map();
-      state.symbolToMemo = new Map();
-      // cached support sets for events, key'd by memo Symbol associated with
-      // the event's hash
-      state.supportCache = new Map();
+      _initState({state, blockHeight});
     } else if(state.blockHeight !== blockHeight) {
       throw new Error(
         `Given "state" is blockHeight "${state.blockHeight}", ` +
@@ -109,6 +102,13 @@ api.findConsensus = ({
     });
 
     //logger.verbose('findConsensus no result found, exiting');
+    if(diagnostics) {
+      return {
+        consensus: false,
+        priorityPeers,
+        diagnostics: _getDiagnostics({blockHeight, witnessTails, witnesses})
+      };
+    }
     return {consensus: false, priorityPeers};
   }
   //logger.verbose('findConsensus result found, proceeding...');
@@ -137,6 +137,54 @@ api.findConsensus = ({
   };
 };
 
+/**
+ * Gets the support cached in the given state so that it can be stored and
+ * used to resume finding consensus for the same `blockHeight` later, e.g.
+ * in another work session.
+ *
+ * @param state the state object given to `findConsensus`.
+ *
+ * @return a Map of event hash => an array of the hashes of the events that
+ *   the event supports.
+ */
+api.getSupportCache = ({state}) => {
+  const support = new Map();
+  if(!(state && state.init)) {
+    return support;
+  }
+  for(const [s, memos] of state.supportCache) {
+    const {h} = state.symbolToMemo.get(s);
+    support.set(h, memos.map(({h}) => h));
+  }
+  return support;
+};
+
+/**
+ * Adds previously cached support to the given state, initializing it for
+ * `blockHeight` if necessary. The support must have been computed for the
+ * same `blockHeight`; support for an event only depends on its ancestry, so
+ * it remains valid as long as no block has been written.
+ *
+ * @param state the state object to give to `findConsensus`.
+ * @param blockHeight the block height the support was computed for.
+ * @param support a Map of event hash => an array of the hashes of the events
+ *   that the event supports, see `getSupportCache`.
+ */
+api.setSupportCache = ({state, blockHeight, support}) => {
+  if(!state.init) {
+    _initState({state, blockHeight});
+  } else if(state.blockHeight !== blockHeight) {
+    throw new Error(
+      `Given "state" is blockHeight "${state.blockHeight}", ` +
+      `not expected blockHeight "${blockHeight}".`);
+  }
+  for(const [eventHash, supportHashes] of support) {
+    const memo = _memoizeEventHash({state, eventHash});
+    state.supportCache.set(memo.s, supportHashes.map(
+      eventHash => _memoizeEventHash({state, eventHash})));
+  }
+};
+
 /**
  * Calculate a supermajority of witnesses (`2f+1`). When witnesses <= 3,
  * every witness must agree.
@@ -1650,6 +1698,137 @@ function _getCachedSupportSet({state, event, supportSets}) {
   return _getSupportSet(supportSets, set);
 }
 
+/**
+ * Builds a report explaining why consensus has not been found. It must be
+ * called after `_findConsensusSet` so that support has been computed.
+ *
+ * @param blockHeight the block height consensus is sought for.
+ * @param witnessTails the tails of recent history indexed by witness ID.
+ * @param witnesses the current witnesses.
+ *
+ * @return a report with the following properties:
+ *   blockHeight: the block height consensus is sought for.
+ *   supermajority: the number of witnesses that constitute a supermajority.
+ *   witnesses: an array with the following for each witness:
+ *     id: the ID of the witness.
+ *     tail: the hashes of the earliest merge events on its branch.
+ *     head: the hashes of the latest merge events on its branch.
+ *     generation: the generation of its head on its branch.
+ *     byzantine: `true` if the witness has forked its branch.
+ *     y: the hash of its `y` candidate or `null` if it has none yet.
+ *     support: the hashes of the `y` events supported by the latest event
+ *       on its branch that has computed support or `null` if none has.
+ *     proposal: the hash of its current proposal or `null`.
+ *     proposalEndorsed: `true` if its current proposal has been endorsed.
+ *     endorserCount: the number of witnesses that have endorsed its
+ *       current proposal.
+ *   leadingSupport: the support of the most witnesses or `null`.
+ *   leadingSupportCount: the number of witnesses with `leadingSupport`.
+ *   missingWitnesses: the IDs of the witnesses that do not support
+ *     `leadingSupport`, from which a supermajority must still be reached.
+ */
+function _getDiagnostics({blockHeight, witnessTails, witnesses}) {
+  const supermajority = api.supermajority(witnesses.length);
+  const reports = [];
+  const tally = new Map();
+  for(const {id} of witnesses) {
+    const tail = witnessTails.get(id);
+    if(!tail) {
+      reports.push({
+        id, tail: [], head: [], generation: 0, byzantine: false, y: null,
+        support: null, proposal: null, proposalEndorsed: false,
+        endorserCount: 0
+      });
+      continue;
+    }
+    const head = tail[0]._c.head || [];
+    const report = {
+      id,
+      tail: tail.map(({eventHash}) => eventHash),
+      head: head.map(({eventHash}) => eventHash),
+      generation: tail[0]._c.headGeneration,
+      byzantine: tail.length > 1 || head.length > 1,
+      y: null,
+      support: null,
+      proposal: null,
+      proposalEndorsed: false,
+      endorserCount: 0
+    };
+    reports.push(report);
+
+    // walk the branch from its tail to find its `y` and latest support
+    let supportEvent = null;
+    let next = tail;
+    while(next.length > 0) {
+      const current = next;
+      next = [];
+      for(const event of current) {
+        if(event._c.y && !report.y) {
+          report.y = event.eventHash;
+        }
+        if(event._c.support !== null) {
+          supportEvent = event;
+        }
+        next.push(...event._c.treeChildren);
+      }
+    }
+    if(!supportEvent) {
+      continue;
+    }
+    if(supportEvent._c.support === false) {
+      // support revoked, the witness is byzantine
+      report.byzantine = true;
+      continue;
+    }
+    report.support = supportEvent._c.support.map(({eventHash}) => eventHash);
+    const {proposal} = supportEvent._c;
+    if(proposal) {
+      report.proposal = proposal.eventHash;
+      report.proposalEndorsed = proposal._c.proposalEndorsed;
+      report.endorserCount = proposal._c.endorsers ?
+        proposal._c.endorsers.size : 0;
+    }
+    const key = report.support.join(',');
+    const entry = tally.get(key);
+    if(entry) {
+      entry.witnesses.add(id);
+    } else {
+      tally.set(key, {support: report.support, witnesses: new Set([id])});
+    }
+  }
+
+  let leading = null;
+  for(const entry of tally.values()) {
+    if(!leading || entry.witnesses.size > leading.witnesses.size) {
+      leading = entry;
+    }
+  }
+  return {
+    blockHeight,
+    supermajority,
+    witnesses: reports,
+    leadingSupport: leading ? leading.support : null,
+    leadingSupportCount: leading ? leading.witnesses.size : 0,
+    missingWitnesses: witnesses.map(({id}) => id)
+      .filter(id => !(leading && leading.witnesses.has(id)))
+  };
+}
+
+function _initState({state, blockHeight}) {
+  state.init = true;
+  state.eventMap = null;
+  // guard against misusing state for the wrong block height
+  state.blockHeight = blockHeight;
+  // maps that enable lookups/reverse lookups of pairs of `eventHash` and
+  // memo containing the hash and a unique identifier (Symbol) to enable
+  // caches to share memory
+  state.hashToMemo = new Map();
+  state.symbolToMemo = new Map();
+  // cached support sets for events, key'd by memo Symbol associated with
+  // the event's hash
+  state.supportCache = new Map();
+}
+
 function _memoizeEventHash({state, eventHash}) {
   let memo = state.hashToMemo.get(eventHash);
   if(!memo) {
@@ -6,12 +6,90 @@
 const workerpool = require('workerpool');
 const continuity = require('./continuity');
 
+// consensus state for each ledger node, kept resident in this worker so
+// that support computed by earlier calls for the same block height is not
+// recomputed: ledgerNodeId => {state, known, lastUsed}
+const states = new Map();
+
 workerpool.worker({
+  /**
+   * Runs `continuity.findConsensus` using the resident state for the ledger
+   * node. If the caller has support that this worker may not have (e.g.
+   * after the worker was restarted), it is given as `support`. When
+   * consensus is not found, the support that was computed by this call is
+   * returned as `support` so that the caller can store it.
+   *
+   * @param ledgerNodeId the ID of the ledger node.
+   * @param history recent history, see `continuity.findConsensus`.
+   * @param blockHeight the block height consensus is sought for.
+   * @param witnesses the current witnesses.
+   * @param [support] an array of `[eventHash, supportHashes]` entries to
+   *   add to the state.
+   * @param [diagnostics=false] `true` to include a diagnostic report in the
+   *   result when consensus is not found.
+   * @param [stateTtl=Infinity] the time (ms) after which the resident state
+   *   of a ledger node that has not been used is dropped.
+   *
+   * @return the result of `continuity.findConsensus`.
+   */
   findConsensus: ({
-    ledgerNodeId, history, blockHeight, witnesses, logger
+    ledgerNodeId, history, blockHeight, witnesses, support,
+    diagnostics = false, stateTtl = Infinity
   }) => {
-    return continuity.findConsensus({
-      ledgerNodeId, history, blockHeight, witnesses, logger
+    const now = Date.now();
+    _pruneStates({now, stateTtl});
+    let resident = states.get(ledgerNodeId);
+    if(!resident || resident.state.blockHeight !== blockHeight) {
+      resident = {state: _createState(), known: new Set()};
+      states.set(ledgerNodeId, resident);
+    }
+    resident.lastUsed = now;
+    const {state, known} = resident;
+    if(support && support.length > 0) {
+      continuity.setSupportCache(
+        {state, blockHeight, support: new Map(support)});
+      for(const [eventHash] of support) {
+        known.add(eventHash);
+      }
+    }
+
+    const result = continuity.findConsensus({
+      ledgerNodeId, history, blockHeight, witnesses, state, diagnostics
     });
+    if(result.consensus) {
+      // the state cannot be reused for the next block height
+      states.delete(ledgerNodeId);
+      return result;
+    }
+
+    result.support = [];
+    for(const entry of continuity.getSupportCache({state})) {
+      if(!known.has(entry[0])) {
+        known.add(entry[0]);
+        result.support.push(entry);
+      }
+    }
+    return result;
   }
 });
+
+// drops the states of ledger nodes that this worker no longer runs
+// calculations for, e.g. those now run by another worker in a shared pool
+function _pruneStates({now, stateTtl}) {
+  for(const [ledgerNodeId, {lastUsed}] of states) {
+    if(now - lastUsed > stateTtl) {
+      states.delete(ledgerNodeId);
+    }
+  }
+}
+
+function _createState() {
+  return {
+    init: false,
+    eventMap: new Map(),
+    blockHeight: -1,
+    hashToMemo: new Map(),
+    symbolToMemo: new Map(),
+    supportCache: new Map()
+  };
+}
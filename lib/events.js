@@ -7,9 +7,12 @@ const _blocks = require('./blocks');
 const _cache = require('./cache');
 const _continuityConstants = require('./continuityConstants');
 const _history = require('./history');
+const _mempool = require('./mempool');
+const _metrics = require('./metrics');
 const _operations = require('./operations');
 const _peers = require('./peers');
 const _signature = require('./signature');
+const _signatureSuites = require('./signatureSuites');
 const _util = require('./util');
 const bedrock = require('bedrock');
 const brLedgerNode = require('bedrock-ledger-node');
@@ -160,8 +163,10 @@ api.create = async ({ledgerNode}) => {
     api.add({event, eventHash, ledgerNode}),
   ]);
 
-  // event successfully written, can now pop the chunk off the queue
+  // event successfully written, can now pop the chunk off the queue and
+  // remove its operations from the mempool
   await queue.popChunk();
+  await _mempool.remove({ledgerNodeId, operationHashes: event.operationHash});
 
   // return whether or not there are more operations and the `eventHash` of
   // the created event
@@ -308,7 +313,10 @@ api.merge = async ({
     treeHash,
   };
   const ledgerNodeId = ledgerNode.id;
-  const signed = await _signature.sign({event, ledgerNodeId});
+  const {event: {ledgerConfiguration}} =
+    await ledgerNode.storage.events.getLatestConfig();
+  const type = _signatureSuites.getSigningType({ledgerConfiguration});
+  const signed = await _signature.sign({event, ledgerNodeId, type});
   const eventHash = await _util.hasher(signed);
 
   // local merge events must be written directly to storage
@@ -325,6 +333,8 @@ api.merge = async ({
 
   // update cache
   await _cache.events.addLocalMergeEvent({...record, ledgerNodeId});
+  await _metrics.increment(
+    {name: 'mergeEvents', labels: {ledgerNodeId, origin: 'local'}});
 
   // FIXME: return {record, truncated} instead of mixing truncated into record
   //return {record, truncated};
@@ -337,6 +347,8 @@ api.repairCache = async ({eventHash, ledgerNode}) => {
   // FIXME: update tests to make return value make more sense
   const updateCache = await _cache.events.addLocalMergeEvent(
     {...eventRecord, ledgerNodeId});
+  await _metrics.increment(
+    {name: 'cacheRepairs', labels: {ledgerNodeId, type: 'event'}});
   return {updateCache};
 };
 
@@ -423,7 +435,8 @@ api.getMergeStatus = async ({ledgerNode, creatorId, priorityPeers = []}) => {
   return {mergeable: true, ...status};
 };
 
-async function _genesisProofCreate({ledgerNode, eventHash}) {
+async function _genesisProofCreate(
+  {ledgerConfiguration, ledgerNode, eventHash}) {
   const event = {
     '@context': config.constants.WEB_LEDGER_CONTEXT_V1_URL,
     type: 'ContinuityMergeEvent',
@@ -431,7 +444,8 @@ async function _genesisProofCreate({ledgerNode, eventHash}) {
   };
   const ledgerNodeId = ledgerNode.id;
   const creator = await _peers.get({ledgerNodeId, publicKey: true});
-  const mergeEvent = await _signature.sign({event, ledgerNodeId});
+  const type = _signatureSuites.getSigningType({ledgerConfiguration});
+  const mergeEvent = await _signature.sign({event, ledgerNodeId, type});
   const mergeHash = await _util.hasher(mergeEvent);
   return {creator, mergeEvent, mergeHash};
 }
@@ -492,7 +506,9 @@ async function _addGenesisMergeEvent(
     result = await _verifyGenesisEvents({eventHash, genesisBlock});
   } else {
     // generate genesis proof
-    result = await _genesisProofCreate({eventHash, ledgerNode});
+    const {event: {ledgerConfiguration}} = configEventRecord;
+    result = await _genesisProofCreate(
+      {eventHash, ledgerConfiguration, ledgerNode});
   }
 
   // add merge event
@@ -0,0 +1,245 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _events = require('./events');
+const _metrics = require('./metrics');
+const _signature = require('./signature');
+const _util = require('./util');
+const bedrock = require('bedrock');
+const database = require('bedrock-mongodb');
+const logger = require('./logger');
+const {util: {BedrockError}} = bedrock;
+
+const EVIDENCE_TYPE = 'ContinuityForkEvidence';
+
+// the hashes of the merge events each ledger node has checked for forks
+const _checked = new Map();
+
+// module API
+const api = {};
+module.exports = api;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections(['continuity2017_fork_evidence']);
+  await database.createIndexes([{
+    collection: 'continuity2017_fork_evidence',
+    fields: {ledgerNodeId: 1, 'evidence.creator': 1, 'evidence.treeHash': 1},
+    options: {unique: true, background: false}
+  }, {
+    collection: 'continuity2017_fork_evidence',
+    fields: {ledgerNodeId: 1, 'meta.created': -1},
+    options: {unique: false, background: false}
+  }]);
+});
+
+/**
+ * Finds forks in the given history. A creator has forked when it has signed
+ * more than one merge event with the same tree parent; this is the case that
+ * consensus tolerates as byzantine behavior (multiple tails or heads for a
+ * witness). Such a pair of events is proof of the fork by itself.
+ *
+ * @param history the history of merge events, each having `eventHash`,
+ *   `event.treeHash`, and `meta.continuity2017.creator`.
+ *
+ * @return an array of `{creator, treeHash, eventHashes}`, one for each fork.
+ */
+api.detect = ({history}) => {
+  const branches = new Map();
+  for(const {eventHash, event: {treeHash}, meta} of history.events) {
+    const {creator} = meta.continuity2017;
+    const key = `${creator}|${treeHash}`;
+    const branch = branches.get(key);
+    if(branch) {
+      branch.eventHashes.push(eventHash);
+    } else {
+      branches.set(key, {creator, treeHash, eventHashes: [eventHash]});
+    }
+  }
+  const forks = [];
+  for(const branch of branches.values()) {
+    if(branch.eventHashes.length > 1) {
+      branch.eventHashes.sort();
+      forks.push(branch);
+    }
+  }
+  return forks;
+};
+
+/**
+ * Finds forks in the given history and records evidence for any that have
+ * not been recorded yet. Only forks that include a merge event that was not
+ * in the history given in the previous call for the ledger node are
+ * recorded. Errors are logged and ignored so that recording evidence does
+ * not interfere with consensus; a fork that could not be recorded is tried
+ * again in the next call.
+ *
+ * @param ledgerNode the ledger node.
+ * @param history the history of merge events, see `detect`.
+ *
+ * @return a Promise that resolves to the evidence that was recorded.
+ */
+api.recordAll = async ({ledgerNode, history}) => {
+  const ledgerNodeId = ledgerNode.id;
+  const previous = _checked.get(ledgerNodeId) || new Set();
+  // only the events in the current history are kept so that this is bounded
+  const checked = new Set(history.events.map(({eventHash}) => eventHash));
+  _checked.set(ledgerNodeId, checked);
+  const recorded = [];
+  for(const fork of api.detect({history})) {
+    if(fork.eventHashes.every(eventHash => previous.has(eventHash))) {
+      continue;
+    }
+    try {
+      const evidence = await api.record({ledgerNode, ...fork});
+      if(evidence) {
+        recorded.push(evidence);
+      }
+    } catch(e) {
+      logger.error('Could not record fork evidence.', {
+        creator: fork.creator, error: e, ledgerNodeId
+      });
+      for(const eventHash of fork.eventHashes) {
+        checked.delete(eventHash);
+      }
+    }
+  }
+  return recorded;
+};
+
+/**
+ * Records signed evidence that a creator forked its tree of merge events.
+ * The evidence includes the conflicting merge events with their proofs and
+ * is signed by the voter of the ledger node that detected the fork:
+ *
+ *   type: `ContinuityForkEvidence`.
+ *   ledger: the ID of the ledger.
+ *   creator: the voter ID of the creator that forked.
+ *   treeHash: the tree parent shared by the conflicting events.
+ *   events: the conflicting merge events.
+ *   created: the date the fork was detected.
+ *   signature: `{voterId, signatureValue}`.
+ *
+ * @param ledgerNode the ledger node that detected the fork.
+ * @param creator the creator that forked.
+ * @param treeHash the tree parent shared by the conflicting events.
+ * @param eventHashes the hashes of the conflicting events.
+ *
+ * @return a Promise that resolves to the evidence or `null` if evidence for
+ *   the fork was already recorded.
+ */
+api.record = async ({ledgerNode, creator, treeHash, eventHashes}) => {
+  const ledgerNodeId = ledgerNode.id;
+  const collection = database.collections.continuity2017_fork_evidence;
+  const query = {
+    ledgerNodeId, 'evidence.creator': creator, 'evidence.treeHash': treeHash
+  };
+  if(await collection.findOne(query, {projection: {_id: 1}})) {
+    return null;
+  }
+
+  const [{event: {ledgerConfiguration: {ledger}}}, records] =
+    await Promise.all([
+      ledgerNode.storage.events.getLatestConfig(),
+      _events.getEvents({eventHash: eventHashes, ledgerNode})
+    ]);
+  if(records.some(r => r === null)) {
+    throw new BedrockError(
+      'The forked events could not be found.', 'NotFoundError', {
+        creator, eventHashes, ledgerNodeId
+      });
+  }
+  const evidence = {
+    type: EVIDENCE_TYPE,
+    ledger,
+    creator,
+    treeHash,
+    events: records.map(({event}) => event),
+    created: new Date().toISOString()
+  };
+  evidence.signature = await _signature.signDocument(
+    {document: evidence, ledgerNodeId});
+
+  try {
+    await collection.insertOne(
+      {ledgerNodeId, evidence, meta: {created: Date.now()}});
+  } catch(e) {
+    if(database.isDuplicateError(e)) {
+      return null;
+    }
+    throw e;
+  }
+  logger.warning('Detected a fork.', {creator, eventHashes, ledgerNodeId});
+  await _metrics.increment({name: 'forksDetected', labels: {ledgerNodeId}});
+  return evidence;
+};
+
+/**
+ * Gets the fork evidence recorded by a ledger node, most recent first.
+ *
+ * @param ledgerNodeId the ID of the ledger node.
+ * @param [creator] the creator to get evidence for; all creators by default.
+ *
+ * @return a Promise that resolves to an array of evidence.
+ */
+api.getEvidence = async ({ledgerNodeId, creator}) => {
+  const query = {ledgerNodeId};
+  if(creator) {
+    query['evidence.creator'] = creator;
+  }
+  const collection = database.collections.continuity2017_fork_evidence;
+  const records = await collection.find(
+    query, {projection: {_id: 0, evidence: 1}})
+    .sort({'meta.created': -1}).toArray();
+  return records.map(({evidence}) => evidence);
+};
+
+/**
+ * Verifies fork evidence, including evidence recorded by another node. The
+ * evidence is valid if it is signed by its detector and includes at least
+ * two distinct merge events, each validly signed by `creator`, that share
+ * the same tree parent.
+ *
+ * @param evidence the evidence to verify.
+ *
+ * @return a Promise that resolves once the evidence is verified and rejects
+ *   otherwise.
+ */
+api.verifyEvidence = async ({evidence}) => {
+  const {creator, events, signature, treeHash, type} = evidence;
+  if(type !== EVIDENCE_TYPE) {
+    throw _dataError('Unknown evidence type.', {type});
+  }
+  if(!await _signature.verifyDocument({document: evidence, signature})) {
+    throw _dataError('The evidence signature is invalid.', {
+      voterId: signature && signature.voterId
+    });
+  }
+  const eventHashes = new Set();
+  for(const event of events) {
+    if(event.type !== 'ContinuityMergeEvent' || event.treeHash !== treeHash) {
+      throw _dataError(
+        'Evidence events must be merge events with the same tree parent.',
+        {creator, treeHash});
+    }
+    const {keyOwner: {id}} = await _signature.verify({event});
+    if(id !== creator) {
+      throw _dataError(
+        'Evidence events must be signed by the creator.', {creator, id});
+    }
+    eventHashes.add(await _util.hasher(event));
+  }
+  if(eventHashes.size < 2) {
+    throw _dataError(
+      'Evidence must include at least two distinct merge events.', {creator});
+  }
+};
+
+function _dataError(message, details) {
+  return new BedrockError(message, 'DataError', {
+    ...details,
+    httpStatusCode: 400,
+    public: true
+  });
+}
@@ -13,8 +13,6 @@ const bedrock = require('bedrock');
 const brLedgerNode = require('bedrock-ledger-node');
 const {config, util: {BedrockError}} = bedrock;
 const logger = require('./logger');
-const {pipeline} = require('stream');
-const split2 = require('split2');
 const {validate} = require('bedrock-validation');
 const {'ledger-consensus-continuity': {gossip: {maxEvents}}} = config;
 
@@ -23,8 +21,12 @@ module.exports = api;
 
 api._getNeeded = _getNeeded;
 
-// communicate the very latest heads to the peer
-api.gossipWith = async ({callerId, ledgerNode, peer}) => {
+// communicate the very latest heads to the peer; if `inFlight` is given, only
+// the needed events not already claimed by another concurrent gossip session
+// are downloaded -- the caller must wait on the returned `pending` promise
+// before adding the events and must release the returned `needed` hashes,
+// with an error if the events could not be added
+api.gossipWith = async ({callerId, inFlight, ledgerNode, peer}) => {
   callerId = callerId || (await _peers.get({ledgerNodeId: ledgerNode.id})).id;
   const creator = {id: callerId};
   const {creatorId: peerId} = peer;
@@ -49,7 +51,11 @@ api.gossipWith = async ({callerId, ledgerNode, peer}) => {
 
     // check to see what's needed from the peer by diffing with the cache
     // and local storage
-    const needed = await _diff({eventHashes, ledgerNode});
+    let needed = await _diff({eventHashes, ledgerNode});
+    let pending;
+    if(inFlight) {
+      ({claimed: needed, pending} = inFlight.claim({eventHashes: needed}));
+    }
     if(needed.length === 0) {
       // we already have what we need from other peers, so no need to gossip
       await peer.success();
@@ -63,9 +69,13 @@ api.gossipWith = async ({callerId, ledgerNode, peer}) => {
         name: 'eventsDownloadDurationMs',
         ledgerNodeId: ledgerNode.id
       });
-      events = await _getNeeded({needed, peerId});
+      events = await _getNeeded({callerId, needed, peerId});
       timer.stop();
     } catch(e) {
+      if(inFlight) {
+        // sessions waiting on the events must not add their descendants
+        inFlight.release({eventHashes: needed, error: e});
+      }
       if(_.get(e, 'details.httpStatusCode') === 404) {
         // peer has nothing to share
         await peer.success();
@@ -75,7 +85,10 @@ api.gossipWith = async ({callerId, ledgerNode, peer}) => {
     }
     // peer.success will be recorded in gossip-agent after successful
     // gossip processing
-    return {creator, creatorHeads, events, history, needed, done: !truncated};
+    return {
+      creator, creatorHeads, events, history, needed, pending,
+      done: !truncated
+    };
   } catch(e) {
     await peer.fail(e);
     throw e;
@@ -94,6 +107,22 @@ api.getHeads = async ({creatorId}) => {
   return heads;
 };
 
+// used in server to record a notification from a peer
+api.addNotification = async ({ledgerNodeId, peerId}) => {
+  const isWitness = await _isWitness({ledgerNodeId, peerId});
+  const {rateLimited} = await _cache.gossip.addNotification(
+    {isWitness, ledgerNodeId, peerId});
+  if(rateLimited) {
+    throw new BedrockError(
+      'The peer has exceeded its gossip notification rate limit.',
+      'QuotaExceededError', {
+        httpStatusCode: 429,
+        peerId,
+        public: true
+      });
+  }
+};
+
 async function _diff({eventHashes, ledgerNode}) {
   const notFound = await _events.difference({eventHashes, ledgerNode});
   if(notFound.length === 0) {
@@ -104,7 +133,17 @@ async function _diff({eventHashes, ledgerNode}) {
   return eventHashes.filter(h => needSet.has(h));
 }
 
-async function _getNeeded({needed, peerId}) {
+// determine if `peerId` is a witness for the next block using only the
+// witnesses in the cache; if they are not cached, the peer is treated as a
+// non-witness
+async function _isWitness({ledgerNodeId, peerId}) {
+  const blockHeight = await _cache.blocks.blockHeight(ledgerNodeId);
+  const witnesses = await _cache.witnesses.getWitnesses(
+    {blockHeight: blockHeight + 1, ledgerNodeId});
+  return !!witnesses && witnesses.some(({id}) => id === peerId);
+}
+
+async function _getNeeded({callerId, needed, peerId}) {
   /* Note: Here we connect to the peer and download all needed events. The
   events currently must be added in order (TODO: handle ordering later and
   just put them into the cache as quickly as possible to optimize).
@@ -118,19 +157,13 @@ async function _getNeeded({needed, peerId}) {
   const chunks = _.chunk(needed, maxEvents);
   for(const eventHash of chunks) {
     try {
-      const stream = await _client.getEvents({eventHash, peerId});
-      const eventIterator = pipeline(
-        stream,
-        split2(),
-        () => {}
-      );
-      for await (const e of eventIterator) {
-        const eventJson = JSON.parse(e);
-        const result = validate('continuity.webLedgerEvents', eventJson.event);
+      const records = await _client.getEvents({callerId, eventHash, peerId});
+      for await (const {event} of records) {
+        const result = validate('continuity.webLedgerEvents', event);
         if(!result.valid) {
           throw result.error;
         }
-        events.push(eventJson.event);
+        events.push(event);
       }
     } catch(error) {
       if(error.response) {
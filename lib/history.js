@@ -5,6 +5,7 @@
 
 const _cache = require('./cache');
 const _peers = require('./peers');
+const _rotation = require('./rotation');
 const bedrock = require('bedrock');
 const brLedgerNode = require('bedrock-ledger-node');
 const {config, util: {BedrockError}} = bedrock;
@@ -195,7 +196,20 @@ api.getHead = async (
   // no head found yet; use latest local merge event
   if(!head) {
     const {getHead} = ledgerNode.storage.events.plugins['continuity-storage'];
-    const records = await getHead({creatorId});
+    let records = await getHead({creatorId});
+    if(records.length === 0) {
+      // a voter that rotated its key continues the branch of its previous
+      // voter ID until it creates its first merge event
+      const sameAs = await _rotation.getSameAs({ledgerNode});
+      const previousIds = _rotation.getPreviousIds(
+        {sameAs, voterId: creatorId});
+      for(const voterId of previousIds) {
+        records = await getHead({creatorId: voterId});
+        if(records.length !== 0) {
+          break;
+        }
+      }
+    }
     if(records.length === 1) {
       const [{meta: {eventHash, continuity2017: {generation}}}] = records;
       head = {eventHash, generation};
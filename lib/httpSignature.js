@@ -0,0 +1,122 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _peers = require('./peers');
+const bedrock = require('bedrock');
+const {config, util: {BedrockError}} = bedrock;
+const crypto = require('crypto');
+const {Ed25519KeyPair} = require('crypto-ld');
+const httpSignatureHeader = require('http-signature-header');
+
+require('./config');
+
+// headers covered by every signature on a peer request
+const INCLUDE_HEADERS = ['(request-target)', 'host', 'date', 'digest'];
+
+// module API
+const api = {};
+module.exports = api;
+
+/**
+ * Creates the headers needed to authenticate a request to a peer. The
+ * request is signed using the private key associated with the voter
+ * identified by `callerId`; the `keyId` in the resulting `Authorization`
+ * header is `callerId` itself, allowing the receiving peer to derive the
+ * public key from it.
+ *
+ * @param callerId the voter ID of the local node making the request.
+ * @param url the absolute URL of the request.
+ * @param [method='POST'] the HTTP method of the request.
+ * @param [body=''] the exact string that will be sent as the request body.
+ *
+ * @return {Promise} resolves to the headers to add to the request.
+ */
+api.createHeaders = async ({callerId, url, method = 'POST', body = ''}) => {
+  if(!callerId) {
+    throw new TypeError('"callerId" is required.');
+  }
+  const ledgerNodeId = await _peers.getLedgerNodeId(callerId);
+  const signer = await _peers.getSigner({ledgerNodeId});
+
+  const headers = {
+    host: new URL(url).host,
+    date: new Date().toUTCString(),
+    digest: _createDigest({data: body})
+  };
+  const stringToSign = httpSignatureHeader.createSignatureString({
+    includeHeaders: INCLUDE_HEADERS,
+    requestOptions: {headers, method, url}
+  });
+  const signature = await signer.sign(
+    {data: Buffer.from(stringToSign, 'utf8')});
+  headers.authorization = httpSignatureHeader.createAuthzHeader({
+    includeHeaders: INCLUDE_HEADERS,
+    keyId: signer.id,
+    signature: Buffer.from(signature).toString('base64')
+  });
+  return headers;
+};
+
+/**
+ * Verifies the HTTP signature on an incoming peer request. The public key
+ * is derived from the `keyId` in the signature, which must be a voter ID.
+ * The `digest` header is checked against the raw request body captured by
+ * the body parser.
+ *
+ * @param req the express request to verify.
+ *
+ * @return {Promise} resolves to `{voterId}`, the ID of the authenticated
+ *           peer, when verification succeeds and rejects otherwise.
+ */
+api.verify = async ({req}) => {
+  const {'ledger-consensus-continuity': {authentication: {maxClockSkew}}} =
+    config;
+  let parsed;
+  try {
+    parsed = httpSignatureHeader.parseRequest({
+      headers: req.headers,
+      method: req.method,
+      url: req.originalUrl
+    }, {headers: INCLUDE_HEADERS, clockSkew: maxClockSkew});
+  } catch(e) {
+    throw _notAllowed('The request signature could not be parsed.', {}, e);
+  }
+
+  const {keyId: voterId} = parsed;
+  const expectedDigest = _createDigest({data: req.rawBody || ''});
+  if(req.headers.digest !== expectedDigest) {
+    throw _notAllowed(
+      'The request digest does not match the request body.', {voterId});
+  }
+
+  let publicKeyBase58;
+  try {
+    publicKeyBase58 = _peers.getPublicKeyFromId({voterId});
+  } catch(e) {
+    throw _notAllowed('The signing key is not a valid voter ID.', {voterId}, e);
+  }
+  const key = new Ed25519KeyPair({id: voterId, publicKeyBase58});
+  const verified = await key.verifier().verify({
+    data: Buffer.from(parsed.signingString, 'utf8'),
+    signature: Buffer.from(parsed.params.signature, 'base64')
+  });
+  if(!verified) {
+    throw _notAllowed('The request signature is invalid.', {voterId});
+  }
+  return {voterId};
+};
+
+function _createDigest({data}) {
+  const hash = crypto.createHash('sha256').update(data).digest('base64');
+  return `SHA-256=${hash}`;
+}
+
+function _notAllowed(message, details, cause) {
+  return new BedrockError(message, 'NotAllowedError', {
+    ...details,
+    httpStatusCode: 401,
+    public: true
+  }, cause);
+}
@@ -9,6 +9,8 @@ require('bedrock-https-agent');
 require('bedrock-ledger-consensus-continuity-storage');
 require('bedrock-ledger-context');
 require('bedrock-ledger-storage-mongodb');
+require('bedrock-passport');
+require('bedrock-permission');
 require('bedrock-validation');
 require('bedrock-redis');
 
@@ -29,24 +31,43 @@ api.getPeerId = async ({ledgerNodeId}) =>
   (await api._peers.get({ledgerNodeId})).id;
 
 // require submodules as private APIs
+api._admin = require('./admin');
 api._blocks = require('./blocks');
 api._cache = require('./cache');
+api._checkpoint = require('./checkpoint');
 api._client = require('./client');
 api._consensus = require('./consensus');
 api._events = require('./events');
+api._forks = require('./forks');
 api._gossip = require('./gossip');
 api._hasher = brLedgerNode.consensus._hasher;
 api._history = require('./history');
+api._mempool = require('./mempool');
+api._metrics = require('./metrics');
 api._peers = require('./peers');
 api._peerEvents = require('./peerEvents');
+api._replay = require('./replay');
+api._rotation = require('./rotation');
 api._server = require('./server');
+api._signature = require('./signature');
 api._witnesses = require('./witnesses');
 api._worker = require('./worker/index.js');
 
 // expose external APIs
+api.archive = require('./archive');
+api.bootstrap = require('./bootstrap').bootstrap;
+api.collectCheckpoint = require('./bootstrap').collectCheckpoint;
 api.config = require('./ledgerConfiguration');
 api.events = {add: api._events.add};
+api.getInclusionProof = api._blocks.getInclusionProof;
+api.gossipStrategies = require('./worker/gossipStrategies');
+api.keyStorage = require('./keyStorage');
+api.merkle = require('./merkle');
 api.operations = require('./operations');
+api.rotateVoterKey = api._rotation.rotate;
+api.signatureSuites = require('./signatureSuites');
+api.subscriptions = require('./subscriptions');
+api.verifyBlock = require('./verifier').verifyBlock;
 api.scheduleWork = api._worker.scheduleWork;
 
 // register this ledger plugin
@@ -0,0 +1,110 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bs58 = require('bs58');
+const crypto = require('crypto');
+const {config, util: {BedrockError}} = require('bedrock');
+const {Ed25519KeyPair} = require('crypto-ld');
+
+require('../config');
+
+const ALGORITHM = 'aes-256-gcm';
+
+/* Stores voter keys encrypted at rest. Private keys are generated locally
+and encrypted with AES-256-GCM using a key encryption key (KEK) from the
+configuration; the public key is authenticated along with the ciphertext so
+that an encrypted key cannot be swapped with that of another voter. Each key
+records the ID of the KEK that encrypted it, so the KEK may be rotated by
+moving the current KEK to `previousKeks`. */
+
+// module API
+const api = {};
+module.exports = api;
+
+api.generate = async () => {
+  const {publicKeyBase58, privateKeyBase58} = await Ed25519KeyPair.generate();
+  const key = await api.import({publicKeyBase58, privateKeyBase58});
+  return {publicKeyBase58, key};
+};
+
+api.import = async ({publicKeyBase58, privateKeyBase58}) => {
+  const kek = _getKek();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, kek.secret, iv);
+  cipher.setAAD(Buffer.from(publicKeyBase58, 'utf8'));
+  const ciphertext = Buffer.concat([
+    cipher.update(Buffer.from(bs58.decode(privateKeyBase58))),
+    cipher.final()
+  ]);
+  return {
+    kekId: kek.id,
+    publicKeyBase58,
+    iv: iv.toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64')
+  };
+};
+
+api.sign = async ({key, data}) => {
+  const privateKeyBase58 = _decrypt({key});
+  return new Ed25519KeyPair({privateKeyBase58}).signer().sign({data});
+};
+
+// the key is decrypted on first use and then kept in memory by the signer
+api.createSigner = ({key}) => {
+  let signer;
+  return {
+    sign: async ({data}) => {
+      if(!signer) {
+        const privateKeyBase58 = _decrypt({key});
+        signer = new Ed25519KeyPair({privateKeyBase58}).signer();
+      }
+      return signer.sign({data});
+    }
+  };
+};
+
+function _decrypt({key}) {
+  const kek = _getKek({id: key.kekId});
+  try {
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM, kek.secret, Buffer.from(key.iv, 'base64'));
+    decipher.setAAD(Buffer.from(key.publicKeyBase58, 'utf8'));
+    decipher.setAuthTag(Buffer.from(key.tag, 'base64'));
+    const privateKey = Buffer.concat([
+      decipher.update(Buffer.from(key.ciphertext, 'base64')),
+      decipher.final()
+    ]);
+    return bs58.encode(privateKey);
+  } catch(e) {
+    throw new BedrockError(
+      'Could not decrypt the voter key.', 'OperationError', {
+        kekId: key.kekId
+      }, e);
+  }
+}
+
+// gets the current KEK or the KEK with the given ID
+function _getKek({id} = {}) {
+  const {kek, previousKeks} =
+    config['ledger-consensus-continuity'].keyStorage.encrypted;
+  const candidates = id === undefined ? [kek] : [kek, ...previousKeks];
+  const found = candidates.find(k => k && k.secret &&
+    (id === undefined || k.id === id));
+  if(!found) {
+    throw new BedrockError(
+      'Key encryption key not configured.', 'InvalidStateError', {
+        kekId: id === undefined ? null : id
+      });
+  }
+  const secret = Buffer.from(found.secret, 'base64');
+  if(secret.length !== 32) {
+    throw new BedrockError(
+      'Key encryption keys must be 32 bytes.', 'InvalidStateError', {
+        kekId: found.id
+      });
+  }
+  return {id: found.id, secret};
+}
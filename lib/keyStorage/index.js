@@ -0,0 +1,152 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const {config, util: {BedrockError}} = bedrock;
+const {Ed25519KeyPair} = require('crypto-ld');
+
+require('../config');
+
+/* A key storage backend keeps the private keys of voters so that they are
+never stored in plain text with the voter information. A backend is an object
+with the methods:
+
+  generate({ledgerNodeId}) -> Promise<{publicKeyBase58, key}>
+  sign({key, data}) -> Promise<Uint8Array>
+
+And optionally:
+
+  import({ledgerNodeId, publicKeyBase58, privateKeyBase58}) -> Promise<key>
+  createSigner({key}) -> {sign({data}) -> Promise<Uint8Array>}
+
+Where `key` is a JSON object that is stored with the voter information and
+that the backend needs to sign with the key (e.g. the encrypted private key
+or the ID of a key held by a remote signer); `data` is the data to sign and
+the result is an Ed25519 signature. A backend implements `createSigner` when
+it can prepare a key once for many signatures, e.g. to decrypt it only once.
+The name of the backend is stored with each key so that keys created by a
+backend remain usable when the configured backend changes. */
+
+const backends = new Map();
+
+// module API
+const api = {};
+module.exports = api;
+
+// fail at startup rather than on the first use of a voter key
+bedrock.events.on('bedrock.start', () => {
+  const {backend, encrypted: {kek}} =
+    config['ledger-consensus-continuity'].keyStorage;
+  if(backend === 'encrypted' && !(kek && kek.secret)) {
+    throw new BedrockError(
+      'The "encrypted" key storage backend requires a key encryption key; ' +
+      'set "keyStorage.encrypted.kek" or configure another ' +
+      '"keyStorage.backend".', 'InvalidStateError');
+  }
+});
+
+/**
+ * Registers a key storage backend or gets a registered backend.
+ *
+ * @param name {string} - The name of the backend.
+ * @param [backend] {Object} - The backend to register.
+ *
+ * @returns {Object} The backend.
+ */
+api.use = (name, backend) => {
+  if(backend) {
+    for(const method of ['generate', 'sign']) {
+      if(typeof backend[method] !== 'function') {
+        throw new TypeError(`"backend.${method}" must be a function.`);
+      }
+    }
+    backends.set(name, backend);
+    return backend;
+  }
+  backend = backends.get(name);
+  if(!backend) {
+    throw new BedrockError(
+      `Key storage backend "${name}" not found.`, 'NotFoundError', {name});
+  }
+  return backend;
+};
+
+/**
+ * Generates a new voter key using the configured backend.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node the key is for.
+ *
+ * @returns {Promise<Object>} Resolves to `{publicKeyBase58, key}` where
+ *   `key` is the key to store with the voter information.
+ */
+api.generate = async ({ledgerNodeId}) => {
+  const name = _getBackendName();
+  const {publicKeyBase58, key} = await api.use(name).generate({ledgerNodeId});
+  return {publicKeyBase58, key: {...key, backend: name}};
+};
+
+/**
+ * Imports a plain text private key into the configured backend, if the
+ * backend supports it.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node the key is for.
+ * @param publicKeyBase58 {string} - The public key.
+ * @param privateKeyBase58 {string} - The private key.
+ *
+ * @returns {Promise<Object|null>} Resolves to the key to store with the voter
+ *   information or `null` if the backend cannot import keys.
+ */
+api.import = async ({ledgerNodeId, publicKeyBase58, privateKeyBase58}) => {
+  const name = _getBackendName();
+  const backend = api.use(name);
+  if(typeof backend.import !== 'function') {
+    return null;
+  }
+  const key = await backend.import(
+    {ledgerNodeId, publicKeyBase58, privateKeyBase58});
+  return {...key, backend: name};
+};
+
+/**
+ * Creates a signer for a stored voter key. The signer may be used with
+ * `jsonld-signatures` suites and anywhere a `crypto-ld` signer is expected.
+ *
+ * @param id {string} - The voter ID.
+ * @param key {Object} - The stored key, see `generate`.
+ *
+ * @returns {Object} The signer, `{id, sign({data})}`.
+ */
+api.createSigner = ({id, key}) => {
+  const backend = api.use(key.backend);
+  if(typeof backend.createSigner === 'function') {
+    const {sign} = backend.createSigner({key});
+    return {id, sign};
+  }
+  return {
+    id,
+    sign: async ({data}) => backend.sign({key, data})
+  };
+};
+
+/**
+ * Creates a signer for a plain text private key, e.g. a voter key that was
+ * stored before key storage backends were introduced.
+ *
+ * @param id {string} - The voter ID.
+ * @param privateKeyBase58 {string} - The private key.
+ *
+ * @returns {Object} The signer, `{id, sign({data})}`.
+ */
+api.createLocalSigner = ({id, privateKeyBase58}) => {
+  const signer = new Ed25519KeyPair({privateKeyBase58}).signer();
+  return {id, sign: signer.sign};
+};
+
+function _getBackendName() {
+  return config['ledger-consensus-continuity'].keyStorage.backend;
+}
+
+api.use('encrypted', require('./encrypted'));
+api.use('remote', require('./remote'));
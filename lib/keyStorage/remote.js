@@ -0,0 +1,83 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const brHttpsAgent = require('bedrock-https-agent');
+const {config, util: {BedrockError}} = require('bedrock');
+const {httpClient} = require('@digitalbazaar/http-client');
+
+require('../config');
+
+/* Keeps voter keys in a remote signer; private keys never leave it. The
+remote signer is identified by `keyStorage.remote.url` and implements the
+following JSON over HTTP(S) protocol:
+
+  POST <url>/keys
+    request: {ledgerNodeId}
+    response: {keyId, publicKeyBase58}
+    Generates a new Ed25519 key for the ledger node. `keyId` is opaque to
+    the ledger node.
+
+  POST <url>/keys/<keyId>/sign
+    request: {data}
+    response: {signatureValue}
+    Signs `data` (base64 encoded) with the key; `signatureValue` is the
+    base64 encoded Ed25519 signature.
+
+Any headers in `keyStorage.remote.headers` (e.g. `authorization`) are sent
+with every request. The key stored with the voter information is
+`{url, keyId}` so that keys remain usable if `keyStorage.remote.url` is
+changed to another signer. */
+
+// module API
+const api = {};
+module.exports = api;
+
+api.generate = async ({ledgerNodeId}) => {
+  const {url} = _getConfig();
+  if(!url) {
+    throw new BedrockError(
+      'Remote signer URL not configured.', 'InvalidStateError');
+  }
+  const {keyId, publicKeyBase58} = await _post(
+    {url: `${url}/keys`, json: {ledgerNodeId}});
+  if(!(typeof keyId === 'string' && typeof publicKeyBase58 === 'string')) {
+    throw new BedrockError(
+      'Invalid response from the remote signer.', 'DataError', {url});
+  }
+  return {publicKeyBase58, key: {url, keyId}};
+};
+
+api.sign = async ({key: {url, keyId}, data}) => {
+  const {signatureValue} = await _post({
+    url: `${url}/keys/${encodeURIComponent(keyId)}/sign`,
+    json: {data: Buffer.from(data).toString('base64')}
+  });
+  if(typeof signatureValue !== 'string') {
+    throw new BedrockError(
+      'Invalid response from the remote signer.', 'DataError', {keyId, url});
+  }
+  return new Uint8Array(Buffer.from(signatureValue, 'base64'));
+};
+
+async function _post({url, json}) {
+  const {headers, timeout} = _getConfig();
+  // a local stand-in signer may use plain HTTP
+  const agent = url.startsWith('https:') ? brHttpsAgent.httpsAgent : undefined;
+  try {
+    const response = await httpClient.post(
+      url, {agent, headers, json, timeout});
+    return response.data;
+  } catch(e) {
+    throw new BedrockError(
+      'Remote signer request failed.', 'NetworkError', {
+        httpStatusCode: e.status,
+        url
+      }, e);
+  }
+}
+
+function _getConfig() {
+  return config['ledger-consensus-continuity'].keyStorage.remote;
+}
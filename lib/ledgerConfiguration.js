@@ -9,7 +9,9 @@ const {validate} = require('bedrock-validation');
 const _events = require('./events');
 const _history = require('./history');
 const _peers = require('./peers');
+const _signatureSuites = require('./signatureSuites');
 const _util = require('./util');
+const gossipStrategies = require('./worker/gossipStrategies');
 
 const api = {};
 module.exports = api;
@@ -107,6 +109,19 @@ api.change = async ({
         });
     }
   }
+  // merge event proof types must have a registered signature suite
+  const {mergeEventProof} = event.ledgerConfiguration;
+  if(mergeEventProof) {
+    _signatureSuites.use(mergeEventProof.type);
+    if(mergeEventProof.previousType) {
+      _signatureSuites.use(mergeEventProof.previousType);
+    }
+  }
+  // the gossip strategy must be registered
+  const {gossipStrategy} = event.ledgerConfiguration;
+  if(gossipStrategy) {
+    gossipStrategies.use(gossipStrategy);
+  }
   const eventHash = await _util.hasher(event);
   const result = await _events.add(
     {event, eventHash, genesis, genesisBlock, ledgerNode});
@@ -0,0 +1,225 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _cache = require('./cache');
+const _metrics = require('./metrics');
+const bedrock = require('bedrock');
+const database = require('bedrock-mongodb');
+const logger = require('./logger');
+const {util: {BedrockError}} = bedrock;
+
+/* The mempool is a write-ahead record, in mongo, of the operations that have
+been added via a ledger node but not yet written to a local regular event.
+The operation queue itself lives in redis (see `cache.OperationQueue`); if
+redis is flushed or fails over, the queue is restored from the mempool the
+next time a work session runs for the ledger node. Operations that expire
+before they are written to an event are swept from both the queue and the
+mempool. */
+
+const BATCH_SIZE = 100;
+
+// module API
+const api = {};
+module.exports = api;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections(['continuity2017_mempool']);
+  await database.createIndexes([{
+    collection: 'continuity2017_mempool',
+    fields: {ledgerNodeId: 1, 'meta.operationHash': 1},
+    options: {unique: true, background: false}
+  }, {
+    collection: 'continuity2017_mempool',
+    fields: {ledgerNodeId: 1, 'meta.created': 1},
+    options: {unique: false, background: false}
+  }, {
+    collection: 'continuity2017_mempool',
+    fields: {ledgerNodeId: 1, 'meta.expires': 1},
+    options: {sparse: true, unique: false, background: false}
+  }, {
+    collection: 'continuity2017_mempool',
+    fields: {ledgerNodeId: 1, 'meta.maxBlockHeight': 1},
+    options: {sparse: true, unique: false, background: false}
+  }]);
+});
+
+/**
+ * Adds an operation to the mempool.
+ *
+ * @param ledgerNodeId the ID of the ledger node.
+ * @param lane the name of the lane the operation is queued in.
+ * @param meta the operation meta data.
+ * @param operation the operation.
+ * @param submitter the ID of the submitter of the operation.
+ *
+ * @return a Promise that resolves once the operation completes.
+ */
+api.add = async ({ledgerNodeId, lane, meta, operation, submitter}) => {
+  const {expires, maxBlockHeight, operationHash} = meta;
+  const recordMeta = {created: Date.now(), operationHash};
+  // expiry is copied so that expired operations can be found by the sweeper
+  if(expires !== undefined) {
+    recordMeta.expires = expires;
+  }
+  if(maxBlockHeight !== undefined) {
+    recordMeta.maxBlockHeight = maxBlockHeight;
+  }
+  try {
+    await database.collections.continuity2017_mempool.insertOne({
+      ledgerNodeId,
+      meta: recordMeta,
+      queued: {lane, meta, operation, submitter}
+    });
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    throw new BedrockError(
+      'The operation already exists.',
+      'DuplicateError', {
+        duplicateLocation: 'mempool',
+        httpStatusCode: 409,
+        ledgerNodeId,
+        operation,
+        operationHash,
+        public: true
+      }, e);
+  }
+};
+
+/**
+ * Removes operations from the mempool once they have been written to a
+ * local regular event.
+ *
+ * @param ledgerNodeId the ID of the ledger node.
+ * @param operationHashes the hashes of the operations.
+ *
+ * @return a Promise that resolves once the operation completes.
+ */
+api.remove = async ({ledgerNodeId, operationHashes}) => {
+  await database.collections.continuity2017_mempool.deleteMany(
+    {ledgerNodeId, 'meta.operationHash': {$in: operationHashes}});
+};
+
+/**
+ * Restores the operation queue in the cache from the mempool if the cache
+ * has been lost since the queue was last restored.
+ *
+ * @param ledgerNode the ledger node.
+ *
+ * @return a Promise that resolves to the number of operations restored.
+ */
+api.recover = async ({ledgerNode}) => {
+  const ledgerNodeId = ledgerNode.id;
+  if(await _cache.operations.isQueueRestored({ledgerNodeId})) {
+    return 0;
+  }
+  const restored = await api.restoreQueue({ledgerNode});
+  if(restored > 0) {
+    logger.info('Restored operation queue from mempool.',
+      {ledgerNodeId, restored});
+  }
+  return restored;
+};
+
+/**
+ * Restores the operation queue in the cache from the mempool. Operations that
+ * are still in the queue are left in place and operations that have already
+ * been written to events are removed from the mempool.
+ *
+ * @param ledgerNode the ledger node.
+ *
+ * @return a Promise that resolves to the number of operations restored.
+ */
+api.restoreQueue = async ({ledgerNode}) => {
+  const ledgerNodeId = ledgerNode.id;
+  const cursor = database.collections.continuity2017_mempool.find(
+    {ledgerNodeId}, {projection: {_id: 0, queued: 1}})
+    .sort({'meta.created': 1});
+  let restored = 0;
+  let batch = [];
+  for await (const {queued} of cursor) {
+    batch.push(queued);
+    if(batch.length === BATCH_SIZE) {
+      restored += await _restoreBatch({ledgerNode, operations: batch});
+      batch = [];
+    }
+  }
+  restored += await _restoreBatch({ledgerNode, operations: batch});
+  await _cache.operations.setQueueRestored({ledgerNodeId});
+  return restored;
+};
+
+/**
+ * Evicts expired operations from the operation queue and the mempool. The
+ * reason each operation was evicted is available via `operations.getStatus`
+ * and the operation may be added again. The queue is swept at most once per
+ * `operations.expiry.sweepInterval`.
+ *
+ * @param ledgerNode the ledger node.
+ *
+ * @return a Promise that resolves to the number of operations evicted.
+ */
+api.sweep = async ({ledgerNode}) => {
+  const ledgerNodeId = ledgerNode.id;
+  if(!await _cache.operations.isSweepDue({ledgerNodeId})) {
+    return 0;
+  }
+  const now = Date.now();
+  const blockHeight = await ledgerNode.blocks.getLatestBlockHeight();
+  const records = await database.collections.continuity2017_mempool.find({
+    ledgerNodeId,
+    $or: [
+      {'meta.expires': {$lte: now}},
+      {'meta.maxBlockHeight': {$lt: blockHeight}}
+    ]
+  }, {projection: {_id: 0, meta: 1, queued: 1}}).toArray();
+  if(records.length === 0) {
+    return 0;
+  }
+  const operations = records.map(({meta: {expires}, queued}) => {
+    const {lane, meta, submitter} = queued;
+    const reason = expires <= now ? 'maxAge' : 'maxBlockDelta';
+    return {lane, meta, reason, submitter};
+  });
+  // evict from the queue first so that an operation is never left queued
+  // without a mempool record
+  await _cache.operations.evict({ledgerNodeId, operations});
+  await api.remove({
+    ledgerNodeId,
+    operationHashes: operations.map(({meta}) => meta.operationHash)
+  });
+  await _metrics.increment({
+    name: 'operationsExpired', labels: {ledgerNodeId}, value: records.length
+  });
+  logger.debug('Evicted expired operations.',
+    {evicted: records.length, ledgerNodeId});
+  return records.length;
+};
+
+async function _restoreBatch({ledgerNode, operations}) {
+  if(operations.length === 0) {
+    return 0;
+  }
+  const ledgerNodeId = ledgerNode.id;
+  // an operation may have been written to an event without being removed
+  // from the mempool
+  const written = new Set();
+  const records = await ledgerNode.storage.operations.collection.find({
+    'meta.operationHash': {
+      $in: operations.map(({meta}) => meta.operationHash)
+    }
+  }, {projection: {_id: 0, 'meta.operationHash': 1}}).toArray();
+  for(const {meta: {operationHash}} of records) {
+    written.add(operationHash);
+  }
+  if(written.size > 0) {
+    await api.remove({ledgerNodeId, operationHashes: [...written]});
+  }
+  return _cache.operations.restore({
+    ledgerNodeId,
+    operations: operations.filter(({meta}) => !written.has(meta.operationHash))
+  });
+}
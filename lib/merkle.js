@@ -0,0 +1,216 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const multibase = require('multibase');
+const multihash = require('multihashes');
+
+// domain separation prefixes for leaf and interior node hashes
+const LEAF_PREFIX = Buffer.from([0]);
+const NODE_PREFIX = Buffer.from([1]);
+
+// module API
+const api = {};
+module.exports = api;
+
+/* Merkle tree over the events in a block:
+
+  The tree has two levels. Each event in a block has an operation tree with
+  one leaf per operation hash in the event, sorted lexicographically so that
+  every node computes the same tree regardless of the order in which the
+  operations were added to the event. The block tree has one leaf per event
+  hash in block order; each leaf also commits to the root of the event's
+  operation tree (events without operations commit to no root).
+
+    leaf(data) = sha256(0x00 || data)
+    node(left, right) = sha256(0x01 || left || right)
+    operation leaf = leaf(operationHash)
+    event leaf = leaf(eventHash || operationRoot)
+
+  When a level has an odd number of nodes, the last node is promoted to the
+  next level unchanged. Roots and proof hashes are encoded as base58btc
+  multibase sha2-256 multihashes like event and block hashes.
+
+  This API does not depend on bedrock so that light clients may use it to
+  verify inclusion proofs. */
+
+/**
+ * Computes the Merkle root over the events in a block.
+ *
+ * @param events the events in block order, as an array of
+ *   `{eventHash, operationHash}` where `operationHash` is an array of the
+ *   hashes of the operations in the event (empty if it has none).
+ *
+ * @return the Merkle root or `null` if there are no events.
+ */
+api.computeRoot = ({events}) => {
+  if(events.length === 0) {
+    return null;
+  }
+  const leaves = events.map(_eventLeaf);
+  return _encode(_computeLevels(leaves).pop()[0]);
+};
+
+/**
+ * Creates an inclusion proof for an operation in a block.
+ *
+ * @param events the events in block order, see `computeRoot`.
+ * @param operationHash the hash of the operation to prove.
+ *
+ * @return the proof, `{merkleRoot, eventHash, eventIndex, eventCount,
+ *   eventPath, operationHash, operationIndex, operationCount,
+ *   operationPath}`, or `null` if the operation is not in the events.
+ */
+api.createProof = ({events, operationHash}) => {
+  const eventIndex = events.findIndex(
+    e => e.operationHash.includes(operationHash));
+  if(eventIndex === -1) {
+    return null;
+  }
+  const {eventHash} = events[eventIndex];
+  const operationHashes = [...events[eventIndex].operationHash].sort();
+  const operationIndex = operationHashes.indexOf(operationHash);
+  const operationLevels = _computeLevels(operationHashes.map(_operationLeaf));
+  const eventLevels = _computeLevels(events.map(_eventLeaf));
+  return {
+    merkleRoot: _encode(eventLevels[eventLevels.length - 1][0]),
+    eventHash,
+    eventIndex,
+    eventCount: events.length,
+    eventPath: _getPath({levels: eventLevels, index: eventIndex}),
+    operationHash,
+    operationIndex,
+    operationCount: operationHashes.length,
+    operationPath: _getPath({levels: operationLevels, index: operationIndex})
+  };
+};
+
+/**
+ * Verifies an inclusion proof created via `createProof` against a trusted
+ * Merkle root, e.g. the `merkleRoot` of a block.
+ *
+ * @param proof the inclusion proof.
+ * @param merkleRoot the trusted Merkle root.
+ *
+ * @return `true` if the proof shows that the operation is included under
+ *   `merkleRoot`, `false` if not.
+ */
+api.verifyProof = ({proof, merkleRoot}) => {
+  try {
+    const operationRoot = _computePathRoot({
+      leaf: _operationLeaf(proof.operationHash),
+      index: proof.operationIndex,
+      count: proof.operationCount,
+      path: proof.operationPath
+    });
+    const root = _computePathRoot({
+      leaf: _hashLeaf(
+        Buffer.concat([Buffer.from(proof.eventHash, 'utf8'), operationRoot])),
+      index: proof.eventIndex,
+      count: proof.eventCount,
+      path: proof.eventPath
+    });
+    return _encode(root) === merkleRoot;
+  } catch(e) {
+    // malformed proof
+    return false;
+  }
+};
+
+function _eventLeaf({eventHash, operationHash}) {
+  let operationRoot = Buffer.alloc(0);
+  if(operationHash.length > 0) {
+    const leaves = [...operationHash].sort().map(_operationLeaf);
+    operationRoot = _computeLevels(leaves).pop()[0];
+  }
+  return _hashLeaf(
+    Buffer.concat([Buffer.from(eventHash, 'utf8'), operationRoot]));
+}
+
+function _operationLeaf(operationHash) {
+  return _hashLeaf(Buffer.from(operationHash, 'utf8'));
+}
+
+function _hashLeaf(data) {
+  return _sha256([LEAF_PREFIX, data]);
+}
+
+function _hashNode(left, right) {
+  return _sha256([NODE_PREFIX, left, right]);
+}
+
+// returns every level of the tree from the leaves up to the root
+function _computeLevels(leaves) {
+  const levels = [leaves];
+  let level = leaves;
+  while(level.length > 1) {
+    const next = [];
+    for(let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ?
+        _hashNode(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+    level = next;
+  }
+  return levels;
+}
+
+// gets the sibling hashes from the leaf at `index` up to the root; promoted
+// nodes have no sibling and are skipped
+function _getPath({levels, index}) {
+  const path = [];
+  for(let i = 0; i < levels.length - 1; ++i) {
+    const level = levels[i];
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if(sibling < level.length) {
+      path.push(_encode(level[sibling]));
+    }
+    index = Math.floor(index / 2);
+  }
+  return path;
+}
+
+function _computePathRoot({leaf, index, count, path}) {
+  if(!(Number.isInteger(index) && Number.isInteger(count) &&
+    index >= 0 && index < count)) {
+    throw new Error('Invalid proof index.');
+  }
+  let hash = leaf;
+  let next = 0;
+  while(count > 1) {
+    if(index % 2 === 1) {
+      hash = _hashNode(_decode(path[next++]), hash);
+    } else if(index + 1 < count) {
+      hash = _hashNode(hash, _decode(path[next++]));
+    }
+    index = Math.floor(index / 2);
+    count = Math.ceil(count / 2);
+  }
+  if(next !== path.length) {
+    throw new Error('Invalid proof path length.');
+  }
+  return hash;
+}
+
+function _sha256(buffers) {
+  const hash = crypto.createHash('sha256');
+  for(const buffer of buffers) {
+    hash.update(buffer);
+  }
+  return hash.digest();
+}
+
+function _encode(hash) {
+  return multibase.encode('base58btc', multihash.encode(hash, 'sha2-256'))
+    .toString();
+}
+
+function _decode(encoded) {
+  const {code, digest} = multihash.decode(multibase.decode(encoded));
+  if(code !== multihash.names['sha2-256']) {
+    throw new Error('Unsupported hash algorithm.');
+  }
+  return digest;
+}
@@ -0,0 +1,212 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _cache = require('./cache');
+const _cacheKey = require('./cache/cacheKey');
+const cache = require('bedrock-redis');
+const {config} = require('bedrock');
+const logger = require('./logger');
+
+require('./config');
+
+// NOTE: metrics are stored in redis so that the values recorded by every
+// bedrock worker process are aggregated and can be scraped from any of them;
+// labels must only have a bounded set of values (e.g. peer IDs only via
+// `getPeerLabel`) so that the number of series stays bounded
+
+const METRICS = new Map([
+  ['blocksWritten', {
+    name: 'continuity_blocks_written_total',
+    type: 'counter',
+    help: 'Number of blocks written.'
+  }],
+  ['cacheRepairs', {
+    name: 'continuity_cache_repairs_total',
+    type: 'counter',
+    help: 'Number of cache repairs by type (block or event).'
+  }],
+  ['consensusWorkerFailures', {
+    name: 'continuity_consensus_worker_failures_total',
+    type: 'counter',
+    help: 'Number of failed consensus worker tasks by reason (timeout, ' +
+      'crash, or error).'
+  }],
+  ['findConsensusDuration', {
+    name: 'continuity_find_consensus_duration_seconds',
+    type: 'summary',
+    help: 'Time spent running the consensus algorithm.'
+  }],
+  ['forksDetected', {
+    name: 'continuity_forks_detected_total',
+    type: 'counter',
+    help: 'Number of forks detected.'
+  }],
+  ['gossipReceivedBytes', {
+    name: 'continuity_gossip_received_bytes_total',
+    type: 'counter',
+    help: 'Number of bytes of events received via gossip by peer (current ' +
+      'witnesses and priority peers, others as "other").'
+  }],
+  ['gossipSessionDuration', {
+    name: 'continuity_gossip_session_duration_seconds',
+    type: 'summary',
+    help: 'Time spent in gossip sessions by peer (current witnesses and ' +
+      'priority peers, others as "other").'
+  }],
+  ['mergeEvents', {
+    name: 'continuity_merge_events_total',
+    type: 'counter',
+    help: 'Number of merge events added by origin (local or peer).'
+  }],
+  ['operationsExpired', {
+    name: 'continuity_operations_expired_total',
+    type: 'counter',
+    help: 'Number of queued operations evicted because they expired.'
+  }],
+  ['validationFailures', {
+    name: 'continuity_event_validation_failures_total',
+    type: 'counter',
+    help: 'Number of peer events that failed validation.'
+  }],
+  ['webhookFailures', {
+    name: 'continuity_webhook_delivery_failures_total',
+    type: 'counter',
+    help: 'Number of failed block webhook delivery attempts.'
+  }]
+]);
+
+// module API
+const api = {};
+module.exports = api;
+
+/**
+ * Increments a counter. Errors are logged and ignored since metrics must not
+ * interfere with consensus.
+ *
+ * @param name {string} - The name of the counter (e.g. `blocksWritten`).
+ * @param [labels={}] {Object} - The labels for the value.
+ * @param [value=1] {Number} - The amount to increment the counter by.
+ *
+ * @returns {Promise} resolves once the operation completes.
+ */
+api.increment = async ({name, labels = {}, value = 1}) => {
+  if(!_isEnabled()) {
+    return;
+  }
+  const metric = _getMetric({name, type: 'counter'});
+  try {
+    await cache.client.hincrbyfloat(
+      _cacheKey.metric(metric.name), _formatLabels(labels), value);
+  } catch(error) {
+    logger.debug('Could not record metric.', {error, name});
+  }
+};
+
+/**
+ * Records an observation for a summary. Errors are logged and ignored since
+ * metrics must not interfere with consensus.
+ *
+ * @param name {string} - The name of the summary (e.g.
+ *   `findConsensusDuration`).
+ * @param [labels={}] {Object} - The labels for the value.
+ * @param value {Number} - The observed value.
+ *
+ * @returns {Promise} resolves once the operation completes.
+ */
+api.observe = async ({name, labels = {}, value}) => {
+  if(!_isEnabled()) {
+    return;
+  }
+  const metric = _getMetric({name, type: 'summary'});
+  const field = _formatLabels(labels);
+  try {
+    await cache.client.multi()
+      .hincrbyfloat(_cacheKey.metric(`${metric.name}_sum`), field, value)
+      .hincrby(_cacheKey.metric(`${metric.name}_count`), field, 1)
+      .exec();
+  } catch(error) {
+    logger.debug('Could not record metric.', {error, name});
+  }
+};
+
+/**
+ * Gets the value to use for a `peerId` label. Only the current witnesses and
+ * priority peers of the ledger node get their own series; all other peers
+ * share the `other` series so that the number of series stays bounded.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param peerId {string} - The voter ID of the peer.
+ *
+ * @returns {Promise<string>} The label value.
+ */
+api.getPeerLabel = async ({ledgerNodeId, peerId}) => {
+  if(!_isEnabled()) {
+    return 'other';
+  }
+  try {
+    const [blockHeight, status] = await Promise.all([
+      _cache.blocks.blockHeight(ledgerNodeId),
+      _cache.consensus.getStatus({ledgerNodeId})
+    ]);
+    if(status && status.priorityPeers.includes(peerId)) {
+      return peerId;
+    }
+    const witnesses = await _cache.witnesses.getWitnesses(
+      {blockHeight: blockHeight + 1, ledgerNodeId}) || [];
+    if(witnesses.some(({id}) => id === peerId)) {
+      return peerId;
+    }
+  } catch(error) {
+    logger.debug('Could not get peer label.', {error, ledgerNodeId});
+  }
+  return 'other';
+};
+
+/**
+ * Gets all metrics in the Prometheus text exposition format.
+ *
+ * @returns {Promise<string>} The metrics.
+ */
+api.getExposition = async () => {
+  const lines = [];
+  for(const {name, type, help} of METRICS.values()) {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+    const names = type === 'summary' ? [`${name}_sum`, `${name}_count`] :
+      [name];
+    for(const n of names) {
+      const values = await cache.client.hgetall(_cacheKey.metric(n)) || {};
+      for(const labels of Object.keys(values).sort()) {
+        const series = labels ? `${n}{${labels}}` : n;
+        lines.push(`${series} ${values[labels]}`);
+      }
+    }
+  }
+  return lines.join('\n') + '\n';
+};
+
+function _getMetric({name, type}) {
+  const metric = METRICS.get(name);
+  if(!metric || metric.type !== type) {
+    throw new Error(`Unknown ${type} "${name}".`);
+  }
+  return metric;
+}
+
+function _isEnabled() {
+  return config['ledger-consensus-continuity'].metrics.enabled;
+}
+
+// labels are stored in the exposition format, sorted by name, so they can be
+// used as both hash fields and output directly
+function _formatLabels(labels) {
+  return Object.keys(labels).sort().map(k => {
+    const value = String(labels[k])
+      .replace(/\\/g, '\\\\')
+      .replace(/\n/g, '\\n')
+      .replace(/"/g, '\\"');
+    return `${k}="${value}"`;
+  }).join(',');
+}
@@ -4,10 +4,13 @@
 'use strict';
 
 const _cache = require('./cache');
+const _mempool = require('./mempool');
 const _peers = require('./peers');
+const _signature = require('./signature');
 const _util = require('./util');
-const {util: {clone, BedrockError}} = require('bedrock');
+const {config, util: {clone, BedrockError}} = require('bedrock');
 const {getSchema, validateInstance} = require('bedrock-validation');
+const logger = require('./logger');
 
 const api = {};
 module.exports = api;
@@ -19,10 +22,22 @@ module.exports = api;
  *
  * @param operation the operation to add.
  * @param ledgerNode the node that is tracking this operation.
+ * @param [local=false] `true` only if the ledger node created the operation
+ *   itself; such operations are queued in `operations.queue.localLane`. All
+ *   operations have the local voter ID as their `creator` so it does not
+ *   identify who submitted them.
+ * @param [maxAge] the time (ms) after which the operation is evicted from
+ *   the queue if it is not yet in an event, `null` for none; defaults to
+ *   `operations.expiry.maxAge`.
+ * @param [maxBlockDelta] the number of blocks past its `basisBlockHeight`
+ *   after which the operation is evicted from the queue if it is not yet in
+ *   an event, `null` for none; defaults to `operations.expiry.maxBlockDelta`.
  *
  * @return a Promise that resolves once the operation completes.
  */
-api.add = async ({meta, operation, ledgerNode}) => {
+api.add = async ({
+  meta, operation, ledgerNode, local = false, maxAge, maxBlockDelta
+}) => {
   const ledgerNodeId = ledgerNode.id;
   const expectedCreator = (await _peers.get({ledgerNodeId})).id;
   const localOperationSchema = getSchema('continuity.localOperation');
@@ -31,6 +46,32 @@ api.add = async ({meta, operation, ledgerNode}) => {
   if(!validationResult.valid) {
     throw validationResult.error;
   }
+  const submitter = local ?
+    expectedCreator : await api.getSubmitter({operation});
+  if(await _cache.operations.isRateLimited({ledgerNodeId, submitter})) {
+    throw new BedrockError(
+      'The submitter has exceeded its operation rate limit.',
+      'QuotaExceededError', {
+        httpStatusCode: 429,
+        ledgerNodeId,
+        public: true,
+        submitter
+      });
+  }
+  const lane = _getLane({local, submitter});
+  const {expiry} = config['ledger-consensus-continuity'].operations;
+  if(maxAge === undefined) {
+    maxAge = expiry.maxAge;
+  }
+  if(maxBlockDelta === undefined) {
+    maxBlockDelta = expiry.maxBlockDelta;
+  }
+  if(maxAge !== null) {
+    meta.expires = Date.now() + maxAge;
+  }
+  if(maxBlockDelta !== null) {
+    meta.maxBlockHeight = meta.basisBlockHeight + maxBlockDelta;
+  }
   meta.recordId = _util.generateRecordId({ledgerNode, operation});
   const operationHash = await _util.hasher(operation);
   meta.operationHash = operationHash;
@@ -64,7 +105,23 @@ api.add = async ({meta, operation, ledgerNode}) => {
         public: true
       });
   }
-  const result = _cache.operations.add({meta, operation, ledgerNodeId});
+  // record the operation in the mempool before queuing it so that the queue
+  // can be restored if the cache is lost; the mempool also detects
+  // duplicates that are no longer in the cache
+  await _mempool.add({lane, ledgerNodeId, meta, operation, submitter});
+  let result;
+  try {
+    result = await _cache.operations.add(
+      {lane, ledgerNodeId, meta, operation, submitter});
+  } catch(e) {
+    // the operation was not queued, remove it from the mempool so that it
+    // may be added again
+    await _mempool.remove({ledgerNodeId, operationHashes: [operationHash]})
+      .catch(error => logger.error(
+        'Could not remove an operation that was not queued from the mempool.',
+        {error, ledgerNodeId, operationHash}));
+    throw e;
+  }
   // null is returned if the `add` transaction was aborted due to the redis
   // watch which indicates that another worker adds the opHashKey to the cache
   // while this worker was checking the database for duplicates above
@@ -83,6 +140,28 @@ api.add = async ({meta, operation, ledgerNode}) => {
   return {operation, meta};
 };
 
+/**
+ * Gets the ID of the submitter of an operation. This is the controller of
+ * the key that created the first valid proof on the operation. An operation
+ * without a valid proof has no known submitter; all such operations are
+ * queued in `operations.queue.defaultLane` and share one rate limit.
+ *
+ * @param operation the operation.
+ *
+ * @return a Promise that resolves to the ID of the submitter or `null`.
+ */
+api.getSubmitter = async ({operation}) => {
+  if(!operation.proof) {
+    return null;
+  }
+  try {
+    const {controller} = await _signature.verifyOperation({operation});
+    return controller;
+  } catch(e) {
+    return null;
+  }
+};
+
 /**
  * Writes operations to storage.
  *
@@ -102,7 +181,127 @@ api.write = async ({operations, eventHash, ledgerNode}) => {
     delete meta.recordId;
     // basisBlockHeight is recorded on the event
     delete meta.basisBlockHeight;
+    // expiry only applies while the operation is queued
+    delete meta.expires;
+    delete meta.maxBlockHeight;
     records.push({meta, operation, recordId});
   }
   return ledgerNode.storage.operations.addMany({operations: records});
 };
+
+/**
+ * Gets the status of an operation. Operations that are added via the ledger
+ * node are queued (`queued`) until they are written to a local regular event
+ * (`event`), which is then merged (`merged`) and eventually reaches
+ * consensus and is included in a block (`consensus`). A queued operation
+ * that expires before it is written to an event is evicted (`expired`) and
+ * may be added again. Operations from other ledger nodes are only known once
+ * they are `merged`. If a `recordId` is
+ * given instead of an `operationHash`, the status is of the latest operation
+ * on that record.
+ *
+ * @param ledgerNode the ledger node.
+ * @param [operationHash] the hash of the operation.
+ * @param [recordId] the ID of the record.
+ *
+ * @return a Promise that resolves to an object with properties:
+ *   operationHash the hash of the operation.
+ *   stage one of `queued`, `event`, `merged`, `consensus` or `expired`.
+ *   eventHash the hash of the event with the operation, once in an event.
+ *   blockHeight the height of the block with the operation, once in a block.
+ *   reason why the operation was evicted from the queue, once `expired`:
+ *     `maxAge` or `maxBlockDelta`.
+ */
+api.getStatus = async ({ledgerNode, operationHash, recordId}) => {
+  const ledgerNodeId = ledgerNode.id;
+  const {storage} = ledgerNode;
+  let query;
+  let queuedHash = operationHash;
+  if(operationHash) {
+    query = {'meta.operationHash': operationHash};
+  } else if(recordId) {
+    // record IDs are stored as hashes
+    const recordIdHash = storage.driver.hash(recordId);
+    query = {recordId: recordIdHash};
+    queuedHash = await _cache.operations.getRecordOperation(
+      {ledgerNodeId, recordId: recordIdHash});
+  } else {
+    throw new TypeError('"operationHash" or "recordId" is required.');
+  }
+
+  const [status, queued, expired] = await Promise.all([
+    _getStoredStatus({ledgerNode, query}),
+    !!queuedHash &&
+      _cache.operations.isQueued({ledgerNodeId, operationHash: queuedHash}),
+    !!queuedHash &&
+      _cache.operations.getExpired({ledgerNodeId, operationHash: queuedHash})
+  ]);
+  // a queued operation is newer than any stored operation on its record;
+  // it may also be stored if it was just written to an event
+  const isStored = !!status && status.operationHash === queuedHash;
+  if(queued && !isStored) {
+    return {operationHash: queuedHash, stage: 'queued'};
+  }
+  if(expired && !isStored) {
+    return {
+      operationHash: queuedHash, stage: 'expired', reason: expired.reason
+    };
+  }
+  if(!status) {
+    throw new BedrockError(
+      'The operation was not found.', 'NotFoundError', {
+        httpStatusCode: 404,
+        operationHash,
+        public: true,
+        recordId
+      });
+  }
+  return status;
+};
+
+// gets the status of the latest stored operation matching `query`
+async function _getStoredStatus({ledgerNode, query}) {
+  const {storage} = ledgerNode;
+  const operationRecords = await storage.operations.collection.find(
+    query, {projection: {_id: 0, 'meta.eventHash': 1, 'meta.operationHash': 1}}
+  ).toArray();
+  if(operationRecords.length === 0) {
+    return null;
+  }
+
+  // events that have not reached consensus are the latest
+  const [eventRecord] = await storage.events.collection.find({
+    'meta.eventHash': {$in: operationRecords.map(({meta}) => meta.eventHash)}
+  }, {projection: {
+    _id: 0, 'meta.blockHeight': 1, 'meta.consensus': 1, 'meta.eventHash': 1
+  }}).sort({'meta.consensus': 1, 'meta.blockHeight': -1, 'meta.blockOrder': -1})
+    .limit(1).toArray();
+  if(!eventRecord) {
+    return null;
+  }
+  const {meta: {blockHeight, consensus, eventHash}} = eventRecord;
+  const {meta: {operationHash}} = operationRecords.find(
+    ({meta}) => meta.eventHash === eventHash);
+
+  if(consensus) {
+    return {operationHash, stage: 'consensus', eventHash, blockHeight};
+  }
+  // only local regular events may still be waiting to be merged
+  const childless = await _cache.events.isLocalChildless(
+    {eventHash, ledgerNodeId: ledgerNode.id});
+  return {operationHash, stage: childless ? 'event' : 'merged', eventHash};
+}
+
+function _getLane({local, submitter}) {
+  const {defaultLane, lanes, localLane} =
+    config['ledger-consensus-continuity'].operations.queue;
+  if(submitter !== null) {
+    for(const lane in lanes) {
+      const {submitters = []} = lanes[lane];
+      if(submitters.includes(submitter)) {
+        return lane;
+      }
+    }
+  }
+  return local ? localLane : defaultLane;
+}
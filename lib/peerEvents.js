@@ -7,8 +7,11 @@ const _cache = require('./cache');
 const _continuityConstants = require('./continuityConstants');
 const _events = require('./events');
 const _history = require('./history');
+const _metrics = require('./metrics');
 const _peers = require('./peers');
+const _rotation = require('./rotation');
 const _signature = require('./signature');
+const _signatureSuites = require('./signatureSuites');
 const _util = require('./util');
 const bedrock = require('bedrock');
 const brJobs = require('bedrock-jobs');
@@ -19,6 +22,12 @@ const logger = require('./logger');
 const api = {};
 module.exports = api;
 
+// exposed for testing
+api._getExcludedEvents = _getExcludedEvents;
+api._isPreviousVoterId = _isPreviousVoterId;
+api._isRotatedAway = _isRotatedAway;
+api._validateMergeEventProof = _validateMergeEventProof;
+
 let jobQueue;
 
 bedrock.events.on('bedrock.start', async () => {
@@ -35,21 +44,36 @@ bedrock.events.on('bedrock.start', async () => {
         return result;
       } catch(e) {
         logger.error('An error occurred during gossip processing.', {error: e});
+        await _metrics.increment({
+          name: 'validationFailures',
+          labels: {ledgerNodeId: opts.data.ledgerNodeId}
+        });
         throw e;
       }
     });
   }
 });
 
-api.addBatch = async ({blockHeight, events, ledgerNode, needed}) => {
+api.addBatch = async ({
+  blockHeight, events, ledgerNode, mergePermits = Infinity, needed
+}) => {
   const ledgerNodeId = ledgerNode.id;
   let mergePermitsConsumed = 0;
+  let mergeEventsAdded = 0;
   const {eventMap} = await _validateEvents({
     blockHeight, events, ledgerNode, needed
   });
 
+  // only the first `mergePermits` merge events are added; the rest are
+  // acquired in a later gossip session
+  const excludedEvents = _getExcludedEvents({eventMap, mergePermits});
+
   const deferredEvents = [];
   for(const [eventHash, {event, meta, rawEvent, _temp}] of eventMap) {
+    if(excludedEvents.has(eventHash)) {
+      eventMap.delete(eventHash);
+      continue;
+    }
     const {valid, requiredBlockHeight} = _temp;
     if(!valid) {
       throw new BedrockError(
@@ -96,17 +120,33 @@ api.addBatch = async ({blockHeight, events, ledgerNode, needed}) => {
       meta
     });
     await _cache.events.addPeerEvent({event, ledgerNodeId, meta});
+    if(meta.continuity2017.type === 'm') {
+      mergeEventsAdded++;
+    }
   }
 
-  return {deferredEvents, mergePermitsConsumed};
+  if(mergeEventsAdded > 0) {
+    await _metrics.increment({
+      name: 'mergeEvents',
+      labels: {ledgerNodeId, origin: 'peer'},
+      value: mergeEventsAdded
+    });
+  }
+
+  return {
+    deferredEvents, excludedEvents: [...excludedEvents], mergePermitsConsumed
+  };
 };
 
-api.createPeerEventRecord = async function({event, eventMap, ledgerNode}) {
+api.createPeerEventRecord = async function({
+  event, eventMap, ledgerNode, signatureVerified = false
+}) {
   if(hasValue(event, 'type', 'WebLedgerOperationEvent')) {
     return _createPeerRegularEventRecord({event, ledgerNode});
   }
   if(hasValue(event, 'type', 'ContinuityMergeEvent')) {
-    return _createPeerMergeEventRecord({event, eventMap, ledgerNode});
+    return _createPeerMergeEventRecord(
+      {event, eventMap, ledgerNode, signatureVerified});
   }
   if(hasValue(event, 'type', 'WebLedgerConfigurationEvent')) {
     return _createPeerConfigurationEventRecord({event});
@@ -120,6 +160,28 @@ api.createPeerEventRecord = async function({event, eventMap, ledgerNode}) {
     });
 };
 
+// gets the hashes of the merge events in a batch after the first
+// `mergePermits` merge events and of their regular and configuration event
+// parents; merge events that descend from them are later in the batch, so they
+// are excluded as well
+function _getExcludedEvents({eventMap, mergePermits}) {
+  const excluded = new Set();
+  let mergeEvents = 0;
+  for(const [eventHash, {event, meta}] of eventMap) {
+    if(meta.continuity2017.type !== 'm' || ++mergeEvents <= mergePermits) {
+      continue;
+    }
+    excluded.add(eventHash);
+    for(const parentHash of event.parentHash) {
+      const parentRecord = eventMap.get(parentHash);
+      if(parentRecord && parentRecord.meta.continuity2017.type !== 'm') {
+        excluded.add(parentHash);
+      }
+    }
+  }
+  return excluded;
+}
+
 async function _validateEvents({blockHeight, events, ledgerNode, needed}) {
   const ledgerNodeId = ledgerNode.id;
 
@@ -128,10 +190,28 @@ async function _validateEvents({blockHeight, events, ledgerNode, needed}) {
   // no need to await this
   jobQueue.clean(5000);
 
+  // verify the signatures of the merge events in the batch together instead
+  // of in each job
+  const {verification} =
+    config['ledger-consensus-continuity'].gossip.batchProcess;
+  const mergeEvents = events.filter(
+    event => hasValue(event, 'type', 'ContinuityMergeEvent'));
+  const signatureVerified = verification.enabled &&
+    mergeEvents.length >= verification.minBatchSize;
+  if(signatureVerified) {
+    try {
+      await _signature.verifyBatch({events: mergeEvents});
+    } catch(e) {
+      await _metrics.increment(
+        {name: 'validationFailures', labels: {ledgerNodeId}});
+      throw e;
+    }
+  }
+
   // FIXME: use removeOnComplete when fixed
   // see: https://github.com/OptimalBits/bull/issues/1906
   const jobDefinitions = events.map(event => ({
-    data: {blockHeight, event, ledgerNodeId},
+    data: {blockHeight, event, ledgerNodeId, signatureVerified},
     // max time it should take to validate an event
     opts: {timeout: 5000},
   }));
@@ -189,11 +269,13 @@ async function _validateEvents({blockHeight, events, ledgerNode, needed}) {
 }
 
 // called by a bedrock-job, job contains `data` payload
-async function _validateEvent({data: {blockHeight, event, ledgerNodeId}}) {
+async function _validateEvent({data: {
+  blockHeight, event, ledgerNodeId, signatureVerified
+}}) {
   const ledgerNode = await brLedgerNode.get(null, ledgerNodeId);
 
   const {event: processedEvent, meta} = await api.createPeerEventRecord(
-    {event, ledgerNode});
+    {event, ledgerNode, signatureVerified});
 
   const {basisBlockHeight} = event;
   // regular events and configuration events have basisBlockHeight
@@ -261,7 +343,8 @@ async function _createPeerRegularEventRecord({event, ledgerNode}) {
   return {event: _event, meta};
 }
 
-async function _createPeerMergeEventRecord({event, ledgerNode}) {
+async function _createPeerMergeEventRecord(
+  {event, ledgerNode, signatureVerified}) {
   const ledgerNodeId = ledgerNode.id;
 
   const [
@@ -271,8 +354,11 @@ async function _createPeerMergeEventRecord({event, ledgerNode}) {
   ] = await Promise.all([
     _util.hasher(event),
     _peers.get({ledgerNodeId}),
-    // Note: signature.verify throws if signature is invalid
-    _signature.verify({event})
+    // Note: signature.verify throws if signature is invalid; signatures of
+    // gossiped merge events may be verified together via `verifyBatch`
+    signatureVerified ?
+      {keyOwner: {id: event.proof.verificationMethod}} :
+      _signature.verify({event})
   ]);
 
   if(creator === localCreatorId) {
@@ -293,6 +379,63 @@ async function _createPeerMergeEventRecord({event, ledgerNode}) {
   return {event, meta};
 }
 
+// determines if a merge event created by a voter ID that has been rotated
+// away from descends from a merge event created by a later voter ID; events
+// that reached consensus by the block at which the rotation became effective
+// cannot, so the search stops at them
+async function _isRotatedAway({eventRecord, eventMap, ledgerNode, sameAs}) {
+  const {event, meta: {continuity2017: {creator}}} = eventRecord;
+  const laterIds = new Set(_rotation.getLaterIds({sameAs, voterId: creator}));
+  if(laterIds.size === 0) {
+    return false;
+  }
+  const blockHeight = await _rotation.getRotationBlockHeight(
+    {ledgerNode, voterId: creator});
+  const {collection} = ledgerNode.storage.events;
+  const seen = new Set();
+  let eventHashes = event.parentHash;
+  while(eventHashes.length > 0) {
+    const records = [];
+    const outsideBatchHashes = [];
+    for(const eventHash of eventHashes) {
+      if(seen.has(eventHash)) {
+        continue;
+      }
+      seen.add(eventHash);
+      const record = eventMap.get(eventHash);
+      if(record) {
+        records.push(record);
+      } else {
+        outsideBatchHashes.push(eventHash);
+      }
+    }
+    if(outsideBatchHashes.length > 0) {
+      records.push(...await collection.find({
+        'meta.eventHash': {$in: outsideBatchHashes},
+        $or: [
+          {'meta.consensus': false},
+          {'meta.blockHeight': {$gt: blockHeight}}
+        ]
+      }, {projection: {
+        _id: 0, 'event.parentHash': 1, 'meta.continuity2017': 1
+      }}).toArray());
+    }
+    eventHashes = [];
+    for(const {event: {parentHash}, meta: {continuity2017}} of records) {
+      // non-merge event parents descend from the tree parent of the merge
+      // event, so only the ancestry of merge events needs to be searched
+      if(continuity2017.type !== 'm') {
+        continue;
+      }
+      if(laterIds.has(continuity2017.creator)) {
+        return true;
+      }
+      eventHashes.push(...parentHash);
+    }
+  }
+  return false;
+}
+
 async function _hashOperations({ledgerNode, operations}) {
   const hashedOperations = await _util.processChunked({
     tasks: operations, fn: _hashOperation, chunkSize: 25
@@ -384,6 +527,10 @@ async function _validateGraph({eventHashes, eventMap, ledgerNode}) {
 
   // for storing a lazily-loaded genesisCreator
   const genesisCreator = {id: null};
+  const [sameAs, {event: {ledgerConfiguration}}] = await Promise.all([
+    _rotation.getSameAs({ledgerNode}),
+    ledgerNode.storage.events.getLatestConfig()
+  ]);
   for(let i = eventHashes.length - 1; i >= 0; --i) {
     const eventRecord = eventMap.get(eventHashes[i]);
     const {_temp, event, meta} = eventRecord;
@@ -397,6 +544,8 @@ async function _validateGraph({eventHashes, eventMap, ledgerNode}) {
     }
     // track the creators for the merge events in parentHash
     const parentCreatorSet = new Set();
+    let treeParentRecord;
+    let basisBlockHeight = 0;
     for(const parentHash of event.parentHash) {
       // get the parent record from the batch or outside of it; if it comes
       // from outside of it, then it has been previously validated
@@ -413,6 +562,7 @@ async function _validateGraph({eventHashes, eventMap, ledgerNode}) {
         // check tree-parent-specific validate rules
         await _validateTreeParent(
           {ledgerNode, eventRecord, parentRecord, genesisCreator});
+        treeParentRecord = parentRecord;
       } else if(parentType === 'm') {
         // validate non-tree parent merge event
         await _validateNonTreeParentMergeEvent(
@@ -433,6 +583,30 @@ async function _validateGraph({eventHashes, eventMap, ledgerNode}) {
           {ledgerNode, eventRecord, parentRecord});
         parentRecord._temp.valid = true;
       }
+      if(parentType !== 'm') {
+        basisBlockHeight = Math.max(
+          basisBlockHeight, parentRecord.event.basisBlockHeight);
+      }
+    }
+
+    _validateMergeEventProof({
+      basisBlockHeight, eventRecord, ledgerConfiguration, treeParentRecord
+    });
+
+    // the branch of a voter ID that has been rotated away from may not be
+    // continued after the voter has created a merge event with a later voter
+    // ID; such merge events are rejected instead of being linked to it
+    if(sameAs.has(meta.continuity2017.creator) &&
+      await _isRotatedAway({eventRecord, eventMap, ledgerNode, sameAs})) {
+      const {continuity2017: {creator}, eventHash} = meta;
+      throw new BedrockError(
+        'Merge events may not be created by a voter ID after it has been ' +
+        'rotated away from.', 'DataError', {
+          creator,
+          eventHash,
+          httpStatusCode: 400,
+          public: true
+        });
     }
 
     // all parents referenced in the merge event are valid, so it is valid
@@ -440,6 +614,40 @@ async function _validateGraph({eventHashes, eventMap, ledgerNode}) {
   }
 }
 
+// merge events must be signed with a proof type that the ledger
+// configuration accepts; `previousType` is only accepted for a merge event
+// whose ancestry is below the transition, i.e. none of its regular or
+// configuration event parents has a `basisBlockHeight` at or after
+// `transitionBlockHeight` and its creator did not sign its previous merge
+// event with `type`; this only depends on the merge event and its parents, so
+// every node decides the same way regardless of its own block height
+function _validateMergeEventProof({
+  basisBlockHeight, eventRecord, ledgerConfiguration, treeParentRecord
+}) {
+  const {event: {proof: {type}}, meta: {continuity2017: {generation}}} =
+    eventRecord;
+  let acceptedTypes = _signatureSuites.getAcceptedTypes(
+    {ledgerConfiguration, blockHeight: basisBlockHeight});
+  // a creator may not return to `previousType` once it has signed with
+  // `type`; the tree parent of a first generation merge event is the genesis
+  // merge event, which was created by another creator
+  const signingType = _signatureSuites.getSigningType({ledgerConfiguration});
+  if(generation > 1 && treeParentRecord.event.proof.type === signingType) {
+    acceptedTypes = [signingType];
+  }
+  if(!acceptedTypes.includes(type)) {
+    throw new BedrockError(
+      'The merge event proof type is not accepted by the ledger.',
+      'DataError', {
+        acceptedTypes,
+        basisBlockHeight,
+        httpStatusCode: 400,
+        public: true,
+        type
+      });
+  }
+}
+
 async function _validateTreeParent({
   ledgerNode, eventRecord, parentRecord, genesisCreator
 }) {
@@ -496,8 +704,10 @@ async function _validateTreeParent({
           public: true
         });
     }
-  } else if(parentCreator !== eventCreator) {
-    // merge event must descend directly from its own creator
+  } else if(parentCreator !== eventCreator &&
+    !await _isPreviousVoterId({ledgerNode, eventCreator, parentCreator})) {
+    // merge event must descend directly from its own creator (or from the
+    // voter ID its creator rotated away from)
     throw new BedrockError(
       'A non-first generation merge event must descend directly from its ' +
       'own creator.', 'DataError', {
@@ -512,6 +722,15 @@ async function _validateTreeParent({
   }
 }
 
+// determines if `eventCreator` is the voter ID that `parentCreator` was
+// directly rotated to, e.g. `B` but not `C` for a rotation from `A` to `B`
+// to `C`
+async function _isPreviousVoterId({ledgerNode, eventCreator, parentCreator}) {
+  const sameAs = await _rotation.getSameAs({ledgerNode});
+  const laterIds = _rotation.getLaterIds({sameAs, voterId: parentCreator});
+  return laterIds.length > 0 && laterIds[laterIds.length - 1] === eventCreator;
+}
+
 async function _validateNonTreeParentMergeEvent({
   eventRecord, parentRecord, parentCreatorSet
 }) {
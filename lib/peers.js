@@ -4,6 +4,7 @@
 'use strict';
 
 const _cache = require('./cache');
+const _keyStorage = require('./keyStorage');
 const bedrock = require('bedrock');
 const bs58 = require('bs58');
 const {config, util: {delay, BedrockError}} = bedrock;
@@ -19,6 +20,9 @@ require('./config');
 // 50 milliseconds estimated max key generation time
 const KEY_GENERATION_TIME = 50;
 
+// signers for voter keys by ledger node ID, see `getSigner`
+const _signers = new Map();
+
 // module API
 const api = {};
 module.exports = api;
@@ -33,6 +37,10 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
     collection: 'continuity2017_voter',
     fields: {'voter.ledgerNodeId': 1},
     options: {unique: true, background: false}
+  }, {
+    collection: 'continuity2017_voter',
+    fields: {'voter.sameAs': 1},
+    options: {unique: false, background: false}
   }]);
 });
 
@@ -50,10 +58,9 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
  *
  * @return a Promise that resolves to the voter.
  */
-api.get = async (
-  {ledgerNodeId, privateKey = false, publicKey = false}) => {
+api.get = async ({ledgerNodeId, publicKey = false}) => {
   // keys are not cached
-  if(!(privateKey || publicKey)) {
+  if(!publicKey) {
     const voterId = await _cache.peers.get({ledgerNodeId});
     if(voterId !== null) {
       // cache hit
@@ -67,7 +74,7 @@ api.get = async (
   let first = true;
   while(true) {
     try {
-      voter = await api.storage.get({ledgerNodeId, privateKey, publicKey});
+      voter = await api.storage.get({ledgerNodeId, publicKey});
       break;
     } catch(e) {
       if(e.name !== 'NotFoundError') {
@@ -185,6 +192,45 @@ api.getPeerIds = async ({creatorId, ledgerNode, limit}) => {
   return collection.distinct('meta.continuity2017.creator', query);
 };
 
+/**
+ * Gets a signer for the voter key of a ledger node. A voter key that was
+ * stored in plain text (before key storage backends were introduced) is moved
+ * to the configured backend if it supports importing keys. Signers are
+ * cached until the voter ID of the ledger node changes, i.e. until the voter
+ * key is rotated.
+ *
+ * @param ledgerNodeId the ID of the ledger node.
+ *
+ * @return a Promise that resolves to the signer, `{id, sign({data})}`.
+ */
+api.getSigner = async ({ledgerNodeId}) => {
+  const {id: voterId} = await api.get({ledgerNodeId});
+  const cached = _signers.get(ledgerNodeId);
+  if(cached && cached.id === voterId) {
+    return cached;
+  }
+  const signer = await _createSigner({ledgerNodeId});
+  _signers.set(ledgerNodeId, signer);
+  return signer;
+};
+
+/**
+ * Generates a new voter key via the configured key storage backend.
+ *
+ * @param ledgerNodeId the ID of the ledger node the key is for.
+ *
+ * @return a Promise that resolves to `{id, key}` where `id` is the voter
+ *   ID, which includes the multibase encoded public key, and `key` is the
+ *   key to store with the voter information.
+ */
+api.generateKey = async ({ledgerNodeId}) => {
+  const {publicKeyBase58, key} = await _keyStorage.generate({ledgerNodeId});
+  const fingerprint = new Ed25519KeyPair({publicKeyBase58}).fingerprint();
+  const id = config.server.baseUri +
+    '/consensus/continuity2017/voters/' + fingerprint;
+  return {id, key};
+};
+
 api.storage = {};
 
 /**
@@ -193,13 +239,13 @@ api.storage = {};
  * and a ledger agent. The ledger agent URL is not stored in the database,
  * but computed from the configuration using the ledger agent ID.
  *
- * FIXME: move private key storage to HSM/SSM.
+ * The private key is not stored with the voter information; the voter has
+ * a `key` from a key storage backend instead (see `keyStorage`).
  *
  * @param voter the ledger node's voter information:
  *          id the ID of the voter.
  *          ledgerNodeId the ID of the ledger node.
- *          publicKey the voter's public key.
- *          privateKey the voter's private key.
+ *          key the voter's key from the key storage backend.
  *
  * @return a Promise that resolves to the voter record.
  */
@@ -230,7 +276,8 @@ api.storage.add = async voter => {
 };
 
 /**
- * Gets the voter information for the given ledger node ID or voter ID.
+ * Gets the voter information for the given ledger node ID or voter ID. A
+ * voter ID that was rotated away from also identifies the voter.
  *
  * @param options the options to use:
  *          [ledgerNodeId] the ID of the ledger node.
@@ -238,8 +285,7 @@ api.storage.add = async voter => {
  *
  * @return a Promise that resolves to the voter.
  */
-api.storage.get = async (
-  {ledgerNodeId, privateKey = false, publicKey = false, voterId}) => {
+api.storage.get = async ({ledgerNodeId, publicKey = false, voterId}) => {
   if(!(ledgerNodeId || voterId)) {
     throw new Error('"ledgerNodeId" or "voterId" must be set.');
   }
@@ -248,7 +294,7 @@ api.storage.get = async (
   if(ledgerNodeId) {
     query['voter.ledgerNodeId'] = ledgerNodeId;
   } else {
-    query['voter.id'] = voterId;
+    query.$or = [{'voter.id': voterId}, {'voter.sameAs': voterId}];
   }
 
   const collection = database.collections.continuity2017_voter;
@@ -257,9 +303,6 @@ api.storage.get = async (
     'voter.id': 1,
     'voter.ledgerNodeId': 1,
   };
-  if(privateKey) {
-    projection['voter.privateKeyBase58'] = 1;
-  }
   const record = await collection.findOne(query, {projection});
   if(!record) {
     const details = {
@@ -280,30 +323,177 @@ api.storage.get = async (
     id: record.voter.id,
     ledgerNodeId: record.voter.ledgerNodeId
   };
-  if(publicKey || privateKey) {
-    voter.publicKey = {id: voter.id};
-    if(publicKey) {
-      voter.publicKey.publicKeyBase58 = api.getPublicKeyFromId(
-        {voterId: voter.id});
-    }
-    if(privateKey) {
-      voter.publicKey.privateKey = {
-        privateKeyBase58: record.voter.privateKeyBase58
-      };
-    }
+  if(publicKey) {
+    voter.publicKey = {
+      id: voter.id,
+      publicKeyBase58: api.getPublicKeyFromId({voterId: voter.id})
+    };
   }
   return voter;
 };
 
-async function _createVoter(ledgerNodeId) {
-  const kp = await Ed25519KeyPair.generate();
+/**
+ * Gets the stored voter key for the given ledger node ID.
+ *
+ * @param ledgerNodeId the ID of the ledger node.
+ *
+ * @return a Promise that resolves to `{id, key}` or, for a voter key that
+ *   was stored in plain text, to `{id, privateKeyBase58}`.
+ */
+api.storage.getKey = async ({ledgerNodeId}) => {
+  const collection = database.collections.continuity2017_voter;
+  const record = await collection.findOne({
+    'voter.ledgerNodeId': ledgerNodeId,
+    'meta.deleted': {$exists: false}
+  }, {projection: {
+    _id: 0, 'voter.id': 1, 'voter.key': 1, 'voter.privateKeyBase58': 1
+  }});
+  if(!record) {
+    throw new BedrockError(
+      'Voter information not found for the given ledger node.',
+      'NotFoundError', {httpStatusCode: 404, ledgerNodeId, public: true});
+  }
+  const {id, key, privateKeyBase58} = record.voter;
+  return key ? {id, key} : {id, privateKeyBase58};
+};
 
-  const voterId = config.server.baseUri +
-    '/consensus/continuity2017/voters/' + kp.fingerprint();
+/**
+ * Replaces the stored key of a voter, removing any plain text private key.
+ *
+ * @param ledgerNodeId the ID of the ledger node.
+ * @param voterId the ID of the voter.
+ * @param key the voter's key from the key storage backend.
+ *
+ * @return a Promise that resolves once the operation completes.
+ */
+api.storage.setKey = async ({ledgerNodeId, voterId, key}) => {
+  const collection = database.collections.continuity2017_voter;
+  await collection.updateOne({
+    'voter.ledgerNodeId': ledgerNodeId,
+    'voter.id': voterId
+  }, {
+    $set: {'voter.key': key, 'meta.updated': Date.now()},
+    $unset: {'voter.privateKeyBase58': ''}
+  });
+};
+
+/**
+ * Sets the key that a voter is rotating to. Only one rotation may be pending
+ * at a time; the key becomes the voter key via `storage.rotate`.
+ *
+ * @param ledgerNodeId the ID of the ledger node.
+ * @param voterId the current ID of the voter.
+ * @param rotation the new key, `{id, key}`.
+ *
+ * @return a Promise that resolves once the operation completes.
+ */
+api.storage.setRotation = async ({ledgerNodeId, voterId, rotation}) => {
+  const collection = database.collections.continuity2017_voter;
+  const result = await collection.updateOne({
+    'voter.ledgerNodeId': ledgerNodeId,
+    'voter.id': voterId,
+    'voter.rotation': {$exists: false},
+    'meta.deleted': {$exists: false}
+  }, {
+    $set: {'voter.rotation': rotation, 'meta.updated': Date.now()}
+  });
+  if(result.result.n === 0) {
+    throw new BedrockError(
+      'A voter key rotation is already pending or the voter was not found.',
+      'DuplicateError', {
+        httpStatusCode: 409,
+        ledgerNodeId,
+        public: true,
+        voterId
+      });
+  }
+};
+
+/**
+ * Gets the key that a voter is rotating to, if any.
+ *
+ * @param ledgerNodeId the ID of the ledger node.
+ *
+ * @return a Promise that resolves to `{voterId, rotation}` where `rotation`
+ *   is `{id, key}` or to `null` if no rotation is pending.
+ */
+api.storage.getRotation = async ({ledgerNodeId}) => {
+  const collection = database.collections.continuity2017_voter;
+  const record = await collection.findOne({
+    'voter.ledgerNodeId': ledgerNodeId,
+    'voter.rotation': {$exists: true},
+    'meta.deleted': {$exists: false}
+  }, {projection: {_id: 0, 'voter.id': 1, 'voter.rotation': 1}});
+  if(!record) {
+    return null;
+  }
+  return {voterId: record.voter.id, rotation: record.voter.rotation};
+};
+
+/**
+ * Makes the pending rotation key the voter key. The previous voter ID is
+ * kept in `sameAs`, most recent first.
+ *
+ * @param ledgerNodeId the ID of the ledger node.
+ * @param voterId the current ID of the voter.
+ *
+ * @return a Promise that resolves to `true` if the key was rotated and
+ *   `false` if there was no pending rotation.
+ */
+api.storage.rotate = async ({ledgerNodeId, voterId}) => {
+  const collection = database.collections.continuity2017_voter;
+  const record = await collection.findOne({
+    'voter.ledgerNodeId': ledgerNodeId,
+    'voter.id': voterId,
+    'voter.rotation': {$exists: true},
+    'meta.deleted': {$exists: false}
+  }, {projection: {_id: 0, 'voter.rotation': 1}});
+  if(!record) {
+    return false;
+  }
+  const {rotation} = record.voter;
+  const result = await collection.updateOne({
+    'voter.ledgerNodeId': ledgerNodeId,
+    'voter.id': voterId,
+    'voter.rotation.id': rotation.id
+  }, {
+    $set: {
+      'voter.id': rotation.id,
+      'voter.key': rotation.key,
+      'meta.updated': Date.now()
+    },
+    $push: {'voter.sameAs': {$each: [voterId], $position: 0}},
+    $unset: {'voter.rotation': '', 'voter.privateKeyBase58': ''}
+  });
+  return result.result.n !== 0;
+};
+
+async function _createSigner({ledgerNodeId}) {
+  const {id, key, privateKeyBase58} = await api.storage.getKey({ledgerNodeId});
+  if(key) {
+    return _keyStorage.createSigner({id, key});
+  }
+  const imported = await _keyStorage.import({
+    ledgerNodeId,
+    publicKeyBase58: api.getPublicKeyFromId({voterId: id}),
+    privateKeyBase58
+  });
+  if(imported) {
+    await api.storage.setKey({ledgerNodeId, voterId: id, key: imported});
+    logger.info('Moved voter key to key storage.', {
+      backend: imported.backend, ledgerNodeId, voterId: id
+    });
+    return _keyStorage.createSigner({id, key: imported});
+  }
+  return _keyStorage.createLocalSigner({id, privateKeyBase58});
+}
+
+async function _createVoter(ledgerNodeId) {
+  const {id, key} = await api.generateKey({ledgerNodeId});
   const voter = {
-    id: voterId,
+    id,
     ledgerNodeId,
-    privateKeyBase58: kp.privateKeyBase58
+    key
   };
   const result = await api.storage.add(voter);
   return result.voter;
@@ -0,0 +1,165 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const continuity = require('./continuity');
+const noopLogger = require('./noopLogger');
+
+// module API
+const api = {};
+module.exports = api;
+
+/**
+ * Replays consensus over an exported ledger, block by block, starting from
+ * the genesis block. For each block after genesis, consensus is computed
+ * over every merge event that has not been assigned to an earlier block
+ * using the witnesses recorded for that block's height. The resulting
+ * `eventHash` and `consensusProofHash` are compared with those in the
+ * stored block.
+ *
+ * Every honest node must arrive at the same result regardless of how much
+ * additional history it has, so a correctly built ledger replays without
+ * any mismatches. Note that this API does not recompute event hashes or
+ * verify signatures; the `eventHash` and `creator` in each event record's
+ * `meta` are taken as given.
+ *
+ * This API does not depend on bedrock and may be run without a ledger node.
+ *
+ * @param blocks the blocks to replay, in order by height starting with
+ *   genesis, as an array of `{block, witnesses}` where `block` is a block
+ *   (with event hashes in `event` or `eventHash`) and `witnesses` is the
+ *   array of `{id}` witnesses that were used for its height.
+ * @param events the exported event records, as an array of `{event, meta}`;
+ *   only merge events are used.
+ * @param [logger] the logger to use.
+ *
+ * @return a report object with the following properties:
+ *   valid: `true` if every block replayed identically, `false` if not.
+ *   blockHeight: the height of the last block that was replayed.
+ *   mismatches: an array of `{blockHeight, property, expected, actual}`
+ *     for every block property that did not replay identically.
+ */
+api.replay = ({blocks, events, logger = noopLogger}) => {
+  if(!Array.isArray(blocks) || !Array.isArray(events)) {
+    throw new TypeError('"blocks" and "events" must be arrays.');
+  }
+  if(blocks.length === 0 || blocks[0].block.blockHeight !== 0) {
+    throw new Error('"blocks" must start with the genesis block.');
+  }
+
+  const mergeEvents = events.filter(_isMergeEvent);
+
+  // hashes of every event assigned to a block so far
+  const assigned = new Set(_getEventHashes(blocks[0].block));
+  const mismatches = [];
+  let blockHeight = 0;
+  for(let i = 1; i < blocks.length; ++i) {
+    const {block, witnesses} = blocks[i];
+    if(block.blockHeight !== blockHeight + 1) {
+      throw new Error(
+        `Expected block at height "${blockHeight + 1}", ` +
+        `found "${block.blockHeight}".`);
+    }
+    blockHeight = block.blockHeight;
+    const actual = {
+      eventHash: _getEventHashes(block),
+      consensusProofHash: block.consensusProofHash || []
+    };
+
+    logger.verbose('Replaying block.', {blockHeight});
+    const expected = api.replayBlock({
+      blockHeight, assigned, mergeEvents, witnesses, logger
+    });
+    if(!expected) {
+      mismatches.push({
+        blockHeight, property: 'consensus', expected: true, actual: false
+      });
+    } else {
+      for(const property of ['eventHash', 'consensusProofHash']) {
+        if(!_equals(expected[property], actual[property])) {
+          mismatches.push({
+            blockHeight, property,
+            expected: expected[property],
+            actual: actual[property]
+          });
+        }
+      }
+    }
+
+    // continue from the stored block so that every block is checked on its
+    // own even if an earlier one did not replay identically
+    for(const eventHash of actual.eventHash) {
+      assigned.add(eventHash);
+    }
+  }
+
+  return {valid: mismatches.length === 0, blockHeight, mismatches};
+};
+
+/**
+ * Replays consensus for a single block. Consensus is computed over the given
+ * merge events, excluding any that were assigned to an earlier block.
+ *
+ * @param blockHeight the height of the block.
+ * @param assigned a Set with the hashes of the events that were assigned to
+ *   earlier blocks; only the merge events and their parents are checked.
+ * @param mergeEvents the merge event records, as an array of `{event, meta}`.
+ * @param witnesses the array of `{id}` witnesses for the block's height.
+ * @param [logger] the logger to use.
+ *
+ * @return `null` if consensus is not reached, otherwise the expected
+ *   `{eventHash, consensusProofHash}` for the block.
+ */
+api.replayBlock = ({
+  blockHeight, assigned, mergeEvents, witnesses, logger = noopLogger
+}) => {
+  // build a fresh history; `findConsensus` annotates the events it is given
+  const history = {events: []};
+  for(const {event, meta} of mergeEvents) {
+    if(assigned.has(meta.eventHash)) {
+      continue;
+    }
+    const {parentHash, treeHash, type} = event;
+    const {creator} = meta.continuity2017;
+    history.events.push({
+      eventHash: meta.eventHash,
+      event: {parentHash, treeHash, type},
+      meta: {continuity2017: {creator}}
+    });
+  }
+
+  const result = continuity.findConsensus({
+    ledgerNodeId: null, history, blockHeight, witnesses, logger
+  });
+  if(!result.consensus) {
+    return null;
+  }
+
+  // the block includes every merge event that reached consensus and every
+  // parent of those events that was not already included in a prior block
+  const {mergeEventHashes, parentHashes, order} = result.eventHashes;
+  const hashSet = new Set(mergeEventHashes);
+  for(const eventHash of parentHashes) {
+    if(!assigned.has(eventHash)) {
+      hashSet.add(eventHash);
+    }
+  }
+  return {
+    eventHash: order.filter(h => hashSet.has(h)),
+    consensusProofHash: result.consensusProofHashes
+  };
+};
+
+function _getEventHashes(block) {
+  return block.eventHash || block.event || [];
+}
+
+function _isMergeEvent({event, meta}) {
+  return event.type === 'ContinuityMergeEvent' &&
+    !!(meta && meta.continuity2017 && meta.continuity2017.creator);
+}
+
+function _equals(a, b) {
+  return a.length === b.length && a.every((x, i) => x === b[i]);
+}
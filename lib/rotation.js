@@ -0,0 +1,342 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _cache = require('./cache');
+const _keyStorage = require('./keyStorage');
+const _peers = require('./peers');
+const _signature = require('./signature');
+const bedrock = require('bedrock');
+const logger = require('./logger');
+const {util: {BedrockError}} = bedrock;
+
+const ROTATION_TYPE = 'ContinuityVoterRotation';
+
+// module API
+const api = {};
+module.exports = api;
+
+/* Voter key rotation:
+
+  A voter ID is the multibase encoded public key of the voter, so rotating
+  the key changes the voter ID. To keep the identity of the ledger node, the
+  new voter ID is linked to the previous one via a rotation announcement that
+  is signed by both the previous key (authorizing the rotation) and the new
+  key (proving possession of it):
+
+    type: `ContinuityVoterRotation`.
+    ledger: the ID of the ledger.
+    voterId: the new voter ID.
+    sameAs: the previous voter ID.
+    created: the date the rotation was announced.
+    signature: [{voterId, signatureValue}, ...].
+
+  The announcement is the `voterRotation` of a ledger configuration created
+  by the previous voter ID, so that every node applies it at the same block:
+  once that configuration is effective, the previous voter ID is the "same
+  as" the new one. Witness selection maps previous voter IDs to the latest
+  one, consensus treats merge events from any voter ID in a `sameAs` chain as
+  events from the same witness, and the first merge event signed with the new
+  key descends from the last one signed with the previous key. Merge events
+  signed with the previous key that descend from a merge event signed with
+  the new key (or a later one) are rejected rather than linked to the new
+  voter ID, so that the previous key cannot be used to extend the branch of
+  the new voter ID. This only depends on the ancestry of the merge event, so
+  every node decides the same way regardless of the order in which merge
+  events are received. */
+
+/**
+ * Rotates the voter key of a ledger node. A new key is generated and the
+ * rotation is announced via a ledger configuration change. The ledger node
+ * continues to use its current key until that configuration is effective,
+ * see `completeRotation`.
+ *
+ * @param ledgerNode the ledger node to rotate the voter key for.
+ *
+ * @return a Promise that resolves to the rotation announcement.
+ */
+api.rotate = async ({ledgerNode}) => {
+  const ledgerNodeId = ledgerNode.id;
+  const [{id: sameAs}, {event: {ledgerConfiguration}}] = await Promise.all([
+    _peers.get({ledgerNodeId}),
+    ledgerNode.storage.events.getLatestConfig()
+  ]);
+  const {id: voterId, key} = await _peers.generateKey({ledgerNodeId});
+  const rotation = {
+    type: ROTATION_TYPE,
+    ledger: ledgerConfiguration.ledger,
+    voterId,
+    sameAs,
+    created: new Date().toISOString()
+  };
+  rotation.signature = await Promise.all([
+    _signature.signDocument({document: rotation, ledgerNodeId}),
+    _signature.signDocumentWithSigner({
+      document: rotation,
+      signer: _keyStorage.createSigner({id: voterId, key})
+    })
+  ]);
+
+  // store the new key before announcing it so that it is never lost
+  await _peers.storage.setRotation({
+    ledgerNodeId,
+    voterId: sameAs,
+    rotation: {id: voterId, key}
+  });
+
+  // eslint-disable-next-line no-unused-vars
+  const {proof, voterRotation, ...latest} = ledgerConfiguration;
+  await ledgerNode.config.change({ledgerConfiguration: {
+    ...latest,
+    creator: sameAs,
+    sequence: ledgerConfiguration.sequence + 1,
+    voterRotation: rotation
+  }});
+  logger.info('Announced voter key rotation.', {
+    ledgerNodeId, sameAs, voterId
+  });
+  return rotation;
+};
+
+/**
+ * Makes the pending rotation key the voter key of a ledger node once the
+ * ledger configuration that announced it is effective. This is safe to call
+ * at any time; it does nothing if there is no such rotation.
+ *
+ * @param ledgerNode the ledger node.
+ *
+ * @return a Promise that resolves to the new voter ID or `null` if the key
+ *   was not rotated.
+ */
+api.completeRotation = async ({ledgerNode}) => {
+  const ledgerNodeId = ledgerNode.id;
+  const pending = await _peers.storage.getRotation({ledgerNodeId});
+  if(!pending) {
+    return null;
+  }
+  const {voterId: sameAs, rotation: {id: voterId}} = pending;
+  const rotations = await api.getRotations({ledgerNode});
+  if(!rotations.some(r => r.voterId === voterId && r.sameAs === sameAs)) {
+    return null;
+  }
+  if(!await _peers.storage.rotate({ledgerNodeId, voterId: sameAs})) {
+    return null;
+  }
+  await Promise.all([
+    _cache.peers.add({voterId, ledgerNodeId}),
+    _cache.peers.setLedgerNodeId({voterId, ledgerNodeId})
+  ]);
+  logger.info('Rotated voter key.', {ledgerNodeId, sameAs, voterId});
+  return voterId;
+};
+
+/**
+ * Gets the voter rotations that are effective for a ledger node, in the
+ * order in which they became effective. Rotations that are not validly
+ * signed are ignored.
+ *
+ * @param ledgerNode the ledger node.
+ *
+ * @return a Promise that resolves to an array of rotation announcements.
+ */
+api.getRotations = async ({ledgerNode}) => {
+  const records = await ledgerNode.storage.events.collection.find({
+    'event.type': 'WebLedgerConfigurationEvent',
+    'event.ledgerConfiguration.voterRotation': {$exists: true},
+    'meta.effectiveConfiguration': true
+  }, {projection: {
+    _id: 0,
+    'event.ledgerConfiguration.creator': 1,
+    'event.ledgerConfiguration.voterRotation': 1
+  }}).sort({'meta.blockHeight': 1}).toArray();
+
+  const rotations = [];
+  for(const {event: {ledgerConfiguration}} of records) {
+    const {creator, voterRotation: rotation} = ledgerConfiguration;
+    try {
+      if(rotation.sameAs !== creator) {
+        throw new BedrockError(
+          'Voter rotations must be announced by the previous voter.',
+          'DataError', {creator, sameAs: rotation.sameAs});
+      }
+      await api.verifyRotation({rotation});
+      rotations.push(rotation);
+    } catch(e) {
+      logger.error('Ignoring invalid voter rotation.', {
+        error: e, ledgerNodeId: ledgerNode.id
+      });
+    }
+  }
+  return rotations;
+};
+
+/**
+ * Gets a map of every voter ID that was rotated away from to the latest
+ * voter ID in its `sameAs` chain. The result is cached until the ledger
+ * configuration changes.
+ *
+ * @param ledgerNode the ledger node.
+ *
+ * @return a Promise that resolves to a Map of previous voter ID => latest
+ *   voter ID.
+ */
+api.getSameAs = async ({ledgerNode}) => {
+  const ledgerNodeId = ledgerNode.id;
+  const {sameAs: cached, version} = await _cache.peers.getSameAs(
+    {ledgerNodeId});
+  if(cached) {
+    return new Map(cached);
+  }
+  const sameAs = api.linkRotations(
+    {rotations: await api.getRotations({ledgerNode})});
+  await _cache.peers.setSameAs({ledgerNodeId, sameAs: [...sameAs], version});
+  return sameAs;
+};
+
+/**
+ * Builds a map of every voter ID that was rotated away from to the latest
+ * voter ID in its `sameAs` chain. A voter ID may only be rotated away from
+ * once; later rotations from the same voter ID are ignored.
+ *
+ * @param rotations the rotation announcements, see `getRotations`.
+ *
+ * @return a Map of previous voter ID => latest voter ID.
+ */
+api.linkRotations = ({rotations}) => {
+  const next = new Map();
+  for(const {voterId, sameAs} of rotations) {
+    if(!next.has(sameAs) && !next.has(voterId) && voterId !== sameAs) {
+      next.set(sameAs, voterId);
+    }
+  }
+  const latest = new Map();
+  for(const previous of next.keys()) {
+    let voterId = next.get(previous);
+    const seen = new Set([previous]);
+    while(next.has(voterId) && !seen.has(voterId)) {
+      seen.add(voterId);
+      voterId = next.get(voterId);
+    }
+    latest.set(previous, voterId);
+  }
+  return latest;
+};
+
+/**
+ * Gets the previous voter IDs of a voter, most recent first.
+ *
+ * @param sameAs the Map from `getSameAs`.
+ * @param voterId the voter ID.
+ *
+ * @return an array of the previous voter IDs.
+ */
+api.getPreviousIds = ({sameAs, voterId}) => {
+  const previous = [];
+  for(const [id, latest] of sameAs) {
+    if(latest === voterId) {
+      previous.push(id);
+    }
+  }
+  // `sameAs` is in rotation order
+  return previous.reverse();
+};
+
+/**
+ * Gets the voter IDs that a voter ID was rotated to, most recent first.
+ *
+ * @param sameAs the Map from `getSameAs`.
+ * @param voterId the voter ID.
+ *
+ * @return an array of the later voter IDs; the last one is the voter ID that
+ *   `voterId` was directly rotated to.
+ */
+api.getLaterIds = ({sameAs, voterId}) => {
+  const latest = sameAs.get(voterId);
+  if(!latest) {
+    return [];
+  }
+  const ids = [latest, ...api.getPreviousIds({sameAs, voterId: latest})];
+  return ids.slice(0, ids.indexOf(voterId));
+};
+
+/**
+ * Gets the block height at which a rotation away from a voter ID became
+ * effective. No event that reached consensus at or before this block height
+ * can descend from a merge event signed with a later voter ID.
+ *
+ * @param ledgerNode the ledger node.
+ * @param voterId the voter ID that was rotated away from.
+ *
+ * @return a Promise that resolves to the block height or `null` if no
+ *   rotation away from `voterId` is effective.
+ */
+api.getRotationBlockHeight = async ({ledgerNode, voterId}) => {
+  const [record] = await ledgerNode.storage.events.collection.find({
+    'event.type': 'WebLedgerConfigurationEvent',
+    'event.ledgerConfiguration.voterRotation.sameAs': voterId,
+    'meta.effectiveConfiguration': true
+  }, {projection: {_id: 0, 'meta.blockHeight': 1}})
+    .sort({'meta.blockHeight': 1}).limit(1).toArray();
+  return record ? record.meta.blockHeight : null;
+};
+
+/**
+ * Replaces the creator of every merge event in the given history with the
+ * latest voter ID in its `sameAs` chain so that consensus treats merge
+ * events signed with a previous key as events from the same witness.
+ *
+ * @param history the history, see `continuity.findConsensus`.
+ * @param sameAs the Map from `getSameAs`.
+ *
+ * @return the history.
+ */
+api.linkHistory = ({history, sameAs}) => {
+  if(sameAs.size === 0) {
+    return history;
+  }
+  for(const {meta: {continuity2017}} of history.events) {
+    const latest = sameAs.get(continuity2017.creator);
+    if(latest) {
+      continuity2017.creator = latest;
+    }
+  }
+  return history;
+};
+
+/**
+ * Verifies a rotation announcement. It must be signed by both the previous
+ * and the new voter key.
+ *
+ * @param rotation the rotation announcement.
+ *
+ * @return a Promise that resolves once the announcement is verified and
+ *   rejects otherwise.
+ */
+api.verifyRotation = async ({rotation}) => {
+  const {sameAs, signature, type, voterId} = rotation;
+  if(type !== ROTATION_TYPE) {
+    throw _dataError('Unknown voter rotation type.', {type});
+  }
+  if(!(typeof voterId === 'string' && typeof sameAs === 'string' &&
+    voterId !== sameAs && Array.isArray(signature))) {
+    throw _dataError('Invalid voter rotation.', {sameAs, voterId});
+  }
+  for(const signer of [sameAs, voterId]) {
+    const signed = signature.find(s => s && s.voterId === signer);
+    if(!(signed && await _signature.verifyDocument(
+      {document: rotation, signature: signed}))) {
+      throw _dataError(
+        'Voter rotations must be signed by the previous and new voter keys.',
+        {sameAs, signer, voterId});
+    }
+  }
+};
+
+function _dataError(message, details) {
+  return new BedrockError(message, 'DataError', {
+    ...details,
+    httpStatusCode: 400,
+    public: true
+  });
+}
@@ -3,29 +3,52 @@
  */
 'use strict';
 
+const _admin = require('./admin');
 const _cache = require('./cache');
+const _checkpoint = require('./checkpoint');
 const _events = require('./events');
+const _forks = require('./forks');
 const _gossip = require('./gossip');
 const _history = require('./history');
+const _httpSignature = require('./httpSignature');
+const _metrics = require('./metrics');
+const _operations = require('./operations');
 const _peers = require('./peers');
+const _subscriptions = require('./subscriptions');
 const {asyncHandler} = require('bedrock-express');
 const bedrock = require('bedrock');
 const bodyParser = require('body-parser');
+const brLedgerNode = require('bedrock-ledger-node');
+const brPassport = require('bedrock-passport');
+const brPermission = require('bedrock-permission');
 const brRest = require('bedrock-rest');
-const {config} = bedrock;
+const cbor = require('cbor');
+const {config, util: {BedrockError}} = bedrock;
 const {callbackify} = require('util');
 const {validate} = require('bedrock-validation');
 
-require('bedrock-permission');
-
 require('./config');
 
+const CBOR_SEQ = 'application/cbor-seq';
+const NDJSON = 'application/x-ndjson';
+
+// eventHash => the CBOR encoding of the event, least recently used first;
+// an event never changes so its encoding is never invalidated
+const cborEvents = new Map();
+
 // module API
 const api = {};
 module.exports = api;
 
 bedrock.events.on('bedrock-express.configure.bodyParser', app => {
-  app.use(bodyParser.json({limit: '1mb', type: ['json', '+json']}));
+  app.use(bodyParser.json({
+    limit: '1mb',
+    type: ['json', '+json'],
+    // keep the raw body so the HTTP signature digest can be verified
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
 });
 
 bedrock.events.on('bedrock-express.configure.routes', app => {
@@ -34,22 +57,40 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
   // Get events
   app.post(
     routes.eventsQuery, brRest.when.prefers.ld,
-    validate('continuity-server.getEvents'), asyncHandler(async (req, res) => {
+    validate('continuity-server.getEvents'), _authenticatePeer(),
+    asyncHandler(async (req, res) => {
       const voterId = config.server.baseUri +
         '/consensus/continuity2017/voters/' + req.params.voterId;
       const ledgerNodeId = await _peers.getLedgerNodeId(voterId);
       const {eventHash} = req.body;
       const events = await _events.getEventsForGossip(
         {eventHash, ledgerNodeId});
-      for(const event of events) {
-        res.write(`${event}\n`);
+      const {cbor: {enabled: cborEnabled}} =
+        config['ledger-consensus-continuity'].gossip;
+      // newline-delimited JSON is used unless the peer prefers CBOR
+      const types = [NDJSON];
+      if(cborEnabled) {
+        types.push(CBOR_SEQ);
+      }
+      if(req.accepts(types) === CBOR_SEQ) {
+        res.type(CBOR_SEQ);
+        for(const [index, event] of events.entries()) {
+          res.write(_encodeEvent({event, eventHash: eventHash[index]}));
+        }
+      } else {
+        res.type(NDJSON);
+        for(const event of events) {
+          res.write(`${event}\n`);
+        }
       }
       res.end();
     }));
 
   app.post(
     routes.gossip, brRest.when.prefers.ld,
-    validate('continuity-server.gossip'), brRest.linkedDataHandler({
+    validate('continuity-server.gossip'),
+    _authenticatePeer({matchPeerId: true}),
+    brRest.linkedDataHandler({
       // eslint-disable-next-line
       get: callbackify(async (req, res) => {
         const creatorId = config.server.baseUri +
@@ -72,12 +113,174 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
   app.post(
     routes.notify, brRest.when.prefers.ld,
     validate('continuity-server.notification'),
+    _authenticatePeer({matchPeerId: true}),
     asyncHandler(async (req, res) => {
       const {peerId} = req.body;
       const receiverId = config.server.baseUri +
         '/consensus/continuity2017/voters/' + req.params.voterId;
       const ledgerNodeId = await _peers.getLedgerNodeId(receiverId);
-      await _cache.gossip.addNotification({ledgerNodeId, peerId});
+      await _gossip.addNotification({ledgerNodeId, peerId});
       res.status(204).end();
     }));
+
+  app.get(
+    routes.checkpoint,
+    asyncHandler(async (req, res) => {
+      const voterId = config.server.baseUri +
+        '/consensus/continuity2017/voters/' + req.params.voterId;
+      const ledgerNodeId = await _peers.getLedgerNodeId(voterId);
+      const blockHeight = parseInt(req.params.blockHeight, 10);
+      res.json(await _checkpoint.get({blockHeight, ledgerNodeId}));
+    }));
+
+  app.get(
+    routes.operationStatus,
+    validate({query: 'continuity-server.operationStatus'}),
+    asyncHandler(async (req, res) => {
+      const voterId = config.server.baseUri +
+        '/consensus/continuity2017/voters/' + req.params.voterId;
+      const ledgerNodeId = await _peers.getLedgerNodeId(voterId);
+      const ledgerNode = await brLedgerNode.get(null, ledgerNodeId);
+      const {operationHash, recordId} = req.query;
+      res.json(await _operations.getStatus(
+        {ledgerNode, operationHash, recordId}));
+    }));
+
+  // stream notifications of newly written blocks as server-sent events
+  app.get(
+    routes.blockStream,
+    asyncHandler(async (req, res) => {
+      // the client may disconnect while the subscription is being made
+      const stream = {closed: false, keepAlive: null, unsubscribe: null};
+      req.on('close', () => {
+        stream.closed = true;
+        clearInterval(stream.keepAlive);
+        if(stream.unsubscribe) {
+          stream.unsubscribe();
+        }
+      });
+      const voterId = config.server.baseUri +
+        '/consensus/continuity2017/voters/' + req.params.voterId;
+      const ledgerNodeId = await _peers.getLedgerNodeId(voterId);
+      stream.unsubscribe = await _subscriptions.subscribe({
+        ledgerNodeId,
+        listener: notification => res.write(
+          `id: ${notification.blockHeight}\n` +
+          `event: ${notification.type}\n` +
+          `data: ${JSON.stringify(notification)}\n\n`)
+      });
+      if(stream.closed) {
+        return stream.unsubscribe();
+      }
+      res.writeHead(200, {
+        'cache-control': 'no-cache',
+        connection: 'keep-alive',
+        'content-type': 'text/event-stream'
+      });
+      // send a comment periodically to keep intermediaries from closing an
+      // idle connection
+      const {keepAliveInterval} = config['ledger-consensus-continuity']
+        .subscriptions;
+      stream.keepAlive = setInterval(
+        () => res.write(':\n\n'), keepAliveInterval);
+    }));
+
+  app.get(
+    routes.adminConsensusState, brPassport.ensureAuthenticated,
+    asyncHandler(async (req, res) => {
+      const ledgerNode = await _getAdminLedgerNode({req});
+      res.json(await _admin.getConsensusState({ledgerNode}));
+    }));
+
+  app.get(
+    routes.adminPeers, brPassport.ensureAuthenticated,
+    asyncHandler(async (req, res) => {
+      const ledgerNode = await _getAdminLedgerNode({req});
+      res.json(await _admin.getPeerStatuses({ledgerNode}));
+    }));
+
+  app.get(
+    routes.adminForks, brPassport.ensureAuthenticated,
+    asyncHandler(async (req, res) => {
+      const ledgerNode = await _getAdminLedgerNode({req});
+      const {creator} = req.query;
+      res.json(await _forks.getEvidence(
+        {creator, ledgerNodeId: ledgerNode.id}));
+    }));
 });
+
+bedrock.events.on('bedrock-express.configure.routes', app => {
+  const cfg = config['ledger-consensus-continuity'];
+  if(!cfg.metrics.enabled) {
+    return;
+  }
+  app.get(
+    cfg.routes.metrics,
+    (req, res, next) => cfg.metrics.public ?
+      next() : brPassport.ensureAuthenticated(req, res, next),
+    asyncHandler(async (req, res) => {
+      if(!cfg.metrics.public) {
+        const {CONTINUITY_STATE_ACCESS} = config.permission.permissions;
+        await brPermission.checkPermission(
+          req.user.actor, CONTINUITY_STATE_ACCESS);
+      }
+      res.set('content-type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.send(await _metrics.getExposition());
+    }));
+});
+
+// gets the CBOR encoding of an event from its JSON string, reusing the
+// encoding of a recently requested event
+function _encodeEvent({event, eventHash}) {
+  if(event === null) {
+    // the event was not found, do not cache its encoding
+    return cbor.encode(null);
+  }
+  let encoded = cborEvents.get(eventHash);
+  if(encoded) {
+    // mark the encoding as most recently used
+    cborEvents.delete(eventHash);
+  } else {
+    encoded = cbor.encode(JSON.parse(event));
+  }
+  cborEvents.set(eventHash, encoded);
+  const {cacheSize} = config['ledger-consensus-continuity'].gossip.cbor;
+  for(const hash of cborEvents.keys()) {
+    if(cborEvents.size <= cacheSize) {
+      break;
+    }
+    cborEvents.delete(hash);
+  }
+  return encoded;
+}
+
+// check that the authenticated actor may inspect consensus state and get
+// the ledger node for the voter in the request
+async function _getAdminLedgerNode({req}) {
+  const {actor} = req.user;
+  await brPermission.checkPermission(
+    actor, config.permission.permissions.CONTINUITY_STATE_ACCESS);
+  const voterId = config.server.baseUri +
+    '/consensus/continuity2017/voters/' + req.params.voterId;
+  const ledgerNodeId = await _peers.getLedgerNodeId(voterId);
+  return brLedgerNode.get(null, ledgerNodeId);
+}
+
+// verifies the HTTP signature on a peer request; if `matchPeerId` is set,
+// the `peerId` asserted in the request body must be the signer
+function _authenticatePeer({matchPeerId = false} = {}) {
+  return asyncHandler(async (req, res, next) => {
+    const {voterId} = await _httpSignature.verify({req});
+    if(matchPeerId && req.body.peerId !== voterId) {
+      throw new BedrockError(
+        'The "peerId" in the request does not match the request signer.',
+        'NotAllowedError', {
+          httpStatusCode: 403,
+          peerId: req.body.peerId,
+          public: true,
+          voterId
+        });
+    }
+    next();
+  });
+}
@@ -5,14 +5,16 @@
 
 const _ = require('lodash');
 const _peers = require('./peers');
+const _signatureSuites = require('./signatureSuites');
 const bedrock = require('bedrock');
+const canonicalize = require('canonicalize');
 const {config: {constants}, util: {BedrockError}} = bedrock;
 const jsigs = require('jsonld-signatures');
 const {documentLoader} = require('bedrock-jsonld-document-loader');
 const logger = require('./logger');
+const path = require('path');
+const workerpool = require('workerpool');
 const {Ed25519KeyPair} = require('crypto-ld');
-const MergeEventEd25519Signature2018 = require(
-  './MergeEventEd25519Signature2018');
 
 const {
   // TODO: remove once tests are written
@@ -20,29 +22,44 @@ const {
   purposes: {AssertionProofPurpose}
 } = jsigs;
 
+// load config defaults
+require('./config');
+
+const WORKER_SCRIPT = path.join(__dirname, 'signatureWorkerPoolWorker.js');
+
+// the pool that checks the signatures of merge event batches
+let pool;
+
+bedrock.events.on('bedrock.stop', async () => {
+  if(pool) {
+    const _pool = pool;
+    pool = null;
+    await _pool.terminate();
+  }
+});
+
 /**
  * Sign a merge event.
  *
  * @param event the merge event to sign.
  * @param ledgerNodeId the ID of the ledger node associated with the event.
+ * @param [type] the proof type to use (see `signatureSuites`), defaults to
+ *   `Ed25519Signature2018`.
  *
  * @return {Promise} the provided event with a proof attached.
  */
-exports.sign = async ({event, ledgerNodeId}) => {
-  const creator = await _peers.get(
-    {ledgerNodeId, privateKey: true, publicKey: true});
-  const key = new Ed25519KeyPair({
-    id: creator.publicKey.id,
-    privateKeyBase58: creator.publicKey.privateKey.privateKeyBase58,
-    publicKeyBase58: creator.publicKey.publicKeyBase58
-  });
+exports.sign = async ({
+  event, ledgerNodeId, type = _signatureSuites.DEFAULT_TYPE
+}) => {
+  const {Suite} = _signatureSuites.use(type);
+  const signer = await _peers.getSigner({ledgerNodeId});
   return jsigs.sign(event, {
     compactProof: false,
     documentLoader,
     // TODO: add tests that compare output of this function against using
     //  `Ed25519Signature2018`
     //suite: new Ed25519Signature2018({key}),
-    suite: new MergeEventEd25519Signature2018({key}),
+    suite: new Suite({signer, verificationMethod: signer.id}),
     purpose: new AssertionProofPurpose()
   });
 };
@@ -58,23 +75,213 @@ exports.sign = async ({event, ledgerNodeId}) => {
  * @return {Promise} resolves when there is no verification failure and
  *         rejects otherwise.
  */
-exports.verify = async ({event}) => {
-  let publicKeyBase58;
-  const {proof: {verificationMethod: publicKeyId}} = event;
+exports.verify = async ({event}) => _verifyMergeEvent({event});
+
+/**
+ * Verify the proof signatures on a batch of merge events together, e.g. the
+ * merge events received in a gossip batch. Each proof is processed as in
+ * `verify` except that its signature is not checked; the signatures of the
+ * whole batch are then checked in a single task in a worker thread. If any
+ * signature is invalid or the worker fails, each merge event is verified on
+ * its own via `verify` so that the invalid merge event is reported.
+ *
+ * @param events the merge events to verify.
+ *
+ * @return {Promise} resolves to an array with the key owner of each merge
+ *   event, `{keyOwner: {id}}`, and rejects if any verification fails.
+ */
+exports.verifyBatch = async ({events}) => {
+  const signatures = [];
+  const results = await Promise.all(
+    events.map(event => _verifyMergeEvent({event, signatures})));
+
+  const {timeout} = bedrock.config['ledger-consensus-continuity']
+    .gossip.batchProcess.verification;
+  let verified = false;
+  // every proof must have given its signature to be checked
+  if(signatures.length === events.length) {
+    try {
+      verified = await _getPool().exec('verifyBatch', [{signatures}])
+        .timeout(timeout);
+    } catch(e) {
+      logger.error('Could not verify merge event signatures in a worker.', {
+        error: e
+      });
+    }
+  }
+  if(verified) {
+    return results;
+  }
+  logger.debug('Merge event batch signature verification failed.', {
+    events: events.length
+  });
+  return Promise.all(events.map(event => exports.verify({event})));
+};
+
+/**
+ * Verify the proof on an operation to identify who submitted it. A key
+ * whose public key is encoded in its ID, e.g. a voter key, is its own
+ * controller; any other key and its controller are retrieved via the
+ * document loader. The proof must be of a registered proof type (see
+ * `signatureSuites`).
+ *
+ * @param operation the operation to verify.
+ *
+ * @return {Promise} resolves to `{controller}`, the ID of the controller of
+ *         the key that created the first valid proof, and rejects if no
+ *         proof can be verified.
+ */
+exports.verifyOperation = async ({operation}) => {
+  const [proof] = [].concat(operation.proof || []);
+  if(!proof) {
+    throw new BedrockError(
+      'The operation does not have a proof.', 'NotFoundError');
+  }
+  const {Suite} = _signatureSuites.use(proof.type);
+  const keyId = proof.verificationMethod || proof.creator;
+  let purpose;
+  let suite;
+  try {
+    const key = new Ed25519KeyPair(await _getPublicKey(keyId));
+    const controller = {
+      '@context': constants.SECURITY_CONTEXT_URL,
+      id: keyId,
+      assertionMethod: keyId
+    };
+    purpose = new AssertionProofPurpose({controller});
+    suite = new Suite({key});
+  } catch(e) {
+    purpose = new AssertionProofPurpose();
+    suite = new Suite();
+  }
+  const result = await jsigs.verify(operation, {
+    compactProof: false,
+    documentLoader,
+    purpose,
+    suite
+  });
+  const verified = (result.results || []).find(r => r.verified);
+  if(!verified) {
+    throw new BedrockError(
+      'Operation signature verification failed.', 'AuthenticationError', {
+        keyId
+      });
+  }
+  return {controller: verified.purposeResult.controller.id};
+};
+
+/**
+ * Signs a JSON document using the voter key of a ledger node. The signature
+ * covers the JCS canonicalized form of the document excluding any existing
+ * `signature` property.
+ *
+ * @param document the JSON document to sign.
+ * @param ledgerNodeId the ID of the ledger node.
+ *
+ * @return {Promise} resolves to the signature, `{voterId, signatureValue}`.
+ */
+exports.signDocument = async ({document, ledgerNodeId}) => {
+  const signer = await _peers.getSigner({ledgerNodeId});
+  return exports.signDocumentWithSigner({document, signer});
+};
+
+/**
+ * Signs a JSON document using the given voter key signer, e.g. for a key
+ * that is not yet the voter key of a ledger node. See `signDocument`.
+ *
+ * @param document the JSON document to sign.
+ * @param signer the signer to use, `{id, sign({data})}` where `id` is the
+ *   voter ID (see `keyStorage.createSigner`).
+ *
+ * @return {Promise} resolves to the signature, `{voterId, signatureValue}`.
+ */
+exports.signDocumentWithSigner = async ({document, signer}) => {
+  const signature = await signer.sign(
+    {data: exports.canonicalizeDocument({document})});
+  return {
+    voterId: signer.id,
+    signatureValue: Buffer.from(signature).toString('base64')
+  };
+};
+
+/**
+ * Verifies a signature created via `signDocument` using the public key
+ * derived from its voter ID.
+ *
+ * @param document the signed JSON document.
+ * @param signature the signature, `{voterId, signatureValue}`.
+ *
+ * @return {Promise} resolves to `true` if the signature is valid and `false`
+ *   if not.
+ */
+exports.verifyDocument = async ({document, signature}) => {
+  const {voterId, signatureValue} = signature;
+  try {
+    const publicKeyBase58 = _peers.getPublicKeyFromId({voterId});
+    const key = new Ed25519KeyPair({id: voterId, publicKeyBase58});
+    return await key.verifier().verify({
+      data: exports.canonicalizeDocument({document}),
+      signature: Buffer.from(signatureValue, 'base64')
+    });
+  } catch(e) {
+    logger.debug('Could not verify document signature.', {error: e, voterId});
+    return false;
+  }
+};
+
+/**
+ * Gets the data covered by a document signature.
+ *
+ * @param document the JSON document.
+ *
+ * @return a Buffer with the canonicalized document.
+ */
+exports.canonicalizeDocument = ({document}) => {
+  // eslint-disable-next-line no-unused-vars
+  const {signature, ...unsigned} = document;
+  return Buffer.from(canonicalize(unsigned), 'utf8');
+};
+
+async function _getPublicKey(publicKeyId) {
+  const publicKeyBase58 = _peers.getPublicKeyFromId({voterId: publicKeyId});
+  return {
+    id: publicKeyId,
+    type: 'Ed25519VerificationKey2018',
+    controller: publicKeyId,
+    publicKey: publicKeyId,
+    publicKeyBase58
+  };
+}
+
+// verifies a merge event proof; if `signatures` is given, the signature is
+// not checked but added to it as `{publicKeyBase58, data, signature}`
+async function _verifyMergeEvent({event, signatures}) {
+  const {proof: {type, verificationMethod: publicKeyId}} = event;
+  const {Suite} = _signatureSuites.use(type);
   const controller = {
     '@context': constants.SECURITY_CONTEXT_URL,
     id: publicKeyId,
     assertionMethod: publicKeyId,
   };
   const key = new Ed25519KeyPair(await _getPublicKey(publicKeyId));
+  // TODO: add tests that compare output of this function against using
+  //  `Ed25519Signature2018`
+  //const suite = new Ed25519Signature2018({key});
+  const suite = new Suite({key});
+  if(signatures) {
+    const {publicKeyBase58} = key;
+    suite.verifier = {
+      async verify({data, signature}) {
+        signatures.push({publicKeyBase58, data, signature});
+        return true;
+      }
+    };
+  }
   const result = await jsigs.verify(event, {
     compactProof: false,
     documentLoader,
     purpose: new AssertionProofPurpose({controller}),
-    // TODO: add tests that compare output of this function against using
-    //  `Ed25519Signature2018`
-    //suite: new Ed25519Signature2018({key}),
-    suite: new MergeEventEd25519Signature2018({key})
+    suite
   });
   if(!result.verified) {
     const {verified} = result;
@@ -90,15 +297,13 @@ exports.verify = async ({event}) => {
   }
 
   return {keyOwner: {id: publicKeyId}};
+}
 
-  async function _getPublicKey(publicKeyId) {
-    publicKeyBase58 = _peers.getPublicKeyFromId({voterId: publicKeyId});
-    return {
-      id: publicKeyId,
-      type: 'Ed25519VerificationKey2018',
-      controller: publicKeyId,
-      publicKey: publicKeyId,
-      publicKeyBase58
-    };
+function _getPool() {
+  if(!pool) {
+    const {maxWorkers} = bedrock.config['ledger-consensus-continuity']
+      .gossip.batchProcess.verification;
+    pool = workerpool.pool(WORKER_SCRIPT, {maxWorkers, workerType: 'thread'});
   }
-};
+  return pool;
+}
@@ -0,0 +1,124 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const {util: {BedrockError}} = require('bedrock');
+
+/* A merge event signature suite is registered by proof type with:
+
+  Suite: a jsonld-signatures suite class that is constructed with
+    `{signer, verificationMethod}` to sign and `{key}` to verify.
+  proofValue: `{property, datatype}`, the proof property that holds the
+    signature and the RDF datatype of its value; used when hashing merge
+    events.
+
+The proof type used for new merge events is chosen via `mergeEventProof` in
+the ledger configuration:
+
+  type: the proof type to sign new merge events with.
+  previousType: a proof type that is still accepted for merge events whose
+    ancestry is below `transitionBlockHeight`.
+  transitionBlockHeight: the first block height at which merge events with
+    `previousType` proofs are rejected; a merge event is at the highest
+    `basisBlockHeight` of its regular and configuration event parents, and
+    once a creator has signed a merge event with `type` its later merge
+    events must be too.
+
+Without `mergeEventProof`, merge events are signed with and only accept
+`Ed25519Signature2018` proofs. */
+
+const DEFAULT_TYPE = 'Ed25519Signature2018';
+
+const suites = new Map();
+
+// module API
+const api = {};
+module.exports = api;
+
+api.DEFAULT_TYPE = DEFAULT_TYPE;
+
+/**
+ * Registers a merge event signature suite or gets a registered suite.
+ *
+ * @param type {string} - The proof type.
+ * @param [suite] {Object} - The suite to register.
+ *
+ * @returns {Object} The suite.
+ */
+api.use = (type, suite) => {
+  if(suite) {
+    if(typeof suite.Suite !== 'function') {
+      throw new TypeError('"suite.Suite" must be a function.');
+    }
+    const {proofValue} = suite;
+    if(!(proofValue && typeof proofValue.property === 'string' &&
+      typeof proofValue.datatype === 'string')) {
+      throw new TypeError(
+        '"suite.proofValue" must be an object with a string "property" and ' +
+        '"datatype".');
+    }
+    suites.set(type, suite);
+    return suite;
+  }
+  suite = suites.get(type);
+  if(!suite) {
+    throw new BedrockError(
+      `Merge event signature suite "${type}" not found.`, 'NotFoundError', {
+        httpStatusCode: 400,
+        public: true,
+        type
+      });
+  }
+  return suite;
+};
+
+/**
+ * Gets the proof type that new merge events are signed with.
+ *
+ * @param ledgerConfiguration {Object} - The latest ledger configuration.
+ *
+ * @returns {string} The proof type.
+ */
+api.getSigningType = ({ledgerConfiguration}) => {
+  const {mergeEventProof} = ledgerConfiguration || {};
+  return (mergeEventProof && mergeEventProof.type) || DEFAULT_TYPE;
+};
+
+/**
+ * Gets the proof types that are accepted for merge events at a block height.
+ *
+ * @param ledgerConfiguration {Object} - The ledger configuration that is
+ *   effective at `blockHeight`.
+ * @param blockHeight {number} - The block height.
+ *
+ * @returns {string[]} The accepted proof types.
+ */
+api.getAcceptedTypes = ({ledgerConfiguration, blockHeight}) => {
+  const {mergeEventProof} = ledgerConfiguration || {};
+  if(!(mergeEventProof && mergeEventProof.type)) {
+    return [DEFAULT_TYPE];
+  }
+  const {type, previousType, transitionBlockHeight = 0} = mergeEventProof;
+  const types = [type];
+  if(previousType && previousType !== type &&
+    blockHeight < transitionBlockHeight) {
+    types.push(previousType);
+  }
+  return types;
+};
+
+api.use('Ed25519Signature2018', {
+  Suite: require('./MergeEventEd25519Signature2018'),
+  proofValue: {
+    property: 'jws',
+    datatype: 'http://www.w3.org/2001/XMLSchema#string'
+  }
+});
+api.use('Ed25519Signature2020', {
+  Suite: require('./MergeEventEd25519Signature2020'),
+  proofValue: {
+    property: 'proofValue',
+    datatype: 'https://w3id.org/security#multibase'
+  }
+});
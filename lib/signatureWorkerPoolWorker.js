@@ -0,0 +1,28 @@
+/*!
+ * Copyright (c) 2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const workerpool = require('workerpool');
+const {Ed25519KeyPair} = require('crypto-ld');
+
+workerpool.worker({
+  /**
+   * Checks a batch of Ed25519 signatures using the same verifier that
+   * `signature.verify` uses for a single merge event.
+   *
+   * @param signatures an array of `{publicKeyBase58, data, signature}` where
+   *   `data` and `signature` are Uint8Arrays.
+   *
+   * @return `true` if every signature is valid, `false` if not.
+   */
+  verifyBatch: async ({signatures}) => {
+    for(const {publicKeyBase58, data, signature} of signatures) {
+      const verifier = new Ed25519KeyPair({publicKeyBase58}).verifier();
+      if(!await verifier.verify({data, signature})) {
+        return false;
+      }
+    }
+    return true;
+  }
+});
@@ -0,0 +1,287 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _httpSignature = require('./httpSignature');
+const _metrics = require('./metrics');
+const _peers = require('./peers');
+const _util = require('./util');
+const bedrock = require('bedrock');
+const brHttpsAgent = require('bedrock-https-agent');
+const brJobs = require('bedrock-jobs');
+const cache = require('bedrock-redis');
+const database = require('bedrock-mongodb');
+const {EventEmitter} = require('events');
+const {httpClient} = require('@digitalbazaar/http-client');
+const logger = require('./logger');
+const {config, util: {BedrockError}} = bedrock;
+
+require('./config');
+
+const CHANNEL_PREFIX = 'continuity2017|blockCommitted|';
+const NOTIFICATION_TYPE = 'BlockCommitted';
+
+// module API
+const api = {};
+module.exports = api;
+
+/* When a block is written, a notification is published to every bedrock
+worker process via redis and delivered to each registered webhook:
+
+  type: `BlockCommitted`.
+  block: the ID of the block.
+  blockHeight: the height of the block.
+  blockHash: the hash of the block.
+  eventHash: the hashes of the events in the block.
+  recordId: the IDs of the records with operations in the block.
+
+Webhook requests are signed with HTTP Signatures using the voter key of the
+ledger node (see `httpSignature`); the voter ID is the `keyId`. */
+
+let jobQueue;
+// one redis subscriber per process; notifications are emitted by
+// ledger node ID
+let subscriber;
+const emitter = new EventEmitter();
+// the number of listeners across all ledger nodes
+let listenerCount = 0;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections(['continuity2017_webhook']);
+  await database.createIndexes([{
+    collection: 'continuity2017_webhook',
+    fields: {ledgerNodeId: 1, 'webhook.url': 1},
+    options: {unique: true, background: false}
+  }]);
+});
+
+bedrock.events.on('bedrock.start', async () => {
+  // a ledger node may have up to `maxListeners` listeners, more indicates
+  // that listeners are not being removed
+  emitter.setMaxListeners(_getConfig().maxListeners);
+  jobQueue = brJobs.addQueue({name: 'continuity-webhook-delivery'});
+  const {concurrency} = _getConfig().webhooks;
+  jobQueue.process(concurrency, _deliver);
+});
+
+/**
+ * Publishes a notification for a newly written block.
+ *
+ * @param ledgerNode the ledger node that wrote the block.
+ * @param block the block.
+ * @param blockHash the hash of the block.
+ *
+ * @return a Promise that resolves to the notification.
+ */
+api.publish = async ({ledgerNode, block, blockHash}) => {
+  const ledgerNodeId = ledgerNode.id;
+  const notification = await api.createNotification(
+    {block, blockHash, ledgerNode});
+  await cache.client.publish(
+    CHANNEL_PREFIX + ledgerNodeId, JSON.stringify(notification));
+
+  const webhooks = await api.getWebhooks({ledgerNodeId});
+  if(webhooks.length > 0) {
+    // FIXME: use removeOnComplete when fixed
+    // see: https://github.com/OptimalBits/bull/issues/1906
+    jobQueue.clean(5000);
+    const {attempts, backoff} = _getConfig().webhooks;
+    await jobQueue.addBulk(webhooks.map(({url}) => ({
+      data: {ledgerNodeId, notification, url},
+      opts: {attempts, backoff: {type: 'exponential', delay: backoff}}
+    })));
+  }
+  return notification;
+};
+
+/**
+ * Creates the notification for a block.
+ *
+ * @param ledgerNode the ledger node.
+ * @param block the block.
+ * @param blockHash the hash of the block.
+ *
+ * @return a Promise that resolves to the notification.
+ */
+api.createNotification = async ({ledgerNode, block, blockHash}) => {
+  const {blockHeight, event: eventHash, id} = block;
+  const cursor = ledgerNode.storage.operations.collection.find(
+    {'meta.eventHash': {$in: eventHash}},
+    {projection: {
+      _id: 0, 'operation.type': 1, 'operation.record.id': 1,
+      'operation.recordPatch.target': 1
+    }});
+  const recordIds = new Set();
+  for await (const {operation} of cursor) {
+    recordIds.add(_util.getRecordId({operation}));
+  }
+  return {
+    type: NOTIFICATION_TYPE,
+    block: id,
+    blockHeight,
+    blockHash,
+    eventHash,
+    recordId: [...recordIds].sort()
+  };
+};
+
+/**
+ * Subscribes to the notifications for the blocks written by a ledger node
+ * in any bedrock worker process. Each process allows up to
+ * `subscriptions.maxListeners` subscriptions at once.
+ *
+ * @param ledgerNodeId the ID of the ledger node.
+ * @param listener the function to call with each notification.
+ *
+ * @return a Promise that resolves to a function that unsubscribes.
+ */
+api.subscribe = async ({ledgerNodeId, listener}) => {
+  const {maxListeners} = _getConfig();
+  if(listenerCount >= maxListeners) {
+    throw new BedrockError(
+      'Too many subscriptions to block notifications.',
+      'QuotaExceededError', {
+        httpStatusCode: 503,
+        ledgerNodeId,
+        maxListeners,
+        public: true
+      });
+  }
+  if(!subscriber) {
+    subscriber = new cache.Client().client;
+    subscriber.on('pmessage', (pattern, channel, message) => {
+      let notification;
+      try {
+        notification = JSON.parse(message);
+      } catch(e) {
+        logger.error('Invalid block notification.', {channel, error: e});
+        return;
+      }
+      emitter.emit(channel.substr(CHANNEL_PREFIX.length), notification);
+    });
+    try {
+      await subscriber.psubscribe(CHANNEL_PREFIX + '*');
+    } catch(e) {
+      subscriber.quit();
+      subscriber = null;
+      throw e;
+    }
+  }
+  emitter.on(ledgerNodeId, listener);
+  listenerCount++;
+  let subscribed = true;
+  return () => {
+    if(subscribed) {
+      subscribed = false;
+      listenerCount--;
+      emitter.removeListener(ledgerNodeId, listener);
+    }
+  };
+};
+
+/**
+ * Registers a webhook that is sent the notification for every block
+ * written by a ledger node.
+ *
+ * @param ledgerNodeId the ID of the ledger node.
+ * @param url the URL to POST notifications to.
+ *
+ * @return a Promise that resolves to the webhook, `{url}`.
+ */
+api.addWebhook = async ({ledgerNodeId, url}) => {
+  let protocol;
+  try {
+    ({protocol} = new URL(url));
+  } catch(e) {}
+  if(!['http:', 'https:'].includes(protocol)) {
+    throw new BedrockError(
+      'Webhook URLs must be HTTP or HTTPS URLs.', 'SyntaxError', {
+        httpStatusCode: 400,
+        public: true,
+        url
+      });
+  }
+  const now = Date.now();
+  try {
+    await database.collections.continuity2017_webhook.insertOne({
+      ledgerNodeId,
+      meta: {created: now, updated: now},
+      webhook: {url}
+    });
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    throw new BedrockError(
+      'The webhook is already registered.', 'DuplicateError', {
+        httpStatusCode: 409,
+        ledgerNodeId,
+        public: true,
+        url
+      }, e);
+  }
+  return {url};
+};
+
+/**
+ * Removes a webhook.
+ *
+ * @param ledgerNodeId the ID of the ledger node.
+ * @param url the URL of the webhook.
+ *
+ * @return a Promise that resolves to `true` if the webhook was removed and
+ *   `false` if it was not registered.
+ */
+api.removeWebhook = async ({ledgerNodeId, url}) => {
+  const result = await database.collections.continuity2017_webhook.deleteOne(
+    {ledgerNodeId, 'webhook.url': url});
+  return result.result.n !== 0;
+};
+
+/**
+ * Gets the webhooks registered for a ledger node.
+ *
+ * @param ledgerNodeId the ID of the ledger node.
+ *
+ * @return a Promise that resolves to an array of webhooks, `{url}`.
+ */
+api.getWebhooks = async ({ledgerNodeId}) => {
+  const records = await database.collections.continuity2017_webhook.find(
+    {ledgerNodeId}, {projection: {_id: 0, webhook: 1}}).toArray();
+  return records.map(({webhook}) => webhook);
+};
+
+// called by a bedrock-job, job contains `data` payload; a failed delivery
+// is retried by the job queue
+async function _deliver(job) {
+  const {data: {ledgerNodeId, notification, url}} = job;
+  const {timeout} = _getConfig().webhooks;
+  try {
+    const {id: callerId} = await _peers.get({ledgerNodeId});
+    const body = JSON.stringify(notification);
+    const headers = await _httpSignature.createHeaders({body, callerId, url});
+    headers['content-type'] = 'application/json';
+    const agent = url.startsWith('https:') ?
+      brHttpsAgent.httpsAgent : undefined;
+    await httpClient.post(url, {agent, body, headers, timeout});
+  } catch(e) {
+    logger.debug('Could not deliver block notification to webhook.', {
+      attempt: job.attemptsMade + 1,
+      blockHeight: notification.blockHeight,
+      error: e,
+      ledgerNodeId,
+      url
+    });
+    await _metrics.increment({name: 'webhookFailures', labels: {ledgerNodeId}});
+    throw new BedrockError(
+      'Could not deliver block notification.', 'NetworkError', {
+        httpStatusCode: e.status,
+        url
+      }, e);
+  }
+}
+
+function _getConfig() {
+  return config['ledger-consensus-continuity'].subscriptions;
+}
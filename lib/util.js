@@ -3,6 +3,7 @@
  */
 'use strict';
 
+const _signatureSuites = require('./signatureSuites');
 const brLedgerNode = require('bedrock-ledger-node');
 const {canonize, NQuads} = require('rdf-canonize');
 const jsonCanonicalize = require('canonicalize');
@@ -11,7 +12,11 @@ const multibase = require('multibase');
 const multihash = require('multihashes');
 const pImmediate = require('p-immediate');
 
-exports.generateRecordId = ({ledgerNode, operation}) => {
+exports.generateRecordId = ({ledgerNode, operation}) =>
+  ledgerNode.storage.driver.hash(exports.getRecordId({operation}));
+
+// gets the (unhashed) ID of the record an operation applies to
+exports.getRecordId = ({operation}) => {
   let recordId;
   if(operation.type === 'CreateWebLedgerRecord') {
     recordId = operation.record.id;
@@ -19,7 +24,7 @@ exports.generateRecordId = ({ledgerNode, operation}) => {
   if(operation.type === 'UpdateWebLedgerRecord') {
     recordId = operation.recordPatch.target;
   }
-  return ledgerNode.storage.driver.hash(recordId);
+  return recordId;
 };
 
 exports.rdfCanonizeAndHash = brLedgerNode.consensus._rdfCanonizeAndHash;
@@ -47,6 +52,33 @@ exports.hasher = async data => {
   return hash;
 };
 
+/**
+ * Computes the hash of a block. Blocks are hashed with their event hashes in
+ * `eventHash` but are stored with them in `event`; either form may be given.
+ *
+ * The web ledger context does not define `merkleRoot`, so it would be dropped
+ * when the block is canonized; the hash of a block with a `merkleRoot` covers
+ * both the hash of the rest of the block and the `merkleRoot`.
+ *
+ * @param block the block to hash.
+ *
+ * @return {Promise} resolves to the block hash.
+ */
+exports.hashBlock = async block => {
+  const {event, merkleRoot, ...rest} = block;
+  if(event) {
+    rest.eventHash = event;
+  }
+  const hash = await exports.hasher(rest);
+  if(merkleRoot === undefined) {
+    return hash;
+  }
+  const canonized =
+    `_:c14n0 <https://w3id.org/webledger#blockHash> "${hash}" .\n` +
+    `_:c14n0 <https://w3id.org/webledger#merkleRoot> "${merkleRoot}" .\n`;
+  return _hashCanonized(canonized).hash;
+};
+
 exports.canonizeMergeEvent = async event => {
   const dataset = _mergeEventToDataset(event);
   const canonized = await canonize(dataset, {
@@ -131,6 +163,8 @@ function _hashCanonized(canonized) {
 }
 
 function _mergeEventToDataset(event) {
+  const {proof} = event;
+  const {proofValue} = _signatureSuites.use(proof.type);
   const dataset = [{
     subject: {termType: 'BlankNode', value: '_:b0'},
     predicate: {
@@ -199,7 +233,7 @@ function _mergeEventToDataset(event) {
     },
     object: {
       termType: 'NamedNode',
-      value: 'https://w3id.org/security#Ed25519Signature2018'
+      value: `https://w3id.org/security#${proof.type}`
     },
     graph: {termType: 'BlankNode', value: '_:b1'}
   }, {
@@ -210,7 +244,7 @@ function _mergeEventToDataset(event) {
     },
     object: {
       termType: 'Literal',
-      value: event.proof.created,
+      value: proof.created,
       datatype: {
         termType: 'NamedNode',
         value: 'http://www.w3.org/2001/XMLSchema#dateTime'
@@ -221,14 +255,14 @@ function _mergeEventToDataset(event) {
     subject: {termType: 'BlankNode', value: '_:b2'},
     predicate: {
       termType: 'NamedNode',
-      value: 'https://w3id.org/security#jws'
+      value: `https://w3id.org/security#${proofValue.property}`
     },
     object: {
       termType: 'Literal',
-      value: event.proof.jws,
+      value: proof[proofValue.property],
       datatype: {
         termType: 'NamedNode',
-        value: 'http://www.w3.org/2001/XMLSchema#string'
+        value: proofValue.datatype
       }
     },
     graph: {termType: 'BlankNode', value: '_:b1'}
@@ -251,7 +285,7 @@ function _mergeEventToDataset(event) {
     },
     object: {
       termType: 'NamedNode',
-      value: event.proof.verificationMethod
+      value: proof.verificationMethod
     },
     graph: {termType: 'BlankNode', value: '_:b1'}
   }]);
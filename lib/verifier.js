@@ -0,0 +1,196 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _replay = require('./replay');
+const _rotation = require('./rotation');
+const _signature = require('./signature');
+const _util = require('./util');
+const bedrock = require('bedrock');
+const logger = require('./logger');
+const {config, util: {BedrockError}} = bedrock;
+
+// module API
+const api = {};
+module.exports = api;
+
+/**
+ * Verifies the consensus proof of a block. Every merge event listed in the
+ * block's `consensusProofHash` must be stored by the ledger node, must be
+ * validly signed by a witness, and must be included in the block. Consensus
+ * is then re-derived from the merge events the ledger node has that were
+ * assigned to the block or to one of the next `verifier.maxLookahead` blocks
+ * (and, once those reach the latest block, the merge events that have not
+ * reached consensus); the support and endorsement computed from them must
+ * result in the same `eventHash` and `consensusProofHash` as the block.
+ *
+ * The block may be one written by the ledger node or one received out of
+ * band, in which case the ledger node must already have the events needed
+ * to reach consensus on it. Merge events signed with a voter key that was
+ * rotated away from count for the witness at the end of its `sameAs` chain.
+ *
+ * @param ledgerNode the ledger node with the events for the block.
+ * @param block the block to verify (with event hashes in `event` or
+ *   `eventHash`).
+ * @param witnesses the array of `{id}` witnesses for the block's height.
+ *
+ * @return a Promise that resolves to a report with the following properties:
+ *   valid: `true` if the block's consensus proof is valid, `false` if not.
+ *   blockHeight: the height of the block.
+ *   blockHash: the hash of the block.
+ *   proof: an array of `{eventHash, creator, valid, errors}` for each event
+ *     in the block's consensus proof.
+ *   mismatches: an array of `{property, expected, actual}` for every block
+ *     property that does not match the re-derived consensus.
+ */
+api.verifyBlock = async ({ledgerNode, block, witnesses}) => {
+  const {blockHeight} = block;
+  if(!(Number.isInteger(blockHeight) && blockHeight > 0)) {
+    throw new BedrockError(
+      'Only blocks after genesis have a consensus proof.', 'DataError', {
+        blockHeight,
+        httpStatusCode: 400,
+        public: true
+      });
+  }
+  const eventHash = block.eventHash || block.event || [];
+  const consensusProofHash = block.consensusProofHash || [];
+
+  // only link voter IDs to witnesses that they are not already part of
+  const witnessIds = new Set(witnesses.map(({id}) => id));
+  const sameAs = new Map([...await _rotation.getSameAs({ledgerNode})]
+    .filter(([id, latest]) => witnessIds.has(latest) && !witnessIds.has(id)));
+
+  const proof = await _verifyProof(
+    {ledgerNode, consensusProofHash, eventHash, sameAs, witnessIds});
+
+  const mismatches = [];
+  const expected = await _deriveConsensus(
+    {blockHeight, ledgerNode, sameAs, witnesses});
+  if(!expected) {
+    mismatches.push({property: 'consensus', expected: true, actual: false});
+  } else {
+    const actual = {eventHash, consensusProofHash};
+    for(const property of ['eventHash', 'consensusProofHash']) {
+      if(!_equals(expected[property], actual[property])) {
+        mismatches.push({
+          property, expected: expected[property], actual: actual[property]
+        });
+      }
+    }
+  }
+
+  const valid = consensusProofHash.length > 0 &&
+    proof.every(p => p.valid) && mismatches.length === 0;
+  logger.debug('Verified block.', {
+    blockHeight, ledgerNodeId: ledgerNode.id, valid
+  });
+  return {
+    valid,
+    blockHeight,
+    blockHash: await _util.hashBlock(block),
+    proof,
+    mismatches
+  };
+};
+
+async function _verifyProof({
+  ledgerNode, consensusProofHash, eventHash, sameAs, witnessIds
+}) {
+  const records = new Map();
+  const cursor = ledgerNode.storage.events.getMany(
+    {eventHashes: consensusProofHash});
+  for await (const {event, meta} of cursor) {
+    records.set(meta.eventHash, {event, meta});
+  }
+
+  const included = new Set(eventHash);
+  const proof = [];
+  for(const hash of consensusProofHash) {
+    const errors = [];
+    const record = records.get(hash);
+    let creator = null;
+    if(!record) {
+      errors.push('The event was not found.');
+    } else if(record.event.type !== 'ContinuityMergeEvent') {
+      errors.push('The event is not a merge event.');
+    } else {
+      try {
+        ({keyOwner: {id: creator}} = await _signature.verify(
+          {event: record.event}));
+      } catch(e) {
+        errors.push('The event signature is invalid.');
+      }
+      if(creator && !witnessIds.has(sameAs.get(creator) || creator)) {
+        errors.push('The event was not created by a witness.');
+      }
+    }
+    if(!included.has(hash)) {
+      errors.push('The event is not included in the block.');
+    }
+    proof.push({eventHash: hash, creator, valid: errors.length === 0, errors});
+  }
+  return proof;
+}
+
+// re-derives consensus for a block from the merge events that were not
+// assigned to an earlier block; consensus is usually reached with the merge
+// events of the next block, so more blocks are only loaded if needed
+async function _deriveConsensus({
+  blockHeight, ledgerNode, sameAs, witnesses
+}) {
+  const {maxLookahead} = config['ledger-consensus-continuity'].verifier;
+  const latestBlockHeight = await ledgerNode.blocks.getLatestBlockHeight();
+  let lookahead = 1;
+  while(true) {
+    const maxBlockHeight = blockHeight + lookahead;
+    // merge events that have not reached consensus are only needed once
+    // every later block is loaded
+    const pending = maxBlockHeight >= latestBlockHeight;
+    const result = await _replayBlocks(
+      {blockHeight, ledgerNode, maxBlockHeight, pending, sameAs, witnesses});
+    if(result || pending || lookahead >= maxLookahead) {
+      return result;
+    }
+    lookahead = Math.min(lookahead * 2, maxLookahead);
+  }
+}
+
+async function _replayBlocks({
+  blockHeight, ledgerNode, maxBlockHeight, pending, sameAs, witnesses
+}) {
+  const {collection} = ledgerNode.storage.events;
+  const assignedToBlocks =
+    {'meta.blockHeight': {$gte: blockHeight, $lte: maxBlockHeight}};
+  const mergeEvents = await collection.find({
+    'meta.continuity2017.type': 'm',
+    ...(pending ?
+      {$or: [{'meta.consensus': false}, assignedToBlocks]} : assignedToBlocks)
+  }, {projection: {
+    _id: 0, 'event.parentHash': 1, 'event.treeHash': 1, 'event.type': 1,
+    'meta.eventHash': 1, 'meta.continuity2017.creator': 1
+  }}).toArray();
+
+  // get the parents of the merge events that were assigned to earlier blocks
+  const parentHashes = new Set();
+  for(const {event} of mergeEvents) {
+    for(const hash of event.parentHash) {
+      parentHashes.add(hash);
+    }
+  }
+  const assignedRecords = await collection.find({
+    'meta.eventHash': {$in: [...parentHashes]},
+    'meta.consensus': true,
+    'meta.blockHeight': {$lt: blockHeight}
+  }, {projection: {_id: 0, 'meta.eventHash': 1}}).toArray();
+  const assigned = new Set(assignedRecords.map(({meta}) => meta.eventHash));
+  _rotation.linkHistory({history: {events: mergeEvents}, sameAs});
+
+  return _replay.replayBlock(
+    {blockHeight, assigned, mergeEvents, witnesses, logger});
+}
+
+function _equals(a, b) {
+  return a.length === b.length && a.every((x, i) => x === b[i]);
+}
@@ -5,6 +5,7 @@
 
 const bedrock = require('bedrock');
 const _cache = require('./cache');
+const _rotation = require('./rotation');
 const {BedrockError} = bedrock.util;
 const brLedgerNode = require('bedrock-ledger-node');
 
@@ -22,6 +23,10 @@ module.exports = api;
  *
  * [{id: voter_id, sameAs: previous_voter_id}, ... ]
  *
+ * A witness selected by a voter ID that has since been rotated away from is
+ * identified by the latest voter ID in its `sameAs` chain; the selected
+ * voter ID is given as `sameAs`.
+ *
  * @param ledgerNode the ledger node API to use.
  * @param blockHeight the height of the block.
  *
@@ -72,8 +77,19 @@ api.getBlockWitnesses = async ({ledgerNode, blockHeight}) => {
   });
 
   // only include `id` of witnesses, no extra data that may be set by
-  // the selection algorithm
-  witnesses = result.electors.map(({id}) => ({id}));
+  // the selection algorithm; follow `sameAs` chains to the latest voter ID
+  const sameAs = await _rotation.getSameAs({ledgerNode});
+  const witnessIds = new Set();
+  witnesses = [];
+  for(const {id} of result.electors) {
+    const latest = sameAs.get(id);
+    const witness = latest ? {id: latest, sameAs: id} : {id};
+    // the same witness may be selected via more than one of its voter IDs
+    if(!witnessIds.has(witness.id)) {
+      witnessIds.add(witness.id);
+      witnesses.push(witness);
+    }
+  }
 
   // validate that `witnesses` is either length `1` or forms a `3f+1` size set
   if(witnesses.length !== 1) {
@@ -9,6 +9,9 @@ const logger = require('../logger');
 
 const {backoff: backoffConfig} = config['ledger-consensus-continuity'].gossip;
 
+// weight given to the most recent sample in the average latency
+const LATENCY_SMOOTHING = 0.3;
+
 module.exports = class GossipPeer {
   constructor({creatorId, ledgerNodeId}) {
     this.creatorId = creatorId;
@@ -17,26 +20,38 @@ module.exports = class GossipPeer {
     this._detectedBlockHeight = 0;
     this._lastContactDate = 0;
     this._lastContactResult = null;
+    this._lastEventCount = 0;
+    this._latency = 0;
     this._initialized = false;
   }
 
   async getStatus() {
     const {creatorId, ledgerNodeId} = this;
-    if(!this.initialized) {
-      const status = await _cache.gossip.getPeerStatus(
-        {creatorId, ledgerNodeId});
+    if(!this._initialized) {
+      const [
+        backoff, detectedBlockHeight, lastContactDate, lastContactResult,
+        lastEventCount, latency
+      ] = await _cache.gossip.getPeerStatus({creatorId, ledgerNodeId});
       // backoff in ms
-      this._backoff = status[0] ? parseInt(status[0]) : 0;
+      this._backoff = backoff ? parseInt(backoff) : 0;
+      this._detectedBlockHeight = detectedBlockHeight ?
+        parseInt(detectedBlockHeight) : 0;
       // timestamp
-      this._lastContactDate = status[1] ? parseInt(status[1]) : 0;
+      this._lastContactDate = lastContactDate ? parseInt(lastContactDate) : 0;
       // success / fail
-      this._lastContactResult = status[2] ? status[2] : 0;
+      this._lastContactResult = lastContactResult ? lastContactResult : null;
+      this._lastEventCount = lastEventCount ? parseInt(lastEventCount) : 0;
+      // average gossip session duration in ms, 0 if unknown
+      this._latency = latency ? parseInt(latency) : 0;
       this._initialized = true;
     }
     return {
       backoff: this._backoff,
+      detectedBlockHeight: this._detectedBlockHeight,
       lastContactDate: this._lastContactDate,
-      lastContactResult: this._lastContactResult
+      lastContactResult: this._lastContactResult,
+      lastEventCount: this._lastEventCount,
+      latency: this._latency
     };
   }
 
@@ -53,34 +68,44 @@ module.exports = class GossipPeer {
 
   async fail(err) {
     logger.error('Gossip peer failure.', {error: err});
-    const {creatorId, ledgerNodeId} = this;
+    await this.getStatus();
     this._backoff = this._backoff ? this._backoff * backoffConfig.factor :
       backoffConfig.min;
     this._lastContactDate = Date.now();
     this._lastContactResult = err.toString();
-    // record success
-    return _cache.gossip.setPeerStatus({
-      backoff: this._backoff,
-      creatorId,
-      lastContactDate: this._lastContactDate,
-      lastContactResult: this._lastContactResult,
-      ledgerNodeId
-    });
+    this._lastEventCount = 0;
+    // record failure
+    return this._setStatus();
   }
 
-  async success({backoff = 0, detectedBlockHeight = 0} = {}) {
-    const {creatorId, ledgerNodeId} = this;
+  async success({
+    backoff = 0, detectedBlockHeight = 0, eventCount = 0, latency
+  } = {}) {
+    await this.getStatus();
     this._backoff = backoff;
     this._detectedBlockHeight = detectedBlockHeight;
     this._lastContactDate = Date.now();
     this._lastContactResult = 'success';
+    this._lastEventCount = eventCount;
+    if(latency !== undefined) {
+      this._latency = this._latency ? Math.round(
+        this._latency * (1 - LATENCY_SMOOTHING) +
+        latency * LATENCY_SMOOTHING) : latency;
+    }
     // record success
+    return this._setStatus();
+  }
+
+  async _setStatus() {
+    const {creatorId, ledgerNodeId} = this;
     return _cache.gossip.setPeerStatus({
       backoff: this._backoff,
       creatorId,
       detectedBlockHeight: this._detectedBlockHeight,
       lastContactDate: this._lastContactDate,
       lastContactResult: this._lastContactResult,
+      lastEventCount: this._lastEventCount,
+      latency: this._latency,
       ledgerNodeId
     });
   }
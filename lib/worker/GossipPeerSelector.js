@@ -5,7 +5,13 @@
 
 const _ = require('lodash');
 const _cache = require('../cache');
+const {config} = require('bedrock');
 const GossipPeer = require('./GossipPeer');
+const gossipStrategies = require('./gossipStrategies');
+const logger = require('../logger');
+
+// the strategy used when the configured strategy is not registered
+const DEFAULT_STRATEGY = 'random';
 
 module.exports = class GossipPeerSelector {
   constructor({creatorId, ledgerNode}) {
@@ -14,29 +20,33 @@ module.exports = class GossipPeerSelector {
     this.ledgerNode = ledgerNode;
     this.ledgerNodeId = ledgerNode.id;
     this.candidateMap = new Map();
+    this._strategy = null;
   }
 
   async getPeers({priorityPeers}) {
     // get priority peers to communicate with, removing self from list
-    const {creatorId, ledgerNodeId} = this;
-    const candidates = _.shuffle(priorityPeers.filter(p => p !== creatorId));
+    const {creatorId, ledgerNode, ledgerNodeId} = this;
+    const strategy = await this._getStrategy();
+    const peers = await strategy.orderPeers({
+      ledgerNode,
+      peers: priorityPeers.filter(p => p !== creatorId)
+        .map(creatorId => this.getGossipPeer({creatorId}))
+    });
 
-    // pull a notification off the queue and put it at the head of the line
+    // pull the highest priority notification (witnesses first, then oldest)
+    // off the queue and put it at the head of the line
     const notification = await _cache.gossip.getGossipNotification(
       {ledgerNodeId});
-    if(notification && !candidates.includes(notification)) {
-      candidates.unshift(notification);
-      // TODO: we need to be able to distinguish good peers from bad ones
-      // ...so we can ignore `backoff` for good peers that have more to
-      // ...say and not ignore it for bad peers... also we may still timeout
-      // ...and never contact this peer meaning no one will get their
-      // ...operations if they are not a priority peer; they should resend
-      // ...notifications if no one has pulled from them
+    if(notification && !peers.some(p => p.creatorId === notification)) {
+      // TODO: we may still timeout and never contact this peer meaning no
+      // ...one will get their operations if they are not a priority peer;
+      // ...they should resend notifications if no one has pulled from them
       const peer = this.getGossipPeer({creatorId: notification});
       peer.clearBackoff();
+      peers.unshift(peer);
     }
 
-    return candidates.map(creatorId => this.getGossipPeer({creatorId}));
+    return peers;
   }
 
   async getNotifyPeers({priorityPeers}) {
@@ -46,6 +56,34 @@ module.exports = class GossipPeerSelector {
     return candidates.map(creatorId => this.getGossipPeer({creatorId}));
   }
 
+  // the strategy in the ledger configuration takes precedence over the
+  // strategy in the config; the strategy is cached until the configured
+  // name changes
+  async _getStrategy() {
+    const {ledgerNode, ledgerNodeId} = this;
+    const {event: {ledgerConfiguration}} =
+      await ledgerNode.storage.events.getLatestConfig();
+    const name = ledgerConfiguration.gossipStrategy ||
+      config['ledger-consensus-continuity'].gossip.strategy;
+    if(!this._strategy || this._strategy.name !== name) {
+      let strategy;
+      try {
+        strategy = gossipStrategies.use(name);
+      } catch(e) {
+        if(e.name !== 'NotFoundError') {
+          throw e;
+        }
+        // a strategy that is not registered on this node must not stop gossip
+        logger.error('Gossip strategy not found; using the default strategy.', {
+          defaultStrategy: DEFAULT_STRATEGY, ledgerNodeId, name
+        });
+        strategy = gossipStrategies.use(DEFAULT_STRATEGY);
+      }
+      this._strategy = {name, strategy};
+    }
+    return this._strategy.strategy;
+  }
+
   getGossipPeer({creatorId}) {
     const {candidateMap, ledgerNodeId} = this;
     let gossipPeer = candidateMap.get(creatorId);
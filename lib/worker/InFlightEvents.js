@@ -0,0 +1,80 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * Tracks the events that are being downloaded by concurrent gossip sessions
+ * so that each event is only downloaded from a single peer. A session claims
+ * the event hashes it needs; any hashes already claimed by another session
+ * are excluded and the session must wait for those other sessions to release
+ * them (i.e. add their events to the cache) before adding its own events
+ * since they may descend from them. If another session fails to add the
+ * events it claimed, the waiting session fails as well since its events may
+ * be missing their parents.
+ */
+module.exports = class InFlightEvents {
+  constructor() {
+    // eventHash => {promise, resolve, reject}
+    this.claims = new Map();
+  }
+
+  /**
+   * Claims the given event hashes.
+   *
+   * @param eventHashes {string[]} - The event hashes that are needed.
+   *
+   * @returns {Object} `{claimed, pending}` where `claimed` are the event
+   *   hashes claimed for the caller (in the given order) and `pending` is a
+   *   Promise that resolves once every other session that claimed any of
+   *   the remaining hashes has released them and rejects if any of them
+   *   released them with an error.
+   */
+  claim({eventHashes}) {
+    const claimed = [];
+    const pending = new Set();
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    // no session may be waiting on the claim when it is released
+    promise.catch(() => {});
+    for(const eventHash of eventHashes) {
+      const claim = this.claims.get(eventHash);
+      if(claim) {
+        pending.add(claim.promise);
+        continue;
+      }
+      this.claims.set(eventHash, {promise, resolve, reject});
+      claimed.push(eventHash);
+    }
+    const all = Promise.all([...pending]);
+    // the caller may stop before waiting on `pending`
+    all.catch(() => {});
+    return {claimed, pending: all};
+  }
+
+  /**
+   * Releases previously claimed event hashes, allowing any sessions that are
+   * waiting on them to proceed.
+   *
+   * @param eventHashes {string[]} - The event hashes to release.
+   * @param [error] {Error} - The error that prevented the events from being
+   *   added; the sessions that are waiting on them fail with it.
+   */
+  release({eventHashes, error}) {
+    for(const eventHash of eventHashes) {
+      const claim = this.claims.get(eventHash);
+      if(claim) {
+        this.claims.delete(eventHash);
+        if(error) {
+          claim.reject(error);
+        } else {
+          claim.resolve();
+        }
+      }
+    }
+  }
+};
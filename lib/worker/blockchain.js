@@ -5,13 +5,20 @@
 
 const _blocks = require('../blocks');
 const _cache = require('../cache');
+const _checkpoint = require('../checkpoint');
 const _consensus = require('../consensus');
+const _continuity = require('../continuity');
+const _forks = require('../forks');
 const _history = require('../history');
 const _peers = require('../peers');
+const _rotation = require('../rotation');
 const _witnesses = require('../witnesses');
 const bedrock = require('bedrock');
 const logger = require('../logger');
-const {BedrockError} = bedrock.util;
+const {config, util: {BedrockError}} = bedrock;
+
+// ledgerNodeId => the time a stall was last logged
+const stallLogTimes = new Map();
 
 /**
  * Continually attempts to achieve consensus and write new blocks until
@@ -25,9 +32,15 @@ const {BedrockError} = bedrock.util;
  * @returns {Promise} - Resolves once the operation completes.
  */
 exports.extend = async ({ledgerNode, savedState, halt}) => {
-  const state = {};
+  // resume from the consensus state of the previous call in this session
+  const state = {state: savedState.state};
   let consensusCount = 0;
 
+  // a configuration change ends the work session, so any voter rotation
+  // that became effective is applied here, before the next block
+  await _rotation.completeRotation({ledgerNode});
+  state.sameAs = await _rotation.getSameAs({ledgerNode});
+
   while(!halt()) {
     let result;
     await _updateState({ledgerNode, state, savedState});
@@ -52,6 +65,7 @@ exports.extend = async ({ledgerNode, savedState, halt}) => {
         });
     }
     if(!result.consensus) {
+      await _saveState({ledgerNode, state, savedState});
       // no consensus reached -- return helpful info for reaching consensus
       return result;
     }
@@ -84,14 +98,23 @@ async function _findConsensus({ledgerNode, state}) {
     ledgerNode,
   });
 
+  // record evidence of any creator that has forked; consensus does not
+  // tally forked witnesses, but the evidence is needed to act on them
+  await _forks.recordAll({ledgerNode, history});
+
+  // merge events signed with a rotated voter key belong to the same witness
+  _rotation.linkHistory({history, sameAs: state.sameAs});
+
   // Note: DO NOT LOG RESULTS OF FIND CONSENSUS
   logger.verbose('Starting blockchain.extend consensus.find.');
+  const {diagnostics} = config['ledger-consensus-continuity'].consensus;
   const consensusResult = await _consensus.find({
     ledgerNode,
     history,
     blockHeight: state.blockHeight,
     witnesses: state.witnesses,
-    state: state.state
+    state: state.state,
+    diagnostics: diagnostics.enabled
   });
   logger.verbose('extendBlockchain.findConsensus complete.');
 
@@ -101,6 +124,17 @@ async function _findConsensus({ledgerNode, state}) {
     // up to 10 additional merge events from any node; but do not allow
     // more than 30 more events at a time to ensure there is backpressure
     const permits = Math.min(30, consensusResult.priorityPeers.length + 10);
+    // record for inspection via the admin API
+    await _cache.consensus.setStatus({
+      blockHeight: state.blockHeight,
+      diagnostics: consensusResult.diagnostics,
+      ledgerNodeId,
+      mergePermits: permits,
+      priorityPeers: consensusResult.priorityPeers
+    });
+    if(consensusResult.diagnostics) {
+      await _logStall({ledgerNode, diagnostics: consensusResult.diagnostics});
+    }
     // return failed consensus info
     return {
       consensus: false,
@@ -112,9 +146,46 @@ async function _findConsensus({ledgerNode, state}) {
 
   const writeBlock = await _blocks.write(
     {consensusResult, ledgerNode, state});
+  await _createCheckpoint({blockHeight: writeBlock.blockHeight, ledgerNode});
   return {consensus: consensusResult, writeBlock};
 }
 
+// log the diagnostics when no block has been written for longer than the
+// stall threshold, at most once per threshold period
+async function _logStall({ledgerNode, diagnostics}) {
+  const {stallThreshold} =
+    config['ledger-consensus-continuity'].consensus.diagnostics;
+  const ledgerNodeId = ledgerNode.id;
+  const {eventBlock: {meta: {consensusDate}}} =
+    await ledgerNode.storage.blocks.getLatestSummary();
+  const now = Date.now();
+  const stalledFor = now - consensusDate;
+  const lastLogged = stallLogTimes.get(ledgerNodeId) || 0;
+  if(stalledFor < stallThreshold || now - lastLogged < stallThreshold) {
+    return;
+  }
+  stallLogTimes.set(ledgerNodeId, now);
+  logger.warning('Consensus has stalled.', {
+    blockHeight: diagnostics.blockHeight, diagnostics, ledgerNodeId, stalledFor
+  });
+}
+
+// periodically create a checkpoint that new nodes may bootstrap from; a
+// failure to do so must not prevent the blockchain from being extended
+async function _createCheckpoint({blockHeight, ledgerNode}) {
+  const {interval} = config['ledger-consensus-continuity'].checkpoint;
+  if(!(interval > 0 && blockHeight % interval === 0)) {
+    return;
+  }
+  try {
+    await _checkpoint.create({ledgerNode});
+  } catch(e) {
+    logger.error('Could not create checkpoint.', {
+      blockHeight, error: e, ledgerNodeId: ledgerNode.id
+    });
+  }
+}
+
 async function _updateState({ledgerNode, state, savedState}) {
   const ledgerNodeId = ledgerNode.id;
   const {blockHeight: nextBlockHeight, previousBlockHash, previousBlockId} =
@@ -148,5 +219,60 @@ async function _updateState({ledgerNode, state, savedState}) {
       symbolToMemo: new Map(),
       supportCache: new Map()
     };
+    savedState.persisted = new Set();
+    await _loadState({ledgerNode, state, savedState});
+  }
+}
+
+// resume from support stored by a previous work session for the same block
+// height; failing to load it only means that it will be recomputed
+async function _loadState({ledgerNode, state, savedState}) {
+  const cfg = config['ledger-consensus-continuity'].consensus;
+  if(!cfg.state.persist) {
+    return;
+  }
+  const ledgerNodeId = ledgerNode.id;
+  const {blockHeight} = state;
+  try {
+    const support = await _cache.consensus.getSupport(
+      {blockHeight, ledgerNodeId});
+    if(support.size === 0) {
+      return;
+    }
+    _continuity.setSupportCache({state: state.state, blockHeight, support});
+    savedState.persisted = new Set(support.keys());
+    logger.verbose('Loaded consensus state.', {
+      blockHeight, ledgerNodeId, supportCount: support.size
+    });
+  } catch(error) {
+    logger.error('Could not load consensus state.', {
+      blockHeight, error, ledgerNodeId
+    });
+  }
+}
+
+// store support that has not been stored yet so that a later work session
+// can resume from it
+async function _saveState({ledgerNode, state, savedState}) {
+  const cfg = config['ledger-consensus-continuity'].consensus;
+  if(!cfg.state.persist) {
+    return;
+  }
+  const ledgerNodeId = ledgerNode.id;
+  const {blockHeight} = state;
+  const support = _continuity.getSupportCache({state: state.state});
+  for(const eventHash of savedState.persisted) {
+    support.delete(eventHash);
+  }
+  try {
+    await _cache.consensus.addSupport(
+      {blockHeight, ledgerNodeId, support, ttl: cfg.state.ttl});
+    for(const eventHash of support.keys()) {
+      savedState.persisted.add(eventHash);
+    }
+  } catch(error) {
+    logger.error('Could not save consensus state.', {
+      blockHeight, error, ledgerNodeId
+    });
   }
 }
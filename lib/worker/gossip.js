@@ -6,44 +6,72 @@
 const _cache = require('../cache');
 const _client = require('../client');
 const _gossip = require('../gossip');
+const _metrics = require('../metrics');
 const _peerEvents = require('../peerEvents');
+const InFlightEvents = require('./InFlightEvents');
 const bedrock = require('bedrock');
-const {config} = bedrock;
+const {config, util: {BedrockError}} = bedrock;
 const logger = require('../logger');
 
 exports.runGossipCycle = async ({
   ledgerNode, priorityPeers, creatorId, peerSelector, mergePermits,
   needsGossip, halt
 }) => {
+  const {concurrentPeers} = config['ledger-consensus-continuity'].gossip;
   // attempt to use all merge permits given
   const startingPermits = mergePermits;
   let remainingPermits = startingPermits;
-  let mergePermitsConsumed = 0;
+  let totalPermitsConsumed = 0;
 
   // get a set of peers to communicate with during this cycle
   const peers = await peerSelector.getPeers({priorityPeers});
   const priorityPeerSet = new Set(priorityPeers);
-  while(peers.length > 0 && remainingPermits > 0 && !halt()) {
-    const peer = peers.shift();
+  // shared by concurrent sessions to avoid downloading the same event twice
+  const inFlight = new InFlightEvents();
+  const sessions = new Set();
+  try {
+    while(!halt()) {
+      // start sessions until `concurrentPeers` are running
+      while(sessions.size < concurrentPeers && peers.length > 0 &&
+        remainingPermits > 0 && !halt()) {
+        const peer = peers.shift();
+        const isPriorityPeer = priorityPeerSet.has(peer.creatorId);
 
-    // if we don't need gossip or the peer isn't a priority peer, then don't
-    // contact the peer if not recommended
-    if(!(needsGossip && priorityPeerSet.has(peer.creatorId)) &&
-      !await peer.isRecommended()) {
-      continue;
-    }
+        // if we don't need gossip or the peer isn't a priority peer, then
+        // don't contact the peer if not recommended
+        if(!(needsGossip && isPriorityPeer) && !await peer.isRecommended()) {
+          continue;
+        }
 
-    // use up to 50% of remaining merge permits on a non-priority peer
-    const mergePermits = priorityPeerSet.has(peer.creatorId) ?
-      remainingPermits : Math.ceil(remainingPermits / 2);
+        // split the remaining merge permits evenly amongst the sessions that
+        // may still be started; use up to 50% of that share on a non-priority
+        // peer; any permits the session does not consume are returned
+        const share = Math.ceil(
+          remainingPermits / (concurrentPeers - sessions.size));
+        const mergePermits = isPriorityPeer ? share : Math.ceil(share / 2);
+        remainingPermits -= mergePermits;
 
-    // gossip with `peer`
-    ({mergePermitsConsumed} = await _gw(
-      {ledgerNode, mergePermits, creatorId, peer}));
-    remainingPermits -= mergePermitsConsumed;
+        // gossip with `peer`
+        const session = _gw(
+          {creatorId, inFlight, ledgerNode, mergePermits, peer})
+          .then(({mergePermitsConsumed}) => {
+            remainingPermits += mergePermits - mergePermitsConsumed;
+            totalPermitsConsumed += mergePermitsConsumed;
+          })
+          .finally(() => sessions.delete(session));
+        sessions.add(session);
+      }
+      if(sessions.size === 0) {
+        break;
+      }
+      await Promise.race(sessions);
+    }
+  } finally {
+    // never leave sessions running once the cycle ends
+    await Promise.allSettled(sessions);
   }
 
-  return {mergePermitsConsumed: startingPermits - remainingPermits};
+  return {mergePermitsConsumed: totalPermitsConsumed};
 };
 
 exports.sendNotification = async ({creatorId, priorityPeers, peerSelector}) => {
@@ -74,34 +102,63 @@ exports.sendNotification = async ({creatorId, priorityPeers, peerSelector}) => {
   }
 };
 
-async function _gw({ledgerNode, creatorId, peer}) {
+async function _gw({creatorId, inFlight, ledgerNode, mergePermits, peer}) {
   let result;
   let err;
 
+  const startTime = Date.now();
   try {
     result = await _gossip.gossipWith(
-      {callerId: creatorId, ledgerNode, peer});
+      {callerId: creatorId, inFlight, ledgerNode, peer});
   } catch(e) {
     err = e;
     // if there is an error with one peer, do not stop cycle
     logger.debug('non-critical error in gossip', {err, peer});
   }
+  // only the network exchange with the peer counts towards its latency
+  const latency = Date.now() - startTime;
+  const ledgerNodeId = ledgerNode.id;
+  const peerLabel = await _metrics.getPeerLabel(
+    {ledgerNodeId, peerId: peer.creatorId});
+  await _metrics.observe({
+    name: 'gossipSessionDuration',
+    labels: {ledgerNodeId, peerId: peerLabel},
+    value: latency / 1000
+  });
 
   // process any events acquired from peer
   let mergePermitsConsumed = 0;
   let deferredEvents = [];
   if(result && result.events) {
-    const {events, needed} = result;
+    const {events, needed, pending} = result;
+    let error;
     try {
+      // events claimed by other sessions may be ancestors of these events
+      // so they must be added first
+      await pending;
       const blockHeight = await _cache.blocks.blockHeight(ledgerNode.id);
 
-      ({deferredEvents, mergePermitsConsumed} = await _peerEvents.addBatch({
-        blockHeight, events, ledgerNode, needed
-      }));
-    } catch(error) {
+      // the session may only consume its share of the cycle's merge permits
+      let excludedEvents;
+      ({deferredEvents, excludedEvents, mergePermitsConsumed} =
+        await _peerEvents.addBatch(
+          {blockHeight, events, ledgerNode, mergePermits, needed}));
+      // sessions waiting on events that were not added must not add their
+      // descendants
+      inFlight.release({
+        eventHashes: excludedEvents,
+        error: new BedrockError(
+          'The gossip session has used its merge permits.',
+          'NotAllowedError', {excludedEvents})
+      });
+    } catch(e) {
+      error = e;
       logger.error(
         'An error occurred in gossip batch processing.', {error});
       result = {done: true, err: error};
+    } finally {
+      // sessions waiting on these events fail if they were not added
+      inFlight.release({eventHashes: needed, error});
     }
   }
 
@@ -118,7 +175,12 @@ async function _gw({ledgerNode, creatorId, peer}) {
     if(deferredEvents.length > 0) {
       [{requiredBlockHeight: detectedBlockHeight}] = deferredEvents;
     }
-    await peer.success({backoff, detectedBlockHeight});
+    const eventCount = (result && result.events) ? result.events.length : 0;
+    await peer.success({
+      backoff, detectedBlockHeight, eventCount,
+      // a timed out session does not produce a latency sample
+      latency: err ? undefined : latency
+    });
   }
 
   return {mergePermitsConsumed};
@@ -0,0 +1,52 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const {util: {BedrockError}} = require('bedrock');
+
+/* A gossip strategy determines the order in which the candidate peers for a
+gossip cycle are contacted. A strategy is an object with the method:
+
+  orderPeers({ledgerNode, peers}) -> Promise<GossipPeer[]>
+
+Where `peers` is an array of `GossipPeer` instances; the status of each peer
+(`backoff`, `detectedBlockHeight`, `lastContactDate`, `lastContactResult`,
+`lastEventCount` and `latency`) is available via `peer.getStatus()`. The
+strategy must resolve to an array containing the same peers in the order in
+which they should be contacted. */
+
+const strategies = new Map();
+
+// module API
+const api = {};
+module.exports = api;
+
+/**
+ * Registers a gossip strategy or gets a registered gossip strategy.
+ *
+ * @param name {string} - The name of the strategy.
+ * @param [strategy] {Object} - The strategy to register.
+ *
+ * @returns {Object} The strategy.
+ */
+api.use = (name, strategy) => {
+  if(strategy) {
+    if(typeof strategy.orderPeers !== 'function') {
+      throw new TypeError('"strategy.orderPeers" must be a function.');
+    }
+    strategies.set(name, strategy);
+    return strategy;
+  }
+  strategy = strategies.get(name);
+  if(!strategy) {
+    throw new BedrockError(
+      `Gossip strategy "${name}" not found.`, 'NotFoundError', {name});
+  }
+  return strategy;
+};
+
+api.use('latencyWeighted', require('./latencyWeighted'));
+api.use('random', require('./random'));
+api.use('recentlyProductive', require('./recentlyProductive'));
+api.use('roundRobin', require('./roundRobin'));
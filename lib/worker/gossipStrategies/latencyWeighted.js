@@ -0,0 +1,23 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+// a random order where the chance of a peer being contacted early is inversely
+// proportional to its average latency; peers with an unknown latency are
+// weighted like the fastest known peer so they get a chance to be measured
+exports.orderPeers = async ({peers}) => {
+  const statuses = await Promise.all(peers.map(p => p.getStatus()));
+  const known = statuses.map(({latency}) => latency).filter(l => l > 0);
+  const fastest = known.length > 0 ? Math.min(...known) : 1;
+  // weighted random sampling without replacement (Efraimidis-Spirakis) with
+  // weight `1 / latency`; the key `u ^ (1 / weight)` is compared in log space
+  // to avoid underflow
+  return peers
+    .map((peer, i) => {
+      const latency = Math.max(statuses[i].latency || fastest, 1);
+      return {peer, key: Math.log(1 - Math.random()) * latency};
+    })
+    .sort((a, b) => b.key - a.key)
+    .map(({peer}) => peer);
+};
@@ -0,0 +1,9 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _ = require('lodash');
+
+// contact peers in a random order
+exports.orderPeers = async ({peers}) => _.shuffle(peers);
@@ -0,0 +1,32 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _ = require('lodash');
+
+// contact the peers that provided events during their last successful contact
+// first, most recent first; the remaining peers follow in a random order with
+// peers whose last contact failed last
+exports.orderPeers = async ({peers}) => {
+  const statuses = await Promise.all(peers.map(p => p.getStatus()));
+  const productive = [];
+  const unknown = [];
+  const failed = [];
+  for(const [i, peer] of peers.entries()) {
+    const {lastContactDate, lastContactResult, lastEventCount} = statuses[i];
+    if(lastContactResult === 'success' && lastEventCount > 0) {
+      productive.push({peer, lastContactDate});
+    } else if(lastContactResult === null || lastContactResult === 'success') {
+      unknown.push(peer);
+    } else {
+      failed.push(peer);
+    }
+  }
+  productive.sort((a, b) => b.lastContactDate - a.lastContactDate);
+  return [
+    ...productive.map(({peer}) => peer),
+    ..._.shuffle(unknown),
+    ..._.shuffle(failed)
+  ];
+};
@@ -0,0 +1,14 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+// contact the peer that was contacted least recently first; peers that have
+// never been contacted have a `lastContactDate` of `0` and go first
+exports.orderPeers = async ({peers}) => {
+  const statuses = await Promise.all(peers.map(p => p.getStatus()));
+  return peers
+    .map((peer, i) => ({peer, lastContactDate: statuses[i].lastContactDate}))
+    .sort((a, b) => a.lastContactDate - b.lastContactDate)
+    .map(({peer}) => peer);
+};
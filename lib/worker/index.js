@@ -5,6 +5,7 @@
 
 const _ = require('lodash');
 const _cache = require('../cache');
+const _mempool = require('../mempool');
 const _peers = require('../peers');
 const bedrock = require('bedrock');
 const cache = require('bedrock-redis');
@@ -15,6 +16,7 @@ const {merge} = require('./merge');
 const {runGossipCycle, sendNotification} = require('./gossip');
 const EventWriter = require('./EventWriter');
 const GossipPeerSelector = require('./GossipPeerSelector');
+const InFlightEvents = require('./InFlightEvents');
 
 // load config defaults
 require('../config');
@@ -25,6 +27,7 @@ module.exports = api;
 
 // exposed for testing
 api.EventWriter = EventWriter;
+api.InFlightEvents = InFlightEvents;
 
 // temporary hack to access/update ledger node meta
 const _ledgerNodeMeta = require('../temporaryLedgerNodeMeta');
@@ -96,6 +99,11 @@ async function _sync({session, halt, targetCycles = -1}) {
   }
 
   try {
+    // move operations queued before operations were queued in lanes
+    await _cache.operations.migrateLegacyQueue({ledgerNodeId});
+    // restore the operation queue if the cache was lost
+    await _mempool.recover({ledgerNode});
+
     const creatorId = (await _peers.get({ledgerNodeId})).id;
     const peerSelector = new GossipPeerSelector({creatorId, ledgerNode});
     const eventWriter = new EventWriter({ledgerNode});
@@ -140,6 +148,9 @@ async function _sync({session, halt, targetCycles = -1}) {
       // 3. commit all cached events to mongo
       await eventWriter.write();
 
+      // evict expired operations before they can be put into an event
+      await _mempool.sweep({ledgerNode});
+
       // 4. merge if possible
       const {merged, hasOutstandingOperations} = await merge(
         {ledgerNode, creatorId, priorityPeers, halt});
@@ -64,6 +64,18 @@ const notification = {
   properties: {peerId}
 };
 
+const operationStatus = {
+  title: 'Continuity Server Operation Status Query',
+  type: 'object',
+  additionalProperties: false,
+  oneOf: [{required: ['operationHash']}, {required: ['recordId']}],
+  properties: {
+    operationHash: {type: 'string'},
+    recordId: {type: 'string'}
+  }
+};
+
 module.exports.getEvents = () => getEvents;
 module.exports.gossip = () => gossip;
 module.exports.notification = () => notification;
+module.exports.operationStatus = () => operationStatus;
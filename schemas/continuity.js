@@ -9,10 +9,14 @@ const {constants} = config;
 const _continuityConstants = require('../lib/continuityConstants');
 const {schemas} = require('bedrock-validation');
 
+// the proof type is checked against the registered signature suites and
+// the ledger configuration when the merge event is verified
 const mergeEventProof = {
   type: 'object',
   additionalProperties: false,
-  required: ['created', 'jws', 'proofPurpose', 'type', 'verificationMethod'],
+  required: ['created', 'proofPurpose', 'type', 'verificationMethod'],
+  // `jws` for `Ed25519Signature2018`, `proofValue` for newer suites
+  oneOf: [{required: ['jws']}, {required: ['proofValue']}],
   properties: {
     created: schemas.w3cDateTime(),
     jws: {
@@ -22,9 +26,11 @@ const mergeEventProof = {
       type: 'string',
       enum: ['assertionMethod']
     },
+    proofValue: {
+      type: 'string'
+    },
     type: {
-      type: 'string',
-      enum: ['Ed25519Signature2018']
+      type: 'string'
     },
     verificationMethod: {
       type: 'string'
@@ -97,6 +103,19 @@ const continuity2017ledgerConfiguration = {
       type: 'string',
       enum: ['WebLedgerConfiguration']
     },
+    gossipStrategy: {
+      type: 'string'
+    },
+    mergeEventProof: {
+      type: 'object',
+      required: ['type'],
+      additionalProperties: false,
+      properties: {
+        type: {type: 'string'},
+        previousType: {type: 'string'},
+        transitionBlockHeight: {type: 'integer', minimum: 0}
+      }
+    },
     electorSelectionMethod: {
       // NOTE: this schema should not be too prescriptive, various elector
       // selection methods may require additional properties here such as
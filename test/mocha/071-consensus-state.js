@@ -0,0 +1,50 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const cache = require('bedrock-redis');
+const {
+  _cache, _consensus: {_continuity}
+} = require('bedrock-ledger-consensus-continuity');
+
+const ledgerNodeId = 'urn:uuid:5f0c3a8e-2b6d-4c1e-9a7f-3d4e5f6a7b8c';
+
+describe('Consensus State', () => {
+  beforeEach(async () => {
+    await cache.client.flushall();
+  });
+  const support = new Map([
+    ['zA', ['zA']],
+    ['zB', ['zA', 'zB']],
+    ['zC', ['zA', 'zB']]
+  ]);
+  it('restores cached support into new state', () => {
+    const state = {};
+    _continuity.setSupportCache({state, blockHeight: 5, support});
+    state.init.should.be.true;
+    state.blockHeight.should.equal(5);
+    _continuity.getSupportCache({state}).should.eql(support);
+  });
+  it('throws when restoring support for another block height', () => {
+    const state = {};
+    _continuity.setSupportCache({state, blockHeight: 5, support});
+    let err;
+    try {
+      _continuity.setSupportCache({state, blockHeight: 6, support});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+  });
+  it('stores support by block height', async () => {
+    await _cache.consensus.addSupport(
+      {blockHeight: 5, ledgerNodeId, support, ttl: 60});
+    const stored = await _cache.consensus.getSupport(
+      {blockHeight: 5, ledgerNodeId});
+    stored.should.eql(support);
+    const other = await _cache.consensus.getSupport(
+      {blockHeight: 6, ledgerNodeId});
+    other.size.should.equal(0);
+  });
+});
@@ -0,0 +1,94 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const brLedgerNode = require('bedrock-ledger-node');
+const {config} = require('bedrock');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+
+let consensusApi;
+
+describe('Consensus Workerpool', () => {
+  let workerpoolConfig;
+  before(async () => {
+    await helpers.prepareDatabase();
+    const cfg = config['ledger-consensus-continuity'].consensus;
+    workerpoolConfig = {...cfg.workerpool};
+    cfg.workerpool.enabled = true;
+  });
+  after(async () => {
+    config['ledger-consensus-continuity'].consensus.workerpool =
+      workerpoolConfig;
+  });
+  let ledgerNode;
+  beforeEach(async function() {
+    this.timeout(120000);
+    await helpers.flushCache();
+    await helpers.removeCollections(['ledger', 'ledgerNode']);
+    ({api: consensusApi} = await helpers.use('Continuity2017'));
+    const ledgerConfiguration = mockData.ledgerConfiguration;
+    ledgerNode = await brLedgerNode.add(null, {ledgerConfiguration});
+  });
+  for(const pinned of [true, false]) {
+    it(`finds consensus in a ${pinned ? 'pinned' : 'shared'} worker`,
+      async function() {
+        this.timeout(120000);
+        config['ledger-consensus-continuity'].consensus.workerpool.pinned =
+          pinned;
+        const opTemplate = mockData.operations.alpha;
+        await helpers.nBlocks({
+          consensusApi, nodes: {alpha: ledgerNode}, opTemplate,
+          targetBlockHeight: 2
+        });
+        const blockHeight = await consensusApi._cache.blocks.blockHeight(
+          ledgerNode.id);
+        blockHeight.should.be.at.least(2);
+      });
+  }
+  it('keeps at most `maxWorkers` pinned workers', async () => {
+    const {workerpool} = config['ledger-consensus-continuity'].consensus;
+    workerpool.pinned = true;
+    workerpool.maxWorkers = 2;
+    const {_getPool} = consensusApi._consensus;
+    const alpha = _getPool({ledgerNodeId: 'alpha'});
+    const beta = _getPool({ledgerNodeId: 'beta'});
+    _getPool({ledgerNodeId: 'alpha'}).should.equal(alpha);
+    // `beta` is the least recently used and is evicted
+    _getPool({ledgerNodeId: 'gamma'});
+    _getPool({ledgerNodeId: 'alpha'}).should.equal(alpha);
+    _getPool({ledgerNodeId: 'beta'}).should.not.equal(beta);
+  });
+  it('gives every calculation in a shared pool the support', async () => {
+    const cfg = config['ledger-consensus-continuity'].consensus.workerpool;
+    cfg.pinned = false;
+    cfg.maxWorkers = 2;
+    const {_consensus} = consensusApi;
+    const pool = _consensus._getPool({ledgerNodeId: ledgerNode.id});
+    const {exec} = pool;
+    const supports = [];
+    pool.exec = (method, [{support}]) => {
+      supports.push(support);
+      const promise = Promise.resolve({consensus: false, support: []});
+      promise.timeout = () => promise;
+      return promise;
+    };
+    const state = {init: false};
+    const blockHeight = 1;
+    _consensus._continuity.setSupportCache(
+      {state, blockHeight, support: new Map([['a', ['a']]])});
+    try {
+      for(let i = 0; i < 2; ++i) {
+        await _consensus.find({
+          ledgerNode, history: {events: []}, blockHeight, witnesses: [],
+          state
+        });
+      }
+    } finally {
+      pool.exec = exec;
+    }
+    // either worker may run each calculation
+    supports.should.eql([[['a', ['a']]], [['a', ['a']]]]);
+  });
+});
@@ -0,0 +1,63 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const {
+  _consensus: {_continuity}
+} = require('bedrock-ledger-consensus-continuity');
+
+describe('Consensus Diagnostics', () => {
+  // witnesses `a` and `b` have merged each other's first events, `c` has
+  // not merged anything and `d` has no events at all
+  const witnesses = ['a', 'b', 'c', 'd'].map(id => ({id}));
+  let history;
+  beforeEach(() => {
+    history = {events: [
+      _mergeEvent({eventHash: 'a1', creator: 'a'}),
+      _mergeEvent({eventHash: 'b1', creator: 'b'}),
+      _mergeEvent({eventHash: 'c1', creator: 'c'}),
+      _mergeEvent({
+        eventHash: 'a2', creator: 'a', parentHash: ['a1', 'b1'],
+        treeHash: 'a1'
+      }),
+      _mergeEvent({
+        eventHash: 'b2', creator: 'b', parentHash: ['b1', 'a1'],
+        treeHash: 'b1'
+      })
+    ]};
+  });
+  it('does not include diagnostics by default', () => {
+    const result = _continuity.findConsensus(
+      {ledgerNodeId: 'test', history, blockHeight: 1, witnesses});
+    result.consensus.should.be.false;
+    should.not.exist(result.diagnostics);
+  });
+  it('reports the state of each witness', () => {
+    const {diagnostics} = _continuity.findConsensus({
+      ledgerNodeId: 'test', history, blockHeight: 1, witnesses,
+      diagnostics: true
+    });
+    diagnostics.supermajority.should.equal(3);
+    diagnostics.witnesses.map(({id}) => id).should.eql(['a', 'b', 'c', 'd']);
+    const [a, , c, d] = diagnostics.witnesses;
+    a.tail.should.eql(['a1']);
+    a.head.should.eql(['a2']);
+    a.generation.should.equal(2);
+    a.support.should.eql(['a1', 'b1']);
+    c.support.should.eql(['c1']);
+    d.head.should.eql([]);
+    should.not.exist(d.support);
+    diagnostics.leadingSupport.should.eql(['a1', 'b1']);
+    diagnostics.leadingSupportCount.should.equal(2);
+    diagnostics.missingWitnesses.should.eql(['c', 'd']);
+  });
+});
+
+function _mergeEvent({eventHash, creator, parentHash = [], treeHash}) {
+  return {
+    eventHash,
+    event: {parentHash, treeHash, type: 'ContinuityMergeEvent'},
+    meta: {continuity2017: {creator}}
+  };
+}
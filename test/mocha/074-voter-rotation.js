@@ -0,0 +1,236 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const brLedgerNode = require('bedrock-ledger-node');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+
+let consensusApi;
+
+describe('Voter Rotation API', () => {
+  before(async () => {
+    await helpers.prepareDatabase();
+  });
+  let ledgerNode;
+  let ledgerNodeId;
+  let voterId;
+  beforeEach(async function() {
+    this.timeout(120000);
+    await helpers.flushCache();
+    await helpers.removeCollections(
+      ['ledger', 'ledgerNode', 'continuity2017_voter']);
+    ({api: consensusApi} = await helpers.use('Continuity2017'));
+    const ledgerConfiguration = mockData.ledgerConfiguration;
+    ledgerNode = await brLedgerNode.add(null, {ledgerConfiguration});
+    ledgerNodeId = ledgerNode.id;
+    ({id: voterId} = await consensusApi._peers.get({ledgerNodeId}));
+  });
+  it('links rotations into sameAs chains', () => {
+    const sameAs = consensusApi._rotation.linkRotations({rotations: [
+      {sameAs: 'a', voterId: 'b'},
+      {sameAs: 'b', voterId: 'c'},
+      {sameAs: 'x', voterId: 'y'},
+      // a voter ID may only be rotated away from once
+      {sameAs: 'a', voterId: 'z'}
+    ]});
+    [...sameAs].should.eql([['a', 'c'], ['b', 'c'], ['x', 'y']]);
+    consensusApi._rotation.getPreviousIds({sameAs, voterId: 'c'})
+      .should.eql(['b', 'a']);
+    consensusApi._rotation.getPreviousIds({sameAs, voterId: 'a'})
+      .should.eql([]);
+  });
+  it('links the creators of merge events in a history', () => {
+    const sameAs = new Map([['a', 'c'], ['b', 'c']]);
+    const history = {events: ['a', 'b', 'c', 'd'].map(creator => ({
+      meta: {continuity2017: {creator}}
+    }))};
+    consensusApi._rotation.linkHistory({history, sameAs});
+    history.events.map(e => e.meta.continuity2017.creator)
+      .should.eql(['c', 'c', 'c', 'd']);
+  });
+  it('announces a rotation signed by the previous and new keys', async () => {
+    const rotation = await consensusApi.rotateVoterKey({ledgerNode});
+    rotation.type.should.equal('ContinuityVoterRotation');
+    rotation.sameAs.should.equal(voterId);
+    rotation.voterId.should.not.equal(voterId);
+    rotation.signature.map(s => s.voterId).should.eql(
+      [voterId, rotation.voterId]);
+    await consensusApi._rotation.verifyRotation({rotation});
+
+    // the key is not rotated until the configuration is effective
+    const voter = await consensusApi._peers.get({ledgerNodeId});
+    voter.id.should.equal(voterId);
+    const completed = await consensusApi._rotation.completeRotation(
+      {ledgerNode});
+    should.not.exist(completed);
+
+    // only one rotation may be pending
+    let error;
+    try {
+      await consensusApi.rotateVoterKey({ledgerNode});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('DuplicateError');
+  });
+  it('rejects a rotation not signed by the new key', async () => {
+    const rotation = await consensusApi.rotateVoterKey({ledgerNode});
+    rotation.signature = rotation.signature.filter(
+      s => s.voterId === voterId);
+    let error;
+    try {
+      await consensusApi._rotation.verifyRotation({rotation});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('DataError');
+  });
+  it('rejects a tampered rotation', async () => {
+    const rotation = await consensusApi.rotateVoterKey({ledgerNode});
+    rotation.sameAs = 'https://example.com/voters/other';
+    let error;
+    try {
+      await consensusApi._rotation.verifyRotation({rotation});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('DataError');
+  });
+  it('rotates the key once the configuration is effective', async function() {
+    this.timeout(120000);
+    const rotation = await consensusApi.rotateVoterKey({ledgerNode});
+    const {head: previousHead} = await _runUntilEffective();
+
+    // the next work session switches to the new key
+    const opTemplate = mockData.operations.alpha;
+    await helpers.addOperation({ledgerNode, opTemplate});
+    await consensusApi._worker._run({ledgerNode, targetCycles: 1});
+    const voter = await consensusApi._peers.get({ledgerNodeId});
+    voter.id.should.equal(rotation.voterId);
+    (await consensusApi._peers.getLedgerNodeId(voterId))
+      .should.equal(ledgerNodeId);
+
+    // the new voter ID continues the branch of the previous one
+    const head = await consensusApi._history.getHead(
+      {creatorId: rotation.voterId, ledgerNode});
+    head.generation.should.be.above(previousHead.generation);
+    const [{event}] = await consensusApi._events.getEvents(
+      {eventHash: head.eventHash, ledgerNode});
+    event.proof.verificationMethod.should.equal(rotation.voterId);
+
+    // witnesses follow the `sameAs` chain
+    const {eventBlock: {block}} =
+      await ledgerNode.storage.blocks.getLatestSummary();
+    await helpers.flushCache();
+    const {witnesses} = await consensusApi._witnesses.getBlockWitnesses(
+      {blockHeight: block.blockHeight + 1, ledgerNode});
+    witnesses.should.eql([{id: rotation.voterId, sameAs: voterId}]);
+  });
+  it('rejects merge events from a voter ID that descend from a later ID',
+    async function() {
+      this.timeout(120000);
+      const rotation = await consensusApi.rotateVoterKey({ledgerNode});
+      const {head: previousHead} = await _runUntilEffective();
+      const sameAs = await consensusApi._rotation.getSameAs({ledgerNode});
+      [...sameAs].should.eql([[voterId, rotation.voterId]]);
+
+      const opTemplate = mockData.operations.alpha;
+      await helpers.addOperation({ledgerNode, opTemplate});
+      await consensusApi._worker._run({ledgerNode, targetCycles: 1});
+      // write the merge event signed with the new key to storage
+      const {EventWriter} = consensusApi._worker;
+      await new EventWriter({ledgerNode}).write();
+      const head = await consensusApi._history.getHead(
+        {creatorId: rotation.voterId, ledgerNode});
+      head.eventHash.should.not.equal(previousHead.eventHash);
+
+      // a merge event signed with the previous key is rejected if it
+      // descends from a merge event signed with the new key, regardless of
+      // when it is received
+      const {_isRotatedAway} = consensusApi._peerEvents;
+      const eventRecord = {
+        event: {
+          treeHash: previousHead.eventHash,
+          parentHash: [previousHead.eventHash, head.eventHash]
+        },
+        meta: {continuity2017: {creator: voterId}}
+      };
+      const eventMap = new Map();
+      (await _isRotatedAway({eventRecord, eventMap, ledgerNode, sameAs}))
+        .should.equal(true);
+      eventRecord.event.parentHash = [previousHead.eventHash];
+      (await _isRotatedAway({eventRecord, eventMap, ledgerNode, sameAs}))
+        .should.equal(false);
+    });
+  it('links merge events only to the directly previous voter ID',
+    async function() {
+      this.timeout(120000);
+      // rotate from A to B and then from B to C
+      const first = await consensusApi.rotateVoterKey({ledgerNode});
+      await _runUntilEffective();
+      const second = await consensusApi.rotateVoterKey({ledgerNode});
+      second.sameAs.should.equal(first.voterId);
+      await _runUntilEffective({count: 2});
+
+      const {_peerEvents, _rotation} = consensusApi;
+      const sameAs = await _rotation.getSameAs({ledgerNode});
+      [...sameAs].should.eql([
+        [voterId, second.voterId], [first.voterId, second.voterId]
+      ]);
+      _rotation.getLaterIds({sameAs, voterId})
+        .should.eql([second.voterId, first.voterId]);
+      _rotation.getLaterIds({sameAs, voterId: second.voterId})
+        .should.eql([]);
+
+      const {_isPreviousVoterId} = _peerEvents;
+      (await _isPreviousVoterId({
+        ledgerNode, eventCreator: first.voterId, parentCreator: voterId
+      })).should.equal(true);
+      (await _isPreviousVoterId({
+        ledgerNode, eventCreator: second.voterId,
+        parentCreator: first.voterId
+      })).should.equal(true);
+      // C's branch continues B's branch, not A's
+      (await _isPreviousVoterId({
+        ledgerNode, eventCreator: second.voterId, parentCreator: voterId
+      })).should.equal(false);
+      (await _isPreviousVoterId({
+        ledgerNode, eventCreator: voterId, parentCreator: first.voterId
+      })).should.equal(false);
+    });
+  it('caches sameAs links until the configuration changes', async () => {
+    const {_cache: {peers}, _rotation} = consensusApi;
+    (await _rotation.getSameAs({ledgerNode})).size.should.equal(0);
+    const {version} = await peers.getSameAs({ledgerNodeId});
+    (await peers.getSameAs({ledgerNodeId})).should.eql(
+      {sameAs: [], version});
+    await peers.invalidateSameAs({ledgerNodeId});
+    (await peers.getSameAs({ledgerNodeId})).should.eql(
+      {sameAs: null, version: version + 1});
+  });
+
+  async function _runUntilEffective({count = 1} = {}) {
+    for(let i = 0; i < 10; ++i) {
+      try {
+        await consensusApi._worker._run({ledgerNode, targetCycles: 1});
+      } catch(e) {
+        if(e.name !== 'LedgerConfigurationChangeError') {
+          throw e;
+        }
+      }
+      const rotations = await consensusApi._rotation.getRotations(
+        {ledgerNode});
+      if(rotations.length === count) {
+        const head = await consensusApi._history.getHead(
+          {creatorId: voterId, ledgerNode});
+        return {head};
+      }
+    }
+    throw new Error('The rotation did not become effective.');
+  }
+});
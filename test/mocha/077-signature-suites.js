@@ -0,0 +1,178 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const brLedgerNode = require('bedrock-ledger-node');
+const {hasher} = require('bedrock-ledger-consensus-continuity/lib/util');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+
+let consensusApi;
+
+describe('Merge Event Signature Suites', () => {
+  before(async () => {
+    await helpers.prepareDatabase();
+  });
+  let ledgerNode;
+  let ledgerNodeId;
+  beforeEach(async function() {
+    this.timeout(120000);
+    await helpers.flushCache();
+    await helpers.removeCollections(
+      ['ledger', 'ledgerNode', 'continuity2017_voter']);
+    ({api: consensusApi} = await helpers.use('Continuity2017'));
+    const ledgerConfiguration = {
+      ...mockData.ledgerConfiguration,
+      mergeEventProof: {type: 'Ed25519Signature2020'}
+    };
+    ledgerNode = await brLedgerNode.add(null, {ledgerConfiguration});
+    ledgerNodeId = ledgerNode.id;
+  });
+  it('signs the genesis merge event with the configured type', async () => {
+    const {genesisBlock: {block}} = await ledgerNode.blocks.getGenesis();
+    const [, {proof}] = block.event;
+    proof.type.should.equal('Ed25519Signature2020');
+    proof.proofValue.should.be.a('string');
+    should.not.exist(proof.jws);
+  });
+  it('signs and verifies Ed25519Signature2020 merge events', async () => {
+    const {id: voterId} = await consensusApi._peers.get({ledgerNodeId});
+    const signed = await consensusApi._signature.sign({
+      event: {...mockData.mergeEvents.alpha}, ledgerNodeId,
+      type: 'Ed25519Signature2020'
+    });
+    signed.proof.type.should.equal('Ed25519Signature2020');
+    const {keyOwner} = await consensusApi._signature.verify({event: signed});
+    keyOwner.id.should.equal(voterId);
+
+    // the signature covers the merge event
+    let error;
+    try {
+      await consensusApi._signature.verify(
+        {event: {...signed, treeHash: 'zInvalid'}});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('AuthenticationError');
+  });
+  it('hashes merge events with either proof type', async () => {
+    const event = {...mockData.mergeEvents.alpha};
+    const [signed2018, signed2020] = await Promise.all([
+      consensusApi._signature.sign({event: {...event}, ledgerNodeId}),
+      consensusApi._signature.sign({
+        event: {...event}, ledgerNodeId, type: 'Ed25519Signature2020'
+      })
+    ]);
+    const [hash2018, hash2020] = await Promise.all([
+      hasher(signed2018),
+      hasher(signed2020)
+    ]);
+    hash2018.should.be.a('string');
+    hash2020.should.be.a('string');
+    hash2018.should.not.equal(hash2020);
+  });
+  it('rejects merge events with an unknown proof type', async () => {
+    const signed = await consensusApi._signature.sign(
+      {event: {...mockData.mergeEvents.alpha}, ledgerNodeId});
+    signed.proof.type = 'UnknownSignature2030';
+    let error;
+    try {
+      await consensusApi._signature.verify({event: signed});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('NotFoundError');
+  });
+  it('verifies a batch of merge events together', async () => {
+    const {id: voterId} = await consensusApi._peers.get({ledgerNodeId});
+    const events = await Promise.all(
+      ['Ed25519Signature2018', 'Ed25519Signature2020'].map(type =>
+        consensusApi._signature.sign({
+          event: {...mockData.mergeEvents.alpha}, ledgerNodeId, type
+        })));
+    const results = await consensusApi._signature.verifyBatch({events});
+    results.map(({keyOwner}) => keyOwner.id).should.eql([voterId, voterId]);
+  });
+  it('reports the invalid merge event in a batch', async () => {
+    const events = await Promise.all([0, 1, 2].map(() =>
+      consensusApi._signature.sign(
+        {event: {...mockData.mergeEvents.alpha}, ledgerNodeId})));
+    events[1].treeHash = 'zInvalid';
+    let error;
+    try {
+      await consensusApi._signature.verifyBatch({events});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('AuthenticationError');
+    error.details.event.should.equal(events[1]);
+  });
+  it('accepts both proof types until the transition', () => {
+    const {signatureSuites} = consensusApi;
+    const ledgerConfiguration = {
+      mergeEventProof: {
+        type: 'Ed25519Signature2020',
+        previousType: 'Ed25519Signature2018',
+        transitionBlockHeight: 10
+      }
+    };
+    signatureSuites.getSigningType({ledgerConfiguration})
+      .should.equal('Ed25519Signature2020');
+    signatureSuites.getAcceptedTypes({ledgerConfiguration, blockHeight: 9})
+      .should.eql(['Ed25519Signature2020', 'Ed25519Signature2018']);
+    signatureSuites.getAcceptedTypes({ledgerConfiguration, blockHeight: 10})
+      .should.eql(['Ed25519Signature2020']);
+    signatureSuites.getAcceptedTypes({ledgerConfiguration: {}, blockHeight: 1})
+      .should.eql(['Ed25519Signature2018']);
+  });
+  it('accepts the previous proof type by the ancestry of merge events', () => {
+    const {_validateMergeEventProof} = consensusApi._peerEvents;
+    const ledgerConfiguration = {
+      mergeEventProof: {
+        type: 'Ed25519Signature2020',
+        previousType: 'Ed25519Signature2018',
+        transitionBlockHeight: 10
+      }
+    };
+    const _record = ({generation = 2, type}) => ({
+      event: {proof: {type}},
+      meta: {continuity2017: {generation}}
+    });
+    const _validate = ({basisBlockHeight, eventType, parentType, generation}) =>
+      _validateMergeEventProof({
+        basisBlockHeight,
+        eventRecord: _record({generation, type: eventType}),
+        ledgerConfiguration,
+        treeParentRecord: _record({type: parentType})
+      });
+    const previousType = 'Ed25519Signature2018';
+    const type = 'Ed25519Signature2020';
+
+    // below the transition
+    _validate({basisBlockHeight: 9, eventType: previousType,
+      parentType: previousType});
+    _validate({basisBlockHeight: 9, eventType: type, parentType: previousType});
+    // the genesis merge event is not a previous merge event of the creator
+    _validate({basisBlockHeight: 0, eventType: previousType, parentType: type,
+      generation: 1});
+
+    // at the transition or after the creator has switched to `type`
+    for(const options of [
+      {basisBlockHeight: 10, eventType: previousType, parentType: previousType},
+      {basisBlockHeight: 0, eventType: previousType, parentType: type}
+    ]) {
+      let error;
+      try {
+        _validate(options);
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('DataError');
+    }
+  });
+});
@@ -0,0 +1,70 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const brLedgerNode = require('bedrock-ledger-node');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+
+let consensusApi;
+
+describe('Operation Status API', () => {
+  before(async () => {
+    await helpers.prepareDatabase();
+  });
+  let ledgerNode;
+  let creatorId;
+  beforeEach(async function() {
+    this.timeout(120000);
+    await helpers.flushCache();
+    await helpers.removeCollections(['ledger', 'ledgerNode']);
+    ({api: consensusApi} = await helpers.use('Continuity2017'));
+    const ledgerConfiguration = mockData.ledgerConfiguration;
+    ledgerNode = await brLedgerNode.add(null, {ledgerConfiguration});
+    ({id: creatorId} = await consensusApi._peers.get(
+      {ledgerNodeId: ledgerNode.id}));
+    ledgerNode._peerId = creatorId;
+  });
+  it('reports each stage of an operation', async function() {
+    this.timeout(120000);
+    const operations = await helpers.addOperation(
+      {ledgerNode, opTemplate: mockData.operations.alpha});
+    const [operationHash] = Object.keys(operations);
+    const {record: {id: recordId}} = operations[operationHash];
+    const {getStatus} = consensusApi.operations;
+
+    let status = await getStatus({ledgerNode, operationHash});
+    status.should.eql({operationHash, stage: 'queued'});
+    (await getStatus({ledgerNode, recordId})).should.eql(status);
+
+    await consensusApi._events.create({ledgerNode});
+    status = await getStatus({ledgerNode, operationHash});
+    status.stage.should.equal('event');
+    status.eventHash.should.be.a('string');
+    const {eventHash} = status;
+
+    await consensusApi._events.merge({creatorId, ledgerNode});
+    status = await getStatus({ledgerNode, recordId});
+    status.should.eql({operationHash, stage: 'merged', eventHash});
+
+    for(let i = 0; i < 10 && status.stage !== 'consensus'; ++i) {
+      await helpers.runWorkerCycle({consensusApi, nodes: [ledgerNode]});
+      status = await getStatus({ledgerNode, operationHash});
+    }
+    status.stage.should.equal('consensus');
+    status.eventHash.should.equal(eventHash);
+    status.blockHeight.should.be.a('number');
+  });
+  it('throws NotFoundError for an unknown operation', async () => {
+    let err;
+    try {
+      await consensusApi.operations.getStatus(
+        {ledgerNode, operationHash: 'zQmUnknown'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+});
@@ -0,0 +1,162 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const brLedgerNode = require('bedrock-ledger-node');
+const helpers = require('./helpers');
+const http = require('http');
+const mockData = require('./mock.data');
+const {config} = bedrock;
+
+let consensusApi;
+
+describe('Block Subscriptions', () => {
+  before(async () => {
+    await helpers.prepareDatabase();
+  });
+  let ledgerNode;
+  let ledgerNodeId;
+  beforeEach(async function() {
+    this.timeout(120000);
+    await helpers.flushCache();
+    await helpers.removeCollections(
+      ['ledger', 'ledgerNode', 'continuity2017_webhook']);
+    ({api: consensusApi} = await helpers.use('Continuity2017'));
+    const ledgerConfiguration = mockData.ledgerConfiguration;
+    ledgerNode = await brLedgerNode.add(null, {ledgerConfiguration});
+    ledgerNodeId = ledgerNode.id;
+  });
+  it('notifies subscribers of each block written', async function() {
+    this.timeout(120000);
+    const notifications = [];
+    const unsubscribe = await consensusApi.subscriptions.subscribe({
+      ledgerNodeId,
+      listener: notification => notifications.push(notification)
+    });
+    const {recordIds} = await helpers.nBlocks({
+      consensusApi, nodes: {alpha: ledgerNode},
+      opTemplate: mockData.operations.alpha, targetBlockHeight: 1
+    });
+    unsubscribe();
+    // allow the redis message to be delivered
+    await new Promise(resolve => setTimeout(resolve, 500));
+    notifications.length.should.be.at.least(1);
+    const [notification] = notifications;
+    const {block, meta} = await ledgerNode.storage.blocks.getByHeight(1);
+    notification.should.eql({
+      type: 'BlockCommitted',
+      block: block.id,
+      blockHeight: 1,
+      blockHash: meta.blockHash,
+      eventHash: block.event,
+      recordId: notification.recordId
+    });
+    notification.recordId.should.include(recordIds.alpha[0]);
+  });
+  it('limits the number of subscriptions', async () => {
+    const {subscriptions} = config['ledger-consensus-continuity'];
+    const {maxListeners} = subscriptions;
+    subscriptions.maxListeners = 1;
+    const listener = () => {};
+    let unsubscribe;
+    let error;
+    try {
+      unsubscribe = await consensusApi.subscriptions.subscribe(
+        {ledgerNodeId, listener});
+      await consensusApi.subscriptions.subscribe({ledgerNodeId, listener});
+    } catch(e) {
+      error = e;
+    } finally {
+      subscriptions.maxListeners = maxListeners;
+    }
+    should.exist(error);
+    error.name.should.equal('QuotaExceededError');
+    // unsubscribing more than once only frees one subscription
+    unsubscribe();
+    unsubscribe();
+    subscriptions.maxListeners = 1;
+    error = null;
+    try {
+      unsubscribe = await consensusApi.subscriptions.subscribe(
+        {ledgerNodeId, listener});
+      await consensusApi.subscriptions.subscribe({ledgerNodeId, listener});
+    } catch(e) {
+      error = e;
+    } finally {
+      subscriptions.maxListeners = maxListeners;
+      unsubscribe();
+    }
+    should.exist(error);
+    error.name.should.equal('QuotaExceededError');
+  });
+  it('adds, gets and removes webhooks', async () => {
+    const {subscriptions} = consensusApi;
+    const url = 'https://example.com/blocks';
+    (await subscriptions.addWebhook({ledgerNodeId, url})).should.eql({url});
+    (await subscriptions.getWebhooks({ledgerNodeId})).should.eql([{url}]);
+    let error;
+    try {
+      await subscriptions.addWebhook({ledgerNodeId, url});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('DuplicateError');
+    (await subscriptions.removeWebhook({ledgerNodeId, url})).should.equal(
+      true);
+    (await subscriptions.removeWebhook({ledgerNodeId, url})).should.equal(
+      false);
+    (await subscriptions.getWebhooks({ledgerNodeId})).should.eql([]);
+  });
+  it('rejects webhooks that are not HTTP URLs', async () => {
+    let error;
+    try {
+      await consensusApi.subscriptions.addWebhook(
+        {ledgerNodeId, url: 'ftp://example.com/blocks'});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('SyntaxError');
+  });
+  it('delivers signed notifications to webhooks', async function() {
+    this.timeout(120000);
+    let attempts = 0;
+    let resolveDelivery;
+    const delivered = new Promise(resolve => resolveDelivery = resolve);
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        // fail the first attempt to ensure it is retried
+        if(++attempts === 1) {
+          res.statusCode = 500;
+          return res.end();
+        }
+        res.statusCode = 204;
+        res.end();
+        resolveDelivery({headers: req.headers, body: JSON.parse(body)});
+      });
+    });
+    await new Promise(resolve => server.listen(0, 'localhost', resolve));
+    try {
+      const url = `http://localhost:${server.address().port}/blocks`;
+      await consensusApi.subscriptions.addWebhook({ledgerNodeId, url});
+      await helpers.nBlocks({
+        consensusApi, nodes: {alpha: ledgerNode},
+        opTemplate: mockData.operations.alpha, targetBlockHeight: 1
+      });
+      const {headers, body} = await delivered;
+      const {id: voterId} = await consensusApi._peers.get({ledgerNodeId});
+      headers.authorization.should.include(`keyId="${voterId}`);
+      headers['content-type'].should.equal('application/json');
+      body.type.should.equal('BlockCommitted');
+      body.blockHeight.should.be.a('number');
+      attempts.should.be.at.least(2);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,193 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const brLedgerNode = require('bedrock-ledger-node');
+const database = require('bedrock-mongodb');
+const helpers = require('./helpers');
+const http = require('http');
+const mockData = require('./mock.data');
+const {Ed25519KeyPair} = require('crypto-ld');
+
+const {config} = bedrock;
+
+let consensusApi;
+
+describe('Key Storage API', () => {
+  before(async () => {
+    await helpers.prepareDatabase();
+  });
+  let ledgerNode;
+  let ledgerNodeId;
+  beforeEach(async function() {
+    this.timeout(120000);
+    await helpers.flushCache();
+    await helpers.removeCollections(
+      ['ledger', 'ledgerNode', 'continuity2017_voter']);
+    ({api: consensusApi} = await helpers.use('Continuity2017'));
+    const ledgerConfiguration = mockData.ledgerConfiguration;
+    ledgerNode = await brLedgerNode.add(null, {ledgerConfiguration});
+    ledgerNodeId = ledgerNode.id;
+  });
+  describe('encrypted backend', () => {
+    it('does not store private keys in plain text', async () => {
+      const {id: voterId} = await consensusApi._peers.get({ledgerNodeId});
+      const record = await database.collections.continuity2017_voter.findOne(
+        {'voter.ledgerNodeId': ledgerNodeId});
+      should.not.exist(record.voter.privateKeyBase58);
+      record.voter.key.backend.should.equal('encrypted');
+      record.voter.key.kekId.should.equal('urn:test:kek:1');
+
+      // merge events are signed with the encrypted key
+      const signed = await consensusApi._signature.sign({
+        event: {...mockData.mergeEvents.alpha}, ledgerNodeId
+      });
+      const {keyOwner} = await consensusApi._signature.verify(
+        {event: signed});
+      keyOwner.id.should.equal(voterId);
+    });
+    it('reuses the signer for a voter key until it is rotated',
+      async () => {
+        const {getSigner} = consensusApi._peers;
+        const signer = await getSigner({ledgerNodeId});
+        (await getSigner({ledgerNodeId})).should.equal(signer);
+        await _removeVoter({ledgerNodeId});
+        const {id: voterId} = await consensusApi._peers.get({ledgerNodeId});
+        const newSigner = await getSigner({ledgerNodeId});
+        newSigner.should.not.equal(signer);
+        newSigner.id.should.equal(voterId);
+      });
+    it('signs with keys encrypted by a previous KEK', async () => {
+      const {id: voterId} = await consensusApi._peers.get({ledgerNodeId});
+      const {encrypted} = config['ledger-consensus-continuity'].keyStorage;
+      const {kek} = encrypted;
+      encrypted.previousKeks = [kek];
+      encrypted.kek = {
+        id: 'urn:test:kek:2',
+        secret: Buffer.alloc(32, 1).toString('base64')
+      };
+      try {
+        const document = {type: 'Test'};
+        const signature = await consensusApi._signature.signDocument(
+          {document, ledgerNodeId});
+        signature.voterId.should.equal(voterId);
+        (await consensusApi._signature.verifyDocument(
+          {document, signature})).should.equal(true);
+      } finally {
+        encrypted.kek = kek;
+        encrypted.previousKeks = [];
+      }
+    });
+    it('rejects a key encrypted for another public key', async () => {
+      const {publicKeyBase58: other} = await Ed25519KeyPair.generate();
+      const {key} = await consensusApi.keyStorage.generate({ledgerNodeId});
+      const signer = consensusApi.keyStorage.createSigner(
+        {id: 'urn:test', key: {...key, publicKeyBase58: other}});
+      let error;
+      try {
+        await signer.sign({data: Buffer.from('test')});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('OperationError');
+    });
+    it('moves plain text voter keys to key storage', async () => {
+      await _removeVoter({ledgerNodeId});
+      const kp = await Ed25519KeyPair.generate();
+      const voterId = config.server.baseUri +
+        '/consensus/continuity2017/voters/' + kp.fingerprint();
+      await database.collections.continuity2017_voter.insertOne({
+        meta: {created: Date.now(), updated: Date.now()},
+        voter: {
+          id: voterId, ledgerNodeId, privateKeyBase58: kp.privateKeyBase58
+        }
+      });
+      const document = {type: 'Test'};
+      const signature = await consensusApi._signature.signDocument(
+        {document, ledgerNodeId});
+      signature.voterId.should.equal(voterId);
+      (await consensusApi._signature.verifyDocument(
+        {document, signature})).should.equal(true);
+
+      const record = await database.collections.continuity2017_voter.findOne(
+        {'voter.ledgerNodeId': ledgerNodeId});
+      should.not.exist(record.voter.privateKeyBase58);
+      record.voter.key.backend.should.equal('encrypted');
+    });
+  });
+  describe('remote backend', () => {
+    let server;
+    let requests;
+    before(async () => {
+      // a local stand-in for a remote signer
+      const keys = new Map();
+      requests = [];
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', async () => {
+          const json = JSON.parse(body);
+          requests.push({url: req.url, json});
+          let result;
+          if(req.url === '/keys') {
+            const kp = await Ed25519KeyPair.generate();
+            const keyId = `${keys.size}`;
+            keys.set(keyId, kp);
+            result = {keyId, publicKeyBase58: kp.publicKeyBase58};
+          } else {
+            const [, , keyId] = req.url.split('/');
+            const signature = await keys.get(keyId).signer().sign(
+              {data: Buffer.from(json.data, 'base64')});
+            result = {
+              signatureValue: Buffer.from(signature).toString('base64')
+            };
+          }
+          res.setHeader('content-type', 'application/json');
+          res.end(JSON.stringify(result));
+        });
+      });
+      await new Promise(resolve => server.listen(0, 'localhost', resolve));
+    });
+    after(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+    let keyStorage;
+    beforeEach(() => {
+      keyStorage = config['ledger-consensus-continuity'].keyStorage;
+      keyStorage.backend = 'remote';
+      keyStorage.remote.url = `http://localhost:${server.address().port}`;
+    });
+    afterEach(() => {
+      keyStorage.backend = 'encrypted';
+      keyStorage.remote.url = null;
+    });
+    it('generates and signs with keys held by the remote signer', async () => {
+      await _removeVoter({ledgerNodeId});
+      const {id: voterId} = await consensusApi._peers.get({ledgerNodeId});
+      const record = await database.collections.continuity2017_voter.findOne(
+        {'voter.ledgerNodeId': ledgerNodeId});
+      record.voter.key.should.eql({
+        backend: 'remote', url: keyStorage.remote.url, keyId: '0'
+      });
+      requests[0].json.should.eql({ledgerNodeId});
+
+      const signed = await consensusApi._signature.sign({
+        event: {...mockData.mergeEvents.alpha}, ledgerNodeId
+      });
+      const {keyOwner} = await consensusApi._signature.verify(
+        {event: signed});
+      keyOwner.id.should.equal(voterId);
+      requests[1].url.should.equal('/keys/0/sign');
+    });
+  });
+});
+
+// removes the voter created with the ledger node so that a new one is used
+async function _removeVoter({ledgerNodeId}) {
+  await database.collections.continuity2017_voter.deleteMany(
+    {'voter.ledgerNodeId': ledgerNodeId});
+  await helpers.flushCache();
+}
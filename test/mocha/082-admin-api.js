@@ -0,0 +1,50 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const brHttpsAgent = require('bedrock-https-agent');
+const brLedgerNode = require('bedrock-ledger-node');
+const cache = require('bedrock-redis');
+const helpers = require('./helpers');
+const {httpClient} = require('@digitalbazaar/http-client');
+const mockData = require('./mock.data');
+const {_admin, _peers} = require('bedrock-ledger-consensus-continuity');
+
+describe('Admin API', () => {
+  let ledgerNode;
+  let voter;
+  before(async () => {
+    await helpers.prepareDatabase();
+    await cache.client.flushall();
+    const {ledgerConfiguration} = mockData;
+    ledgerNode = await brLedgerNode.add(null, {ledgerConfiguration});
+    voter = await _peers.get({ledgerNodeId: ledgerNode.id});
+  });
+  it('gets the consensus state of a ledger node', async () => {
+    const state = await _admin.getConsensusState({ledgerNode});
+    state.blockHeight.should.equal(0);
+    state.witnesses.should.eql([{id: voter.id}]);
+    should.equal(state.lastConsensusAttempt, null);
+    state.outstandingMergeEventCount.should.equal(0);
+    state.operationQueueDepth.should.equal(0);
+  });
+  it('gets the peer statuses of a ledger node', async () => {
+    const peers = await _admin.getPeerStatuses({ledgerNode});
+    // the only known peer is the local node itself
+    peers.should.eql([]);
+  });
+  it('rejects an unauthenticated request', async () => {
+    const {httpsAgent} = brHttpsAgent;
+    let err;
+    try {
+      await httpClient.get(`${voter.id}/admin/consensus-state`, {
+        agent: httpsAgent
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.be.within(400, 499);
+  });
+});
@@ -0,0 +1,90 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const brHttpsAgent = require('bedrock-https-agent');
+const cache = require('bedrock-redis');
+const {config} = require('bedrock');
+const {httpClient} = require('@digitalbazaar/http-client');
+const {_cache, _metrics} = require('bedrock-ledger-consensus-continuity');
+
+const ledgerNodeId = 'urn:uuid:0a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d';
+
+describe('Metrics API', () => {
+  beforeEach(async () => {
+    await cache.client.flushall();
+  });
+  it('exposes counters', async () => {
+    await _metrics.increment({name: 'blocksWritten', labels: {ledgerNodeId}});
+    await _metrics.increment({name: 'blocksWritten', labels: {ledgerNodeId}});
+    const text = await _metrics.getExposition();
+    text.should.contain('# TYPE continuity_blocks_written_total counter');
+    text.should.contain(
+      `continuity_blocks_written_total{ledgerNodeId="${ledgerNodeId}"} 2`);
+  });
+  it('exposes summaries', async () => {
+    await _metrics.observe(
+      {name: 'findConsensusDuration', labels: {ledgerNodeId}, value: 0.5});
+    await _metrics.observe(
+      {name: 'findConsensusDuration', labels: {ledgerNodeId}, value: 1});
+    const text = await _metrics.getExposition();
+    text.should.contain(
+      '# TYPE continuity_find_consensus_duration_seconds summary');
+    text.should.contain('continuity_find_consensus_duration_seconds_sum' +
+      `{ledgerNodeId="${ledgerNodeId}"} 1.5`);
+    text.should.contain('continuity_find_consensus_duration_seconds_count' +
+      `{ledgerNodeId="${ledgerNodeId}"} 2`);
+  });
+  it('labels only witnesses and priority peers by peer ID', async () => {
+    await _cache.blocks.setBlockHeight({blockHeight: 1, ledgerNodeId});
+    await _cache.witnesses.setWitnesses({
+      blockHeight: 2, ledgerNodeId, witnesses: [{id: 'witness'}]
+    });
+    await _cache.consensus.setStatus({
+      blockHeight: 2, ledgerNodeId, mergePermits: 1,
+      priorityPeers: ['priority']
+    });
+    const labels = await Promise.all(['witness', 'priority', 'unknown'].map(
+      peerId => _metrics.getPeerLabel({ledgerNodeId, peerId})));
+    labels.should.eql(['witness', 'priority', 'other']);
+  });
+  it('throws on an unknown metric', async () => {
+    let err;
+    try {
+      await _metrics.increment({name: 'unknown'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+  });
+  it('rejects an unauthenticated request for metrics', async () => {
+    const {httpsAgent} = brHttpsAgent;
+    const url = config.server.baseUri +
+      config['ledger-consensus-continuity'].routes.metrics;
+    let err;
+    try {
+      await httpClient.get(url, {agent: httpsAgent});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.be.within(400, 499);
+  });
+  it('serves public metrics via HTTP', async () => {
+    await _metrics.increment({name: 'blocksWritten', labels: {ledgerNodeId}});
+    const {httpsAgent} = brHttpsAgent;
+    const cfg = config['ledger-consensus-continuity'];
+    const url = config.server.baseUri + cfg.routes.metrics;
+    cfg.metrics.public = true;
+    let response;
+    try {
+      response = await httpClient.get(url, {agent: httpsAgent});
+    } finally {
+      cfg.metrics.public = false;
+    }
+    response.headers.get('content-type').should.contain('text/plain');
+    const text = await response.text();
+    text.should.contain('continuity_blocks_written_total');
+  });
+});
@@ -0,0 +1,75 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const brLedgerNode = require('bedrock-ledger-node');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+
+let consensusApi;
+
+describe('Replay API', () => {
+  before(async () => {
+    await helpers.prepareDatabase();
+  });
+  let exported;
+  beforeEach(async function() {
+    this.timeout(120000);
+    await helpers.flushCache();
+    await helpers.removeCollections(['ledger', 'ledgerNode']);
+    ({api: consensusApi} = await helpers.use('Continuity2017'));
+    const ledgerConfiguration = mockData.ledgerConfiguration;
+    const ledgerNode = await brLedgerNode.add(null, {ledgerConfiguration});
+    const {id: creatorId} = await consensusApi._peers.get(
+      {ledgerNodeId: ledgerNode.id});
+    const opTemplate = mockData.operations.alpha;
+    await helpers.nBlocks({
+      consensusApi, nodes: {alpha: ledgerNode}, opTemplate,
+      targetBlockHeight: 3
+    });
+
+    // export every block and event; the only witness is the genesis node
+    const projection = {_id: 0};
+    const blockRecords = await ledgerNode.storage.blocks.collection.find(
+      {}, {projection}).sort({'block.blockHeight': 1}).toArray();
+    const blocks = blockRecords.map(({block}) => ({
+      block,
+      witnesses: [{id: creatorId}]
+    }));
+    const events = await ledgerNode.storage.events.collection.find(
+      {}, {projection}).toArray();
+    exported = {blocks, events};
+  });
+  it('replays every block identically', async () => {
+    const result = consensusApi._replay.replay(exported);
+    result.valid.should.be.true;
+    result.blockHeight.should.be.at.least(3);
+    result.mismatches.should.have.length(0);
+  });
+  it('detects a block with a modified eventHash', async () => {
+    const {block} = exported.blocks[2];
+    block.event = [...block.event, mockData.ledgerConfiguration.ledger];
+    const result = consensusApi._replay.replay(exported);
+    result.valid.should.be.false;
+    result.mismatches.should.have.length(1);
+    result.mismatches[0].blockHeight.should.equal(2);
+    result.mismatches[0].property.should.equal('eventHash');
+  });
+  it('detects a block with a modified consensusProofHash', async () => {
+    const {block} = exported.blocks[1];
+    block.consensusProofHash = [];
+    const result = consensusApi._replay.replay(exported);
+    result.valid.should.be.false;
+    result.mismatches.should.have.length(1);
+    result.mismatches[0].blockHeight.should.equal(1);
+    result.mismatches[0].property.should.equal('consensusProofHash');
+  });
+  it('detects the wrong witnesses', async () => {
+    exported.blocks[3].witnesses = [{id: 'urn:uuid:unknown-witness'}];
+    const result = consensusApi._replay.replay(exported);
+    result.valid.should.be.false;
+    result.mismatches[0].blockHeight.should.equal(3);
+    result.mismatches[0].property.should.equal('consensus');
+  });
+});
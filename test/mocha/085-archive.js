@@ -0,0 +1,76 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const brLedgerNode = require('bedrock-ledger-node');
+const database = require('bedrock-mongodb');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+
+let consensusApi;
+
+describe('Archive API', () => {
+  before(async () => {
+    await helpers.prepareDatabase();
+  });
+  let ledgerNode;
+  beforeEach(async function() {
+    this.timeout(120000);
+    await helpers.flushCache();
+    await helpers.removeCollections(['ledger', 'ledgerNode']);
+    ({api: consensusApi} = await helpers.use('Continuity2017'));
+    const ledgerConfiguration = mockData.ledgerConfiguration;
+    ledgerNode = await brLedgerNode.add(null, {ledgerConfiguration});
+    const opTemplate = mockData.operations.alpha;
+    await helpers.nBlocks({
+      consensusApi, nodes: {alpha: ledgerNode}, opTemplate,
+      targetBlockHeight: 2
+    });
+  });
+  it('exports and imports a ledger', async function() {
+    this.timeout(120000);
+    const {eventBlock: {block: {blockHeight}}} =
+      await ledgerNode.storage.blocks.getLatestSummary();
+    const stream = consensusApi.archive.exportLedger({ledgerNode});
+    const imported = await consensusApi.archive.importLedger({stream});
+    imported.id.should.not.equal(ledgerNode.id);
+    for(let i = 0; i <= blockHeight; ++i) {
+      const [expected, actual] = await Promise.all([
+        ledgerNode.storage.blocks.getByHeight(i),
+        imported.storage.blocks.getByHeight(i)
+      ]);
+      actual.meta.blockHash.should.equal(expected.meta.blockHash);
+    }
+    const [expectedCount, actualCount] = await Promise.all([
+      ledgerNode.storage.events.getCount({consensus: true}),
+      imported.storage.events.getCount({consensus: true})
+    ]);
+    actualCount.should.equal(expectedCount);
+    const importedHeight = await consensusApi._cache.blocks.blockHeight(
+      imported.id);
+    importedHeight.should.equal(blockHeight);
+  });
+  it('rejects an archive with an invalid block hash', async function() {
+    this.timeout(120000);
+    await ledgerNode.storage.blocks.collection.updateOne(
+      {'block.blockHeight': 1}, {$set: {'meta.blockHash': 'invalid'}});
+    const ledgerNodeCount = await _countLedgerNodes();
+    const stream = consensusApi.archive.exportLedger({ledgerNode});
+    let err;
+    try {
+      await consensusApi.archive.importLedger({stream});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DataError');
+    // the ledger node created from the genesis block is removed
+    (await _countLedgerNodes()).should.equal(ledgerNodeCount);
+  });
+});
+
+function _countLedgerNodes() {
+  return database.collections.ledgerNode.countDocuments(
+    {'meta.deleted': {$exists: false}});
+}
@@ -0,0 +1,143 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const brLedgerNode = require('bedrock-ledger-node');
+const {config} = require('bedrock');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+
+let consensusApi;
+
+describe('Checkpoint API', () => {
+  let interval;
+  before(async () => {
+    await helpers.prepareDatabase();
+    const cfg = config['ledger-consensus-continuity'];
+    interval = cfg.checkpoint.interval;
+    cfg.checkpoint.interval = 1;
+  });
+  after(async () => {
+    config['ledger-consensus-continuity'].checkpoint.interval = interval;
+  });
+  let block;
+  let genesisBlock;
+  let ledgerNode;
+  let voterId;
+  beforeEach(async function() {
+    this.timeout(120000);
+    await helpers.flushCache();
+    await helpers.removeCollections(
+      ['ledger', 'ledgerNode', 'continuity2017_checkpoint']);
+    ({api: consensusApi} = await helpers.use('Continuity2017'));
+    const ledgerConfiguration = mockData.ledgerConfiguration;
+    ledgerNode = await brLedgerNode.add(null, {ledgerConfiguration});
+    ({id: voterId} = await consensusApi._peers.get(
+      {ledgerNodeId: ledgerNode.id}));
+    ({genesisBlock: {block: genesisBlock}} =
+      await ledgerNode.blocks.getGenesis());
+    const opTemplate = mockData.operations.alpha;
+    await helpers.nBlocks({
+      consensusApi, nodes: {alpha: ledgerNode}, opTemplate,
+      targetBlockHeight: 2
+    });
+    ({block} = await ledgerNode.storage.blocks.collection.findOne(
+      {'block.blockHeight': 2}, {projection: {_id: 0, block: 1}}));
+  });
+  it('creates a checkpoint signed by a witness', async () => {
+    const checkpoint = await consensusApi._checkpoint.get(
+      {ledgerNodeId: ledgerNode.id, blockHeight: 2});
+    checkpoint.blockHeight.should.equal(2);
+    checkpoint.heads.map(({creator}) => creator).should.include(voterId);
+    const {signers} = await consensusApi._checkpoint.verify(
+      {block, checkpoint, witnesses: [{id: voterId}]});
+    signers.should.eql([voterId]);
+  });
+  it('rejects a checkpoint that does not match the block', async () => {
+    const checkpoint = await consensusApi._checkpoint.get(
+      {ledgerNodeId: ledgerNode.id, blockHeight: 1});
+    let err;
+    try {
+      await consensusApi._checkpoint.verify(
+        {block, checkpoint, witnesses: [{id: voterId}]});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DataError');
+  });
+  it('rejects a checkpoint with an invalid signature', async () => {
+    const checkpoint = await consensusApi._checkpoint.get(
+      {ledgerNodeId: ledgerNode.id, blockHeight: 2});
+    checkpoint.heads.pop();
+    let err;
+    try {
+      await consensusApi._checkpoint.verify(
+        {block, checkpoint, witnesses: [{id: voterId}]});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DataError');
+    err.details.signers.should.have.length(0);
+  });
+  it('rejects a checkpoint with self-chosen witnesses', async function() {
+    this.timeout(120000);
+    // another voter lists only itself as a witness and signs the checkpoint
+    const attackerNode = await brLedgerNode.add(null, {genesisBlock});
+    const {id: attackerId} = await consensusApi._peers.get(
+      {ledgerNodeId: attackerNode.id});
+    const checkpoint = await consensusApi._checkpoint.get(
+      {ledgerNodeId: ledgerNode.id, blockHeight: 2});
+    checkpoint.witnesses = [{id: attackerId}];
+    checkpoint.signature = [await consensusApi._checkpoint.sign(
+      {checkpoint, ledgerNodeId: attackerNode.id})];
+    let err;
+    try {
+      await consensusApi._checkpoint.verify(
+        {block, checkpoint, witnesses: [{id: voterId}]});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DataError');
+    err.details.witnesses.should.eql([voterId]);
+
+    // the signature does not count even if the witnesses are not checked
+    checkpoint.witnesses = [{id: voterId}];
+    err = null;
+    try {
+      await consensusApi._checkpoint.verify(
+        {block, checkpoint, witnesses: [{id: voterId}]});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DataError');
+    err.details.signers.should.have.length(0);
+  });
+  it('bootstraps a new ledger node from a checkpoint', async function() {
+    this.timeout(120000);
+    const newNode = await brLedgerNode.add(null, {genesisBlock});
+    const checkpoint = await consensusApi.collectCheckpoint(
+      {blockHeight: 2, peerIds: [voterId]});
+    await consensusApi.bootstrap({
+      ledgerNode: newNode, block, checkpoint, witnesses: [{id: voterId}],
+      peerId: voterId
+    });
+
+    const blockHeight = await consensusApi._cache.blocks.blockHeight(
+      newNode.id);
+    blockHeight.should.equal(2);
+    const {eventBlock: {meta: {blockHash}}} =
+      await newNode.storage.blocks.getLatestSummary();
+    blockHash.should.equal(checkpoint.blockHash);
+    for(const {creator: creatorId, eventHash, generation} of
+      checkpoint.heads) {
+      const head = await consensusApi._history.getHead(
+        {creatorId, ledgerNode: newNode});
+      head.should.eql({eventHash, generation});
+    }
+  });
+});
@@ -0,0 +1,122 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const brLedgerNode = require('bedrock-ledger-node');
+const database = require('bedrock-mongodb');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+
+let consensusApi;
+
+describe('Forks API', () => {
+  before(async () => {
+    await helpers.prepareDatabase();
+  });
+  let fork;
+  let ledgerNode;
+  let voterId;
+  beforeEach(async function() {
+    this.timeout(120000);
+    await helpers.flushCache();
+    await helpers.removeCollections(
+      ['ledger', 'ledgerNode', 'continuity2017_fork_evidence']);
+    ({api: consensusApi} = await helpers.use('Continuity2017'));
+    const ledgerConfiguration = mockData.ledgerConfiguration;
+    ledgerNode = await brLedgerNode.add(null, {ledgerConfiguration});
+    const ledgerNodeId = ledgerNode.id;
+    ({id: voterId} = await consensusApi._peers.get({ledgerNodeId}));
+    const opTemplate = mockData.operations.alpha;
+    await helpers.nBlocks({
+      consensusApi, nodes: {alpha: ledgerNode}, opTemplate,
+      targetBlockHeight: 1
+    });
+
+    // fork the local tree by signing a second merge event with the same
+    // tree parent as the latest merge event
+    const head = await consensusApi._history.getHead(
+      {creatorId: voterId, ledgerNode});
+    const [original] = await consensusApi._events.getEvents(
+      {eventHash: head.eventHash, ledgerNode});
+    const unsigned = {...original.event};
+    delete unsigned.proof;
+    const forked = await consensusApi._signature.sign({
+      event: {...unsigned, parentHash: [unsigned.treeHash]}, ledgerNodeId
+    });
+    const eventHash = await consensusApi._hasher(forked);
+    const now = Date.now();
+    await ledgerNode.storage.events.addMany({events: [{
+      event: forked,
+      meta: {
+        ...original.meta,
+        eventHash,
+        consensus: false,
+        created: now,
+        updated: now
+      }
+    }]});
+    fork = {
+      creator: voterId,
+      treeHash: unsigned.treeHash,
+      eventHashes: [original.meta.eventHash, eventHash].sort()
+    };
+  });
+  it('detects merge events from one creator with the same tree parent', () => {
+    const history = {events: [{
+      eventHash: 'a', event: {treeHash: 't1'},
+      meta: {continuity2017: {creator: 'x'}}
+    }, {
+      eventHash: 'b', event: {treeHash: 't1'},
+      meta: {continuity2017: {creator: 'y'}}
+    }, {
+      eventHash: 'd', event: {treeHash: 't2'},
+      meta: {continuity2017: {creator: 'x'}}
+    }, {
+      eventHash: 'c', event: {treeHash: 't2'},
+      meta: {continuity2017: {creator: 'x'}}
+    }]};
+    const forks = consensusApi._forks.detect({history});
+    forks.should.eql([{creator: 'x', treeHash: 't2', eventHashes: ['c', 'd']}]);
+  });
+  it('records and verifies signed fork evidence', async () => {
+    const evidence = await consensusApi._forks.record({ledgerNode, ...fork});
+    evidence.creator.should.equal(voterId);
+    evidence.events.should.have.length(2);
+    evidence.signature.voterId.should.equal(voterId);
+    await consensusApi._forks.verifyEvidence({evidence});
+
+    const again = await consensusApi._forks.record({ledgerNode, ...fork});
+    should.not.exist(again);
+    const stored = await consensusApi._forks.getEvidence(
+      {ledgerNodeId: ledgerNode.id, creator: voterId});
+    stored.should.eql([evidence]);
+  });
+  it('only records forks with events it has not checked', async () => {
+    const history = await consensusApi._history.getRecent({
+      creatorId: voterId, excludeLocalRegularEvents: true, ledgerNode
+    });
+    const {recordAll} = consensusApi._forks;
+    (await recordAll({ledgerNode, history})).should.have.length(1);
+    await database.collections.continuity2017_fork_evidence.deleteMany({});
+    (await recordAll({ledgerNode, history})).should.have.length(0);
+    // the fork is checked again once one of its events is new
+    const [forkedHash] = fork.eventHashes;
+    const events = history.events.filter(
+      ({eventHash}) => eventHash !== forkedHash);
+    await recordAll({ledgerNode, history: {...history, events}});
+    (await recordAll({ledgerNode, history})).should.have.length(1);
+  });
+  it('rejects evidence with a modified event', async () => {
+    const evidence = await consensusApi._forks.record({ledgerNode, ...fork});
+    evidence.events[1] = evidence.events[0];
+    let err;
+    try {
+      await consensusApi._forks.verifyEvidence({evidence});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DataError');
+  });
+});
@@ -0,0 +1,69 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const brLedgerNode = require('bedrock-ledger-node');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+
+let consensusApi;
+
+describe('Block Verifier API', () => {
+  before(async () => {
+    await helpers.prepareDatabase();
+  });
+  let block;
+  let ledgerNode;
+  let witnesses;
+  beforeEach(async function() {
+    this.timeout(120000);
+    await helpers.flushCache();
+    await helpers.removeCollections(['ledger', 'ledgerNode']);
+    ({api: consensusApi} = await helpers.use('Continuity2017'));
+    const ledgerConfiguration = mockData.ledgerConfiguration;
+    ledgerNode = await brLedgerNode.add(null, {ledgerConfiguration});
+    const {id: voterId} = await consensusApi._peers.get(
+      {ledgerNodeId: ledgerNode.id});
+    witnesses = [{id: voterId}];
+    const opTemplate = mockData.operations.alpha;
+    await helpers.nBlocks({
+      consensusApi, nodes: {alpha: ledgerNode}, opTemplate,
+      targetBlockHeight: 2
+    });
+    ({block} = await ledgerNode.storage.blocks.collection.findOne(
+      {'block.blockHeight': 2}, {projection: {_id: 0, block: 1}}));
+  });
+  it('verifies a written block', async () => {
+    const report = await consensusApi.verifyBlock(
+      {ledgerNode, block, witnesses});
+    report.valid.should.be.true;
+    report.blockHeight.should.equal(2);
+    report.proof.should.have.length(block.consensusProofHash.length);
+    report.proof[0].creator.should.equal(witnesses[0].id);
+    report.mismatches.should.have.length(0);
+  });
+  it('verifies a block before the latest block', async () => {
+    const {block: earlierBlock} =
+      await ledgerNode.storage.blocks.collection.findOne(
+        {'block.blockHeight': 1}, {projection: {_id: 0, block: 1}});
+    const report = await consensusApi.verifyBlock(
+      {ledgerNode, block: earlierBlock, witnesses});
+    report.valid.should.be.true;
+    report.mismatches.should.have.length(0);
+  });
+  it('rejects a proof event that is not from a witness', async () => {
+    const report = await consensusApi.verifyBlock(
+      {ledgerNode, block, witnesses: [{id: 'urn:uuid:not-a-witness'}]});
+    report.valid.should.be.false;
+    report.proof[0].valid.should.be.false;
+  });
+  it('rejects a block with a modified consensus proof', async () => {
+    block.consensusProofHash = [block.event[0]];
+    const report = await consensusApi.verifyBlock(
+      {ledgerNode, block, witnesses});
+    report.valid.should.be.false;
+    report.mismatches.map(({property}) => property).should.include(
+      'consensusProofHash');
+  });
+});
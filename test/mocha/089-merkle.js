@@ -0,0 +1,111 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const brLedgerNode = require('bedrock-ledger-node');
+const helpers = require('./helpers');
+const {hashBlock} = require('bedrock-ledger-consensus-continuity/lib/util');
+const mockData = require('./mock.data');
+
+let consensusApi;
+
+describe('Merkle API', () => {
+  before(async () => {
+    await helpers.prepareDatabase();
+    ({api: consensusApi} = await helpers.use('Continuity2017'));
+  });
+  describe('merkle', () => {
+    const events = [];
+    for(let i = 0; i < 5; ++i) {
+      const operationHash = i % 2 === 0 ?
+        [] : [`op-${i}-b`, `op-${i}-a`, `op-${i}-c`];
+      events.push({eventHash: `event-${i}`, operationHash});
+    }
+    it('verifies a proof for every operation', () => {
+      const merkleRoot = consensusApi.merkle.computeRoot({events});
+      for(const {operationHash} of events) {
+        for(const hash of operationHash) {
+          const proof = consensusApi.merkle.createProof(
+            {events, operationHash: hash});
+          proof.merkleRoot.should.equal(merkleRoot);
+          consensusApi.merkle.verifyProof({proof, merkleRoot})
+            .should.be.true;
+        }
+      }
+    });
+    it('does not depend on the order of operations in an event', () => {
+      const reordered = events.map(({eventHash, operationHash}) =>
+        ({eventHash, operationHash: [...operationHash].reverse()}));
+      consensusApi.merkle.computeRoot({events: reordered}).should.equal(
+        consensusApi.merkle.computeRoot({events}));
+    });
+    it('rejects a proof for another operation', () => {
+      const merkleRoot = consensusApi.merkle.computeRoot({events});
+      const proof = consensusApi.merkle.createProof(
+        {events, operationHash: 'op-1-a'});
+      proof.operationHash = 'op-1-x';
+      consensusApi.merkle.verifyProof({proof, merkleRoot}).should.be.false;
+    });
+    it('rejects a proof with a truncated path', () => {
+      const merkleRoot = consensusApi.merkle.computeRoot({events});
+      const proof = consensusApi.merkle.createProof(
+        {events, operationHash: 'op-3-c'});
+      proof.eventPath.pop();
+      consensusApi.merkle.verifyProof({proof, merkleRoot}).should.be.false;
+    });
+  });
+  describe('getInclusionProof', () => {
+    let ledgerNode;
+    beforeEach(async function() {
+      this.timeout(120000);
+      await helpers.flushCache();
+      await helpers.removeCollections(['ledger', 'ledgerNode']);
+      const ledgerConfiguration = mockData.ledgerConfiguration;
+      ledgerNode = await brLedgerNode.add(null, {ledgerConfiguration});
+      const opTemplate = mockData.operations.alpha;
+      await helpers.nBlocks({
+        consensusApi, nodes: {alpha: ledgerNode}, opTemplate,
+        targetBlockHeight: 2
+      });
+    });
+    it('gets a proof that verifies against the block', async () => {
+      const {meta: {operationHash}} =
+        await ledgerNode.storage.operations.collection.findOne(
+          {}, {projection: {_id: 0, 'meta.operationHash': 1}});
+      const proof = await consensusApi.getInclusionProof(
+        {ledgerNode, operationHash});
+      const {block} = await ledgerNode.storage.blocks.collection.findOne(
+        {'block.blockHeight': proof.blockHeight});
+      block.event.should.include(proof.eventHash);
+      consensusApi.merkle.verifyProof({proof, merkleRoot: block.merkleRoot})
+        .should.be.true;
+    });
+    it('covers the merkle root in the block hash', async () => {
+      const {block, meta} = await ledgerNode.storage.blocks.collection.findOne(
+        {'block.blockHeight': 1});
+      should.exist(block.merkleRoot);
+      (await hashBlock(block)).should.equal(meta.blockHash);
+      const changed = {...block, merkleRoot: `${block.merkleRoot}0`};
+      (await hashBlock(changed)).should.not.equal(meta.blockHash);
+    });
+    it('gets a proof for the latest operation on a record', async () => {
+      const {operation} = await ledgerNode.storage.operations.collection
+        .findOne({}, {projection: {_id: 0, operation: 1}});
+      const proof = await consensusApi.getInclusionProof(
+        {ledgerNode, recordId: operation.record.id});
+      should.exist(proof.merkleRoot);
+    });
+    it('throws NotFoundError for an unknown operation', async () => {
+      let err;
+      try {
+        await consensusApi.getInclusionProof(
+          {ledgerNode, operationHash: 'zQmUnknown'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+  });
+});
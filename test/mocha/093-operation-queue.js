@@ -0,0 +1,194 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const brLedgerNode = require('bedrock-ledger-node');
+const cache = require('bedrock-redis');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+const {config, util: {clone, uuid}} = bedrock;
+
+let consensusApi;
+
+describe('Operation Queue', () => {
+  before(async () => {
+    await helpers.prepareDatabase();
+  });
+  let ledgerNode;
+  let ledgerNodeId;
+  let creatorId;
+  beforeEach(async function() {
+    this.timeout(120000);
+    await helpers.flushCache();
+    await helpers.removeCollections(['ledger', 'ledgerNode']);
+    ({api: consensusApi} = await helpers.use('Continuity2017'));
+    const ledgerConfiguration = mockData.ledgerConfiguration;
+    ledgerNode = await brLedgerNode.add(null, {ledgerConfiguration});
+    ledgerNodeId = ledgerNode.id;
+    ({id: creatorId} = await consensusApi._peers.get({ledgerNodeId}));
+  });
+
+  // creates a ledger node whose voter key is used to sign operations
+  async function _createSubmitter() {
+    const {genesisBlock: {block: genesisBlock}} =
+      await ledgerNode.blocks.getGenesis();
+    const {id: signerNodeId} = await brLedgerNode.add(null, {genesisBlock});
+    const {id} = await consensusApi._peers.get({ledgerNodeId: signerNodeId});
+    return {id, ledgerNodeId: signerNodeId};
+  }
+
+  // adds operations directly via the consensus plugin
+  async function _addOperations({count, local = false, submitter}) {
+    for(let i = 0; i < count; ++i) {
+      let operation = clone(mockData.operations.alpha);
+      operation.creator = creatorId;
+      operation.record.id = `https://example.com/event/${uuid()}`;
+      if(submitter) {
+        operation = await consensusApi._signature.sign(
+          {event: operation, ledgerNodeId: submitter.ledgerNodeId});
+      }
+      await consensusApi.operations.add(
+        {meta: {basisBlockHeight: 1}, operation, ledgerNode, local});
+    }
+  }
+
+  async function _getNextChunk() {
+    const queue = new consensusApi._cache.OperationQueue({ledgerNodeId});
+    (await queue.hasNextChunk()).should.equal(true);
+    return queue.getNextChunk();
+  }
+
+  async function _getLaneDepths() {
+    const {cacheKey} = consensusApi._cache;
+    const depths = {};
+    for(const lane of ['system', 'user']) {
+      depths[lane] = await cache.client.llen(
+        cacheKey.operationList({lane, ledgerNodeId}));
+    }
+    return depths;
+  }
+
+  // operations without a proof are counted as the ledger node's own
+  function _countBySubmitter({operations}) {
+    const counts = {};
+    for(const {operation: {proof}} of operations) {
+      const submitter = proof ? proof.verificationMethod : creatorId;
+      counts[submitter] = (counts[submitter] || 0) + 1;
+    }
+    return counts;
+  }
+
+  it('gets the submitter of an operation', async function() {
+    this.timeout(120000);
+    const {getSubmitter} = consensusApi.operations;
+    const submitter = await _createSubmitter();
+    const operation = clone(mockData.operations.alpha);
+    operation.creator = creatorId;
+    should.equal(await getSubmitter({operation}), null);
+    const signed = await consensusApi._signature.sign(
+      {event: operation, ledgerNodeId: submitter.ledgerNodeId});
+    (await getSubmitter({operation: signed})).should.equal(submitter.id);
+    // a proof that does not verify does not identify the submitter
+    signed.record.name = 'Changed';
+    should.equal(await getSubmitter({operation: signed}), null);
+    should.equal(await getSubmitter({operation: {
+      ...operation,
+      proof: {
+        type: 'Ed25519Signature2018',
+        verificationMethod: 'did:example:alpha#key-1'
+      }
+    }}), null);
+  });
+  it('takes operations from each submitter in turn', async function() {
+    this.timeout(240000);
+    const alpha = await _createSubmitter();
+    const beta = await _createSubmitter();
+    await _addOperations({count: 300, submitter: alpha});
+    await _addOperations({count: 5, submitter: beta});
+    const {hasMore, operations} = await _getNextChunk();
+    hasMore.should.equal(true);
+    operations.should.have.length(250);
+    _countBySubmitter({operations}).should.eql({
+      [alpha.id]: 245,
+      [beta.id]: 5
+    });
+  });
+  it('fills events from lanes in proportion to their weights',
+    async function() {
+      this.timeout(240000);
+      const alpha = await _createSubmitter();
+      // operations created by the ledger node itself go in the `system` lane
+      await _addOperations({count: 200, local: true});
+      await _addOperations({count: 200, submitter: alpha});
+      (await consensusApi._cache.operations.getQueueDepth({ledgerNodeId}))
+        .should.equal(400);
+      const {operations} = await _getNextChunk();
+      _countBySubmitter({operations}).should.eql({
+        [creatorId]: 188,
+        [alpha.id]: 62
+      });
+    });
+  it('queues operations from unknown submitters in the default lane',
+    async function() {
+      this.timeout(120000);
+      // operations without a valid proof must not take the place of the
+      // ledger node's own operations even though their creator is the same
+      await _addOperations({count: 200, local: true});
+      await _addOperations({count: 200});
+      (await _getLaneDepths()).should.eql({system: 200, user: 200});
+      const {operations} = await _getNextChunk();
+      operations.should.have.length(250);
+      (await _getLaneDepths()).should.eql({system: 12, user: 138});
+    });
+  it('moves operations queued before lanes into the default lane',
+    async () => {
+      const {cacheKey} = consensusApi._cache;
+      const legacyListKey = cacheKey.operationListLegacy(ledgerNodeId);
+      const legacyKeys = [];
+      for(let i = 0; i < 3; ++i) {
+        const operation = clone(mockData.operations.alpha);
+        operation.creator = creatorId;
+        operation.record.id = `https://example.com/event/${uuid()}`;
+        const operationHash = `z${uuid()}`;
+        const meta = {basisBlockHeight: 1, operationHash};
+        const legacyKey = `o|legacy|1|${operationHash}`;
+        await cache.client.set(legacyKey, JSON.stringify({meta, operation}));
+        legacyKeys.push(legacyKey);
+      }
+      await cache.client.rpush(legacyListKey, legacyKeys);
+      await _addOperations({count: 1});
+      (await consensusApi._cache.operations.migrateLegacyQueue(
+        {ledgerNodeId})).should.equal(3);
+      (await cache.client.exists(legacyListKey)).should.equal(0);
+      (await _getLaneDepths()).should.eql({system: 0, user: 4});
+      const {operations} = await _getNextChunk();
+      operations.should.have.length(4);
+      // nothing is left to move
+      (await consensusApi._cache.operations.migrateLegacyQueue(
+        {ledgerNodeId})).should.equal(0);
+    });
+  it('rate limits each submitter', async function() {
+    this.timeout(120000);
+    const alpha = await _createSubmitter();
+    const beta = await _createSubmitter();
+    const {rateLimit} = config['ledger-consensus-continuity'].operations;
+    const {maxPerSubmitter} = rateLimit;
+    rateLimit.maxPerSubmitter = 2;
+    let error;
+    try {
+      await _addOperations({count: 2, submitter: alpha});
+      // other submitters are not affected
+      await _addOperations({count: 2, submitter: beta});
+      await _addOperations({count: 1, submitter: alpha});
+    } catch(e) {
+      error = e;
+    } finally {
+      rateLimit.maxPerSubmitter = maxPerSubmitter;
+    }
+    should.exist(error);
+    error.name.should.equal('QuotaExceededError');
+    error.details.submitter.should.equal(alpha.id);
+  });
+});
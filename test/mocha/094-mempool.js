@@ -0,0 +1,113 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const brLedgerNode = require('bedrock-ledger-node');
+const database = require('bedrock-mongodb');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+const {util: {clone, uuid}} = bedrock;
+
+let consensusApi;
+
+describe('Operation Mempool', () => {
+  before(async () => {
+    await helpers.prepareDatabase();
+  });
+  let ledgerNode;
+  let ledgerNodeId;
+  beforeEach(async function() {
+    this.timeout(120000);
+    await helpers.flushCache();
+    await helpers.removeCollections(
+      ['ledger', 'ledgerNode', 'continuity2017_mempool']);
+    ({api: consensusApi} = await helpers.use('Continuity2017'));
+    const ledgerConfiguration = mockData.ledgerConfiguration;
+    ledgerNode = await brLedgerNode.add(null, {ledgerConfiguration});
+    ledgerNodeId = ledgerNode.id;
+    const {id: creatorId} = await consensusApi._peers.get({ledgerNodeId});
+    ledgerNode._peerId = creatorId;
+  });
+
+  function _countMempool() {
+    return database.collections.continuity2017_mempool.countDocuments(
+      {ledgerNodeId});
+  }
+
+  function _getQueueDepth() {
+    return consensusApi._cache.operations.getQueueDepth({ledgerNodeId});
+  }
+
+  it('removes operations once they are in an event', async () => {
+    await helpers.addOperation(
+      {count: 2, ledgerNode, opTemplate: mockData.operations.alpha});
+    (await _countMempool()).should.equal(2);
+    await consensusApi._events.create({ledgerNode});
+    (await _countMempool()).should.equal(0);
+  });
+  it('restores the operation queue after the cache is lost', async () => {
+    await helpers.addOperation(
+      {count: 3, ledgerNode, opTemplate: mockData.operations.alpha});
+    (await consensusApi._mempool.recover({ledgerNode})).should.equal(0);
+    await helpers.flushCache();
+    (await _getQueueDepth()).should.equal(0);
+    (await consensusApi._mempool.recover({ledgerNode})).should.equal(3);
+    (await _getQueueDepth()).should.equal(3);
+    // the queue is only restored once per loss of the cache
+    (await consensusApi._mempool.recover({ledgerNode})).should.equal(0);
+    (await _getQueueDepth()).should.equal(3);
+
+    const {eventHash} = await consensusApi._events.create({ledgerNode});
+    const {event} = await ledgerNode.storage.events.get(eventHash);
+    event.operationHash.should.have.length(3);
+    (await _countMempool()).should.equal(0);
+  });
+  it('restores the operation queue when priming the cache', async () => {
+    await helpers.addOperation(
+      {count: 2, ledgerNode, opTemplate: mockData.operations.alpha});
+    await helpers.flushCache();
+    await consensusApi._cache.prime.primeAll({ledgerNode});
+    (await _getQueueDepth()).should.equal(2);
+  });
+  it('removes an operation that could not be queued', async () => {
+    const {operations} = consensusApi._cache;
+    const {add} = operations;
+    operations.add = async () => {
+      throw new Error('Connection lost.');
+    };
+    const operation = clone(mockData.operations.alpha);
+    operation.creator = ledgerNode._peerId;
+    operation.record.id = `https://example.com/event/${uuid()}`;
+    let error;
+    try {
+      await ledgerNode.operations.add({operation, ledgerNode});
+    } catch(e) {
+      error = e;
+    } finally {
+      operations.add = add;
+    }
+    should.exist(error);
+    error.message.should.equal('Connection lost.');
+    (await _countMempool()).should.equal(0);
+    // the operation may be added again
+    await ledgerNode.operations.add({operation, ledgerNode});
+    (await _getQueueDepth()).should.equal(1);
+  });
+  it('detects duplicate operations after the cache is lost', async () => {
+    const operations = await helpers.addOperation(
+      {ledgerNode, opTemplate: mockData.operations.alpha});
+    await helpers.flushCache();
+    const [operation] = Object.values(operations);
+    let error;
+    try {
+      await ledgerNode.operations.add({operation, ledgerNode});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('DuplicateError');
+    error.details.duplicateLocation.should.equal('mempool');
+  });
+});
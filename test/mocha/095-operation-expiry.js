@@ -0,0 +1,101 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const brLedgerNode = require('bedrock-ledger-node');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+const {util: {clone, uuid}} = bedrock;
+
+let consensusApi;
+
+describe('Operation Expiry', () => {
+  before(async () => {
+    await helpers.prepareDatabase();
+  });
+  let ledgerNode;
+  let ledgerNodeId;
+  let creatorId;
+  beforeEach(async function() {
+    this.timeout(120000);
+    await helpers.flushCache();
+    await helpers.removeCollections(
+      ['ledger', 'ledgerNode', 'continuity2017_mempool']);
+    ({api: consensusApi} = await helpers.use('Continuity2017'));
+    const ledgerConfiguration = mockData.ledgerConfiguration;
+    ledgerNode = await brLedgerNode.add(null, {ledgerConfiguration});
+    ledgerNodeId = ledgerNode.id;
+    ({id: creatorId} = await consensusApi._peers.get({ledgerNodeId}));
+    ledgerNode._peerId = creatorId;
+  });
+
+  function _createOperation() {
+    const operation = clone(mockData.operations.alpha);
+    operation.creator = creatorId;
+    operation.record.id = `https://example.com/event/${uuid()}`;
+    return operation;
+  }
+
+  it('evicts operations past their max age', async () => {
+    const operation = _createOperation();
+    const {meta: {operationHash}} = await consensusApi.operations.add({
+      meta: {basisBlockHeight: 0}, operation, ledgerNode, maxAge: 0
+    });
+    (await consensusApi._mempool.sweep({ledgerNode})).should.equal(1);
+    (await consensusApi._cache.operations.getQueueDepth({ledgerNodeId}))
+      .should.equal(0);
+    const {getStatus} = consensusApi.operations;
+    (await getStatus({ledgerNode, operationHash})).should.eql(
+      {operationHash, stage: 'expired', reason: 'maxAge'});
+    (await getStatus({ledgerNode, recordId: operation.record.id})).should.eql(
+      {operationHash, stage: 'expired', reason: 'maxAge'});
+
+    // the operation may be added again
+    await consensusApi.operations.add(
+      {meta: {basisBlockHeight: 0}, operation, ledgerNode});
+    (await getStatus({ledgerNode, operationHash})).should.eql(
+      {operationHash, stage: 'queued'});
+  });
+  it('evicts operations too far behind the blockchain', async function() {
+    this.timeout(120000);
+    await helpers.nBlocks({
+      consensusApi, nodes: {alpha: ledgerNode}, operationOnWorkCycle: 'first',
+      opTemplate: mockData.operations.alpha, targetBlockHeight: 1
+    });
+    const blockHeight = await ledgerNode.blocks.getLatestBlockHeight();
+    const {meta: {operationHash}} = await consensusApi.operations.add({
+      meta: {basisBlockHeight: blockHeight - 1}, operation: _createOperation(),
+      ledgerNode, maxBlockDelta: 0
+    });
+    // an operation with a limit that has not been reached is kept
+    await consensusApi.operations.add({
+      meta: {basisBlockHeight: blockHeight}, operation: _createOperation(),
+      ledgerNode, maxBlockDelta: 0
+    });
+    // the work cycles above swept the queue; lose the cache to reset the
+    // sweep interval, the queue is restored from the mempool
+    await helpers.flushCache();
+    await consensusApi._cache.prime.primeAll({ledgerNode});
+    (await consensusApi._mempool.sweep({ledgerNode})).should.equal(1);
+    (await consensusApi._cache.operations.getQueueDepth({ledgerNodeId}))
+      .should.equal(1);
+    (await consensusApi.operations.getStatus({ledgerNode, operationHash}))
+      .should.eql({operationHash, stage: 'expired', reason: 'maxBlockDelta'});
+  });
+  it('sweeps at most once per sweep interval', async () => {
+    await consensusApi.operations.add({
+      meta: {basisBlockHeight: 0}, operation: _createOperation(), ledgerNode,
+      maxAge: 60000
+    });
+    (await consensusApi._mempool.sweep({ledgerNode})).should.equal(0);
+    await consensusApi.operations.add({
+      meta: {basisBlockHeight: 0}, operation: _createOperation(), ledgerNode,
+      maxAge: 0
+    });
+    (await consensusApi._mempool.sweep({ledgerNode})).should.equal(0);
+    (await consensusApi._cache.operations.getQueueDepth({ledgerNodeId}))
+      .should.equal(2);
+  });
+});
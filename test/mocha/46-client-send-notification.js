@@ -3,11 +3,25 @@
  */
 'use strict';
 
-const {_client} = require('bedrock-ledger-consensus-continuity');
+const brHttpsAgent = require('bedrock-https-agent');
+const brLedgerNode = require('bedrock-ledger-node');
+const cache = require('bedrock-redis');
+const helpers = require('./helpers');
+const {httpClient} = require('@digitalbazaar/http-client');
+const mockData = require('./mock.data');
+const {_client, _peers} = require('bedrock-ledger-consensus-continuity');
 
 describe('Client notifyPeer API', () => {
+  let voter;
+  before(async () => {
+    await helpers.prepareDatabase();
+    await cache.client.flushall();
+    const {ledgerConfiguration} = mockData;
+    const ledgerNode = await brLedgerNode.add(null, {ledgerConfiguration});
+    voter = await _peers.get({ledgerNodeId: ledgerNode.id});
+  });
   it('throws a NetworkError on connection refused', async () => {
-    const callerId = 'foo';
+    const callerId = voter.id;
     const peerId = 'https://127.0.0.1';
     let err;
     try {
@@ -27,4 +41,38 @@ describe('Client notifyPeer API', () => {
     err.cause.details.should.have.property('port');
     err.cause.details.code.should.equal('ECONNREFUSED');
   });
+  it('sends a signed notification to a peer', async () => {
+    let err;
+    try {
+      await _client.notifyPeer({callerId: voter.id, peerId: voter.id});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+  });
+  it('throws a TypeError if callerId is missing', async () => {
+    let err;
+    try {
+      await _client.notifyPeer({peerId: voter.id});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.should.be.instanceOf(TypeError);
+  });
+  it('peer rejects an unsigned notification', async () => {
+    const {httpsAgent} = brHttpsAgent;
+    let err;
+    try {
+      await httpClient.post(`${voter.id}/notify`, {
+        agent: httpsAgent,
+        json: {peerId: voter.id}
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(401);
+    err.data.type.should.equal('NotAllowedError');
+  });
 });
@@ -0,0 +1,73 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const {config} = require('bedrock');
+const cache = require('bedrock-redis');
+const {_cache} = require('bedrock-ledger-consensus-continuity');
+
+const ledgerNodeId = 'urn:uuid:e4c1e0f4-3a5a-4b8e-9b1e-7c1f3f6d8a10';
+const peerBase = 'https://example.com/consensus/continuity2017/voters/';
+
+describe('Gossip notification cache API', () => {
+  let notificationConfig;
+  before(() => {
+    notificationConfig = {
+      ...config['ledger-consensus-continuity'].gossip.notification
+    };
+  });
+  beforeEach(async () => {
+    await cache.client.flushall();
+  });
+  afterEach(() => {
+    Object.assign(
+      config['ledger-consensus-continuity'].gossip.notification,
+      notificationConfig);
+  });
+
+  it('returns witness notifications before non-witness ones', async () => {
+    await _cache.gossip.addNotification(
+      {ledgerNodeId, peerId: peerBase + 'a'});
+    await _cache.gossip.addNotification(
+      {isWitness: true, ledgerNodeId, peerId: peerBase + 'b'});
+    const first = await _cache.gossip.getGossipNotification({ledgerNodeId});
+    const second = await _cache.gossip.getGossipNotification({ledgerNodeId});
+    const third = await _cache.gossip.getGossipNotification({ledgerNodeId});
+    first.should.equal(peerBase + 'b');
+    second.should.equal(peerBase + 'a');
+    should.equal(third, null);
+  });
+  it('does not add a duplicate notification', async () => {
+    const peerId = peerBase + 'a';
+    const result1 = await _cache.gossip.addNotification({ledgerNodeId, peerId});
+    const result2 = await _cache.gossip.addNotification({ledgerNodeId, peerId});
+    result1.added.should.equal(true);
+    result2.added.should.equal(false);
+    result2.rateLimited.should.equal(false);
+  });
+  it('limits the number of pending notifications', async () => {
+    config['ledger-consensus-continuity'].gossip.notification.maxSize = 2;
+    for(const p of ['a', 'b', 'c']) {
+      await _cache.gossip.addNotification({ledgerNodeId, peerId: peerBase + p});
+    }
+    const first = await _cache.gossip.getGossipNotification({ledgerNodeId});
+    const second = await _cache.gossip.getGossipNotification({ledgerNodeId});
+    const third = await _cache.gossip.getGossipNotification({ledgerNodeId});
+    // the oldest notification is dropped
+    first.should.equal(peerBase + 'b');
+    second.should.equal(peerBase + 'c');
+    should.equal(third, null);
+  });
+  it('rate limits notifications from a single peer', async () => {
+    config['ledger-consensus-continuity'].gossip.notification.maxPerPeer = 2;
+    const peerId = peerBase + 'a';
+    const results = [];
+    for(let i = 0; i < 3; ++i) {
+      results.push(await _cache.gossip.addNotification({ledgerNodeId, peerId}));
+    }
+    results[0].rateLimited.should.equal(false);
+    results[1].rateLimited.should.equal(false);
+    results[2].rateLimited.should.equal(true);
+  });
+});
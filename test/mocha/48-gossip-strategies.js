@@ -0,0 +1,103 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const GossipPeerSelector = require(
+  'bedrock-ledger-consensus-continuity/lib/worker/GossipPeerSelector');
+const {gossipStrategies} = require('bedrock-ledger-consensus-continuity');
+
+function _peer({creatorId, ...status}) {
+  return {
+    creatorId,
+    async getStatus() {
+      return {
+        backoff: 0,
+        detectedBlockHeight: 0,
+        lastContactDate: 0,
+        lastContactResult: null,
+        lastEventCount: 0,
+        latency: 0,
+        ...status
+      };
+    }
+  };
+}
+
+describe('Gossip strategies', () => {
+  it('throws NotFoundError for an unknown strategy', async () => {
+    let err;
+    try {
+      gossipStrategies.use('unknown');
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+  it('registers a custom strategy', async () => {
+    const strategy = {orderPeers: async ({peers}) => peers.reverse()};
+    gossipStrategies.use('reverse', strategy);
+    gossipStrategies.use('reverse').should.equal(strategy);
+  });
+  it('falls back to the default strategy for an unknown strategy',
+    async () => {
+      const ledgerConfiguration = {gossipStrategy: 'unknown'};
+      const ledgerNode = {
+        id: 'urn:uuid:ac3c7b4a-6ae1-4f0f-a5ce-0eea1b1c2f11',
+        storage: {events: {
+          getLatestConfig: async () => ({event: {ledgerConfiguration}})
+        }}
+      };
+      const selector = new GossipPeerSelector(
+        {creatorId: 'self', ledgerNode});
+      (await selector._getStrategy()).should.equal(
+        gossipStrategies.use('random'));
+      // the strategy follows changes to the configuration
+      ledgerConfiguration.gossipStrategy = 'roundRobin';
+      (await selector._getStrategy()).should.equal(
+        gossipStrategies.use('roundRobin'));
+    });
+  it('roundRobin orders peers by least recent contact', async () => {
+    const peers = [
+      _peer({creatorId: 'a', lastContactDate: 3}),
+      _peer({creatorId: 'b', lastContactDate: 1}),
+      _peer({creatorId: 'c', lastContactDate: 2}),
+    ];
+    const result = await gossipStrategies.use('roundRobin').orderPeers(
+      {peers});
+    result.map(p => p.creatorId).should.eql(['b', 'c', 'a']);
+  });
+  it('recentlyProductive puts productive peers first', async () => {
+    const peers = [
+      _peer({creatorId: 'a', lastContactResult: 'Error: fail'}),
+      _peer({creatorId: 'b'}),
+      _peer({
+        creatorId: 'c', lastContactDate: 1, lastContactResult: 'success',
+        lastEventCount: 5
+      }),
+      _peer({
+        creatorId: 'd', lastContactDate: 2, lastContactResult: 'success',
+        lastEventCount: 1
+      }),
+    ];
+    const result = await gossipStrategies.use('recentlyProductive').orderPeers(
+      {peers});
+    result.map(p => p.creatorId).should.eql(['d', 'c', 'b', 'a']);
+  });
+  it('latencyWeighted favors low latency peers', async () => {
+    const peers = [
+      _peer({creatorId: 'slow', latency: 100000}),
+      _peer({creatorId: 'fast', latency: 10}),
+    ];
+    let fastFirst = 0;
+    for(let i = 0; i < 100; ++i) {
+      const [first] = await gossipStrategies.use('latencyWeighted').orderPeers(
+        {peers});
+      if(first.creatorId === 'fast') {
+        fastFirst++;
+      }
+    }
+    fastFirst.should.be.above(90);
+  });
+});
@@ -0,0 +1,49 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const {_worker: {InFlightEvents}} =
+  require('bedrock-ledger-consensus-continuity');
+
+describe('InFlightEvents', () => {
+  it('only claims an event hash once', async () => {
+    const inFlight = new InFlightEvents();
+    const first = inFlight.claim({eventHashes: ['a', 'b']});
+    const second = inFlight.claim({eventHashes: ['b', 'c']});
+    first.claimed.should.eql(['a', 'b']);
+    second.claimed.should.eql(['c']);
+  });
+  it('resolves pending once other sessions release', async () => {
+    const inFlight = new InFlightEvents();
+    const first = inFlight.claim({eventHashes: ['a', 'b']});
+    const second = inFlight.claim({eventHashes: ['b', 'c']});
+    let resolved = false;
+    const pending = second.pending.then(() => resolved = true);
+    await Promise.resolve();
+    resolved.should.equal(false);
+    inFlight.release({eventHashes: first.claimed});
+    await pending;
+    resolved.should.equal(true);
+    // released hashes may be claimed again
+    inFlight.claim({eventHashes: ['a']}).claimed.should.eql(['a']);
+  });
+  it('rejects pending if another session fails to add its events',
+    async () => {
+      const inFlight = new InFlightEvents();
+      const first = inFlight.claim({eventHashes: ['a', 'b']});
+      const second = inFlight.claim({eventHashes: ['b', 'c']});
+      inFlight.release(
+        {eventHashes: first.claimed, error: new Error('Download failed.')});
+      let err;
+      try {
+        await second.pending;
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.equal('Download failed.');
+      // the hashes may be claimed again by a later session
+      inFlight.claim({eventHashes: ['b']}).claimed.should.eql(['b']);
+    });
+});
@@ -0,0 +1,85 @@
+/*!
+ * Copyright (c) 2017-2020 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _cache = require('bedrock-ledger-consensus-continuity/lib/cache');
+const _gossip = require('bedrock-ledger-consensus-continuity/lib/gossip');
+const _peerEvents =
+  require('bedrock-ledger-consensus-continuity/lib/peerEvents');
+const {runGossipCycle} =
+  require('bedrock-ledger-consensus-continuity/lib/worker/gossip');
+const {config} = require('bedrock');
+const helpers = require('./helpers');
+
+const ledgerNodeId = 'urn:uuid:1b2c3d4e-5f6a-4b7c-8d9e-0f1a2b3c4d5e';
+
+describe('Gossip Cycle', () => {
+  const {addBatch} = _peerEvents;
+  const {gossipWith} = _gossip;
+  beforeEach(async () => {
+    await helpers.flushCache();
+    await _cache.blocks.setBlockHeight({blockHeight: 1, ledgerNodeId});
+  });
+  afterEach(() => {
+    _peerEvents.addBatch = addBatch;
+    _gossip.gossipWith = gossipWith;
+  });
+  it('limits each session to its share of the merge permits', async () => {
+    const {concurrentPeers} = config['ledger-consensus-continuity'].gossip;
+    const peers = [];
+    for(let i = 0; i < concurrentPeers; ++i) {
+      peers.push({
+        creatorId: `peer${i}`,
+        fail: async () => {},
+        isRecommended: async () => true,
+        success: async () => {}
+      });
+    }
+    const priorityPeers = peers.map(({creatorId}) => creatorId);
+    // every peer has more merge events than the whole cycle may add
+    _gossip.gossipWith = async () => ({
+      events: [], needed: [], pending: Promise.resolve()
+    });
+    const limits = [];
+    _peerEvents.addBatch = async ({mergePermits}) => {
+      limits.push(mergePermits);
+      return {
+        deferredEvents: [],
+        excludedEvents: [],
+        mergePermitsConsumed: Math.min(mergePermits, 100)
+      };
+    };
+    const mergePermits = concurrentPeers * 3;
+    const {mergePermitsConsumed} = await runGossipCycle({
+      creatorId: 'local',
+      halt: () => false,
+      ledgerNode: {id: ledgerNodeId},
+      mergePermits,
+      needsGossip: true,
+      peerSelector: {getPeers: async () => peers.slice()},
+      priorityPeers
+    });
+    // the first session does not exhaust the cycle's permits
+    limits.should.eql(peers.map(() => 3));
+    mergePermitsConsumed.should.equal(mergePermits);
+  });
+  it('excludes merge events after the merge permits are used', () => {
+    const _record = ({parentHash = [], type}) => ({
+      event: {parentHash},
+      meta: {continuity2017: {type}}
+    });
+    const eventMap = new Map([
+      ['r1', _record({type: 'r'})],
+      ['m1', _record({parentHash: ['r1'], type: 'm'})],
+      ['r2', _record({type: 'r'})],
+      ['m2', _record({parentHash: ['m1', 'r2'], type: 'm'})],
+      ['m3', _record({parentHash: ['m2'], type: 'm'})]
+    ]);
+    const {_getExcludedEvents} = _peerEvents;
+    [..._getExcludedEvents({eventMap, mergePermits: 1})]
+      .should.have.members(['m2', 'r2', 'm3']);
+    _getExcludedEvents({eventMap, mergePermits: Infinity}).size
+      .should.equal(0);
+  });
+});
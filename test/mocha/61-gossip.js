@@ -3,14 +3,64 @@
  */
 'use strict';
 
+const brLedgerNode = require('bedrock-ledger-node');
+const cache = require('bedrock-redis');
 const {config, util: {BedrockError}} = require('bedrock');
-const {_gossip: gossip} = require('bedrock-ledger-consensus-continuity');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+const {_gossip: gossip, _history, _peers} =
+  require('bedrock-ledger-consensus-continuity');
 
 describe('gossip _getNeeded API', () => {
+  let callerId;
+  let genesisMergeHash;
+  before(async () => {
+    await helpers.prepareDatabase();
+    await cache.client.flushall();
+    const {ledgerConfiguration} = mockData;
+    const ledgerNode = await brLedgerNode.add(null, {ledgerConfiguration});
+    ({id: callerId} = await _peers.get({ledgerNodeId: ledgerNode.id}));
+    ({eventHash: genesisMergeHash} = await _history.getHead(
+      {creatorId: callerId, ledgerNode}));
+  });
+  afterEach(() => {
+    config['ledger-consensus-continuity'].gossip.cbor.enabled = true;
+  });
+  it('gets events encoded as CBOR', async () => {
+    const events = await gossip._getNeeded({
+      callerId,
+      needed: [genesisMergeHash],
+      peerId: callerId
+    });
+    events.should.have.length(1);
+    events[0].type.should.equal('ContinuityMergeEvent');
+  });
+  it('reuses the CBOR encoding of a requested event', async () => {
+    for(let i = 0; i < 2; ++i) {
+      const events = await gossip._getNeeded({
+        callerId,
+        needed: [genesisMergeHash],
+        peerId: callerId
+      });
+      events.should.have.length(1);
+      events[0].type.should.equal('ContinuityMergeEvent');
+    }
+  });
+  it('gets events encoded as NDJSON', async () => {
+    config['ledger-consensus-continuity'].gossip.cbor.enabled = false;
+    const events = await gossip._getNeeded({
+      callerId,
+      needed: [genesisMergeHash],
+      peerId: callerId
+    });
+    events.should.have.length(1);
+    events[0].type.should.equal('ContinuityMergeEvent');
+  });
   it('properly handles ECONNREFUSED', async () => {
     let error;
     try {
       await gossip._getNeeded({
+        callerId,
         needed: ['abc'],
         peerId: 'https://127.0.0.1:3333'
       });
@@ -26,6 +76,7 @@ describe('gossip _getNeeded API', () => {
     let error;
     try {
       await gossip._getNeeded({
+        callerId,
         needed: ['abc'],
         peerId: config.server.baseUri,
       });
@@ -32,3 +32,9 @@ config['https-agent'].rejectUnauthorized = false;
 
 // put jobs stuff in another redis database so db 0 can be flushed
 config.jobs.queueOptions.db = 1;
+
+// encrypt voter keys with a test key encryption key
+config['ledger-consensus-continuity'].keyStorage.encrypted.kek = {
+  id: 'urn:test:kek:1',
+  secret: 'yfyEhKk9OXi454BltBTWv5rxtfa8sGMqjEspOHZ1g+M='
+};